@@ -1,7 +1,14 @@
 import { Debugger } from './debug/Debugger.js';
 import { HintSequencePlayer } from './hints/HintSequencePlayer.js';
 import { Property } from './state/Property.js';
+import { Validators } from './state/Validators.js';
+import { COLOR_VISION } from './accessibility/ColorFilter/ColorVisionConstants.js';
 import { BellhopSingleton } from './communication/BellhopSingleton';
+import { PauseCoordinator } from './timing/PauseCoordinator.js';
+import {
+  ContainerProtocolSingleton,
+  MESSAGE_DIRECTION
+} from './communication/ContainerProtocol';
 
 const pause = 'pause';
 const captionsMuted = 'captionsMuted';
@@ -27,37 +34,121 @@ const speedScale = 'speedScale';
 const timersScale = 'timersScale';
 const inputCount = 'inputCount';
 
-const stateDefaults = {
-  [pause]: false,
-  [captionsMuted]: true,
-  [captionsStyles]: {
-    color: '#FFFFFF',
-    edge: 'none',
-    font: 'arial',
-    background: '#000000',
-    size: 'md',
-    align: 'top'
+/**
+ * @typedef {object} FeatureDefinition
+ * @property {string} name The name of the feature, as reported to the container in the features event
+ * @property {string} [state=name] The key of the state property holding the value of the feature
+ * @property {*} [defaultValue] The value the state property is set to once plugins have loaded
+ * @property {string} [event=state] The name of the container event that updates the state property
+ * @property {function(*): (ValidationResult | boolean)} [validator] Checks values set on the state property, see
+ * Validators. Container values it rejects are ignored, and container values it corrects are set corrected
+ * @property {boolean} [requiresListener=true] Whether the state property needs a listener when the feature is enabled
+ */
+
+// volumes and configurable mechanics are values between 0 and 1
+const unit = Validators.number({ min: 0, max: 1 });
+const text = Validators.string();
+
+/** @type {FeatureDefinition[]} */
+const builtInFeatures = [
+  {
+    name: 'captions',
+    state: captionsMuted,
+    defaultValue: true,
+    validator: Validators.boolean()
   },
-  [soundVolume]: 1,
-  [musicVolume]: 1,
-  [voVolume]: 1,
-  [sfxVolume]: 1,
-  [pointerSize]: 0.5,
-  [controlSensitivity]: 0.5,
-  [buttonSize]: 0.5,
-  [removableLayers]: 0,
-  [hudPosition]: '',
-  [hitAreaScale]: 0.5,
-  [dragThresholdScale]: 0.5,
-  [health]: 0.5,
-  [objectCount]: 0.5,
-  [completionPercentage]: 0.5,
-  [speedScale]: 0.5,
-  [timersScale]: 0.5,
-  [inputCount]: 0.5,
-  [keyBinding]: {},
-  [colorVision]: 'none'
-};
+  {
+    name: captionsStyles,
+    defaultValue: {
+      color: '#FFFFFF',
+      edge: 'none',
+      font: 'arial',
+      background: '#000000',
+      size: 'md',
+      align: 'top'
+    },
+    validator: Validators.shape({
+      color: text,
+      edge: text,
+      font: text,
+      background: text,
+      size: text,
+      align: text
+    }),
+    requiresListener: false
+  },
+  { name: 'sound', state: soundVolume, defaultValue: 1, validator: unit },
+  { name: 'vo', state: voVolume, defaultValue: 1, validator: unit },
+  { name: 'music', state: musicVolume, defaultValue: 1, validator: unit },
+  { name: 'sfx', state: sfxVolume, defaultValue: 1, validator: unit },
+  { name: soundVolume, defaultValue: 1, validator: unit, requiresListener: false },
+  { name: musicVolume, defaultValue: 1, validator: unit, requiresListener: false },
+  { name: voVolume, defaultValue: 1, validator: unit, requiresListener: false },
+  { name: sfxVolume, defaultValue: 1, validator: unit, requiresListener: false },
+  { name: pointerSize, defaultValue: 0.5, validator: unit },
+  { name: controlSensitivity, defaultValue: 0.5, validator: unit },
+  { name: buttonSize, defaultValue: 0.5, validator: unit },
+  { name: removableLayers, defaultValue: 0, validator: unit },
+  { name: hudPosition, defaultValue: '', validator: text },
+  { name: keyBinding, defaultValue: {} },
+  {
+    name: colorVision,
+    defaultValue: COLOR_VISION.NONE,
+    validator: Validators.oneOf(
+      Object.keys(COLOR_VISION).map(key => COLOR_VISION[key])
+    )
+  },
+  { name: hitAreaScale, defaultValue: 0.5, validator: unit },
+  { name: dragThresholdScale, defaultValue: 0.5, validator: unit },
+  { name: health, defaultValue: 0.5, validator: unit },
+  { name: objectCount, defaultValue: 0.5, validator: unit },
+  { name: completionPercentage, defaultValue: 0.5, validator: unit },
+  { name: speedScale, defaultValue: 0.5, validator: unit },
+  { name: timersScale, defaultValue: 0.5, validator: unit },
+  { name: inputCount, defaultValue: 0.5, validator: unit }
+];
+
+/**
+ * Fills in the optional fields of a feature definition.
+ * @param {FeatureDefinition} definition
+ * @returns {FeatureDefinition}
+ * @private
+ */
+function normalizeFeature(definition) {
+  const state = definition.state || definition.name;
+
+  return Object.assign({}, definition, {
+    state,
+    event: definition.event || state,
+    requiresListener: definition.requiresListener !== false
+  });
+}
+
+/**
+ * Creates the plugin instance an application will use from a registered plugin entry.
+ * @param {SpringRoll.ApplicationPlugin | Function} plugin A plugin instance, a plugin class or a factory function
+ * returning a plugin instance.
+ * @returns {SpringRoll.ApplicationPlugin}
+ * @private
+ */
+function createPlugin(plugin) {
+  if ('function' !== typeof plugin) {
+    return plugin;
+  }
+
+  // arrow functions have no prototype and can't be constructed, so call them as factories
+  return plugin.prototype ? new plugin() : plugin();
+}
+
+// how many live applications use each plugin instance registered with Application.uses()
+const sharedPluginUsers = new Map();
+
+/**
+ * @typedef {object} ValidationProblem
+ * @property {string | null} feature The enabled feature, or null for state that is always required
+ * @property {string} state The key of the state property the feature needs
+ * @property {'listener' | 'state'} missing Whether the state property has no listener, or doesn't exist at all
+ */
 
 /**
  * Main entry point for a game. Provides a single focal point for plugins and functionality to attach.
@@ -92,6 +183,18 @@ export class Application {
   /**
    * @param {object} [config={}]  Root configuration object for various internal Application objects
    * @param {object} [config.hintPlayer = HintSequencePlayer] IHintPlayer application will use.
+   * @param {Array<SpringRoll.ApplicationPlugin | Function>} [config.plugins=[]] Plugins used by this application only, in
+   * addition to the ones registered with Application.uses(). Plugin classes and factory functions are created fresh for
+   * this application
+   * @param {FeatureDefinition[]} [config.customFeatures=[]] Features of this game that SpringRoll doesn't define itself.
+   * Each one is reported to the container, given a state property kept in sync with the container, a default value and
+   * listener validation, just like the built in features
+   * @param {boolean} [config.strict=false] If true, the application won't become ready or notify the container that it has
+   * loaded while any enabled feature is missing a state listener
+   * @param {boolean} [config.pauseOnBlur=true] Whether the systems registered with the pauseCoordinator are paused while
+   * the window doesn't have focus
+   * @param {number} [config.preloadTimeout=30000] Time in milliseconds a plugin preload may take before the plugin is
+   * marked as failed. Plugins can override this with their own preloadTimeout option. 0 disables the timeout
    * @param {object} [config.features={}] A configuration object denoting which features are enabled for this application
    * @param {boolean} [config.features.captions] A boolean value denoting that this game supports captions
    * @param {boolean} [config.features.sound] A boolean value denoting that this game has some audio in it
@@ -118,64 +221,85 @@ export class Application {
    * @param {boolean} [config.features.keyBinding] A boolean denoting that this game has re-mappable key bindings.
    * @param {boolean} [config.features.colorVision] A boolean denoting that this game has color blindness filters.
    */
-  constructor({ features, hintPlayer = new HintSequencePlayer() } = {}) {
+  constructor({
+    features,
+    hintPlayer = new HintSequencePlayer(),
+    plugins = [],
+    preloadTimeout = 30000,
+    strict = false,
+    customFeatures = [],
+    pauseOnBlur = true
+  } = {}) {
+    // create this application's own set of plugins from the registered defaults and the configured ones
+    this.plugins = Application._plugins.concat(plugins).map(createPlugin);
+    this.sharedPlugins = Application._plugins.filter(
+      plugin => 'function' !== typeof plugin
+    );
+    for (let i = 0; i < this.sharedPlugins.length; i++) {
+      const plugin = this.sharedPlugins[i];
+      const users = sharedPluginUsers.get(plugin) || 0;
+
+      if (users > 0) {
+        Debugger.log(
+          'warn',
+          `[Application] The ${plugin.name} plugin instance is already used by another application. Register the plugin class or a factory function with Application.uses() to give each application its own plugin`
+        );
+      }
+      sharedPluginUsers.set(plugin, users + 1);
+    }
+    this.preloadTimeout = preloadTimeout;
+    this.preloadTimers = [];
+    this.strict = strict;
+    this.validationReport = [];
+    this.awaitingValidation = false;
+
+    // built in features first, then the game's own features
+    this.featureDefinitions = builtInFeatures.map(normalizeFeature);
+    for (let i = 0; i < customFeatures.length; i++) {
+      const name = customFeatures[i].name;
+
+      if (this.featureDefinitions.some(feature => feature.name === name)) {
+        Debugger.log('warn', `[Application] feature ${name} is already defined`);
+        continue;
+      }
+
+      this.featureDefinitions.push(normalizeFeature(customFeatures[i]));
+    }
+
     this.state = {
       ready: new Property(false),
       playOptions: new Property({}),
-      [pause]: new Property(undefined),
-      [captionsMuted]: new Property(undefined),
-      [captionsStyles]: new Property(undefined),
-      [soundVolume]: new Property(undefined),
-      [musicVolume]: new Property(undefined),
-      [voVolume]: new Property(undefined),
-      [sfxVolume]: new Property(undefined),
-      [pointerSize]: new Property(undefined),
-      [controlSensitivity]: new Property(undefined),
-      [buttonSize]: new Property(undefined),
-      [removableLayers]: new Property(undefined),
-      [hudPosition]: new Property(undefined),
-      [hitAreaScale]: new Property(undefined),
-      [dragThresholdScale]: new Property(undefined),
-      [health]: new Property(undefined),
-      [objectCount]: new Property(undefined),
-      [completionPercentage]: new Property(undefined),
-      [speedScale]: new Property(undefined),
-      [timersScale]: new Property(undefined),
-      [inputCount]: new Property(undefined),
-      [keyBinding]: new Property(undefined),
-      [colorVision]: new Property(undefined)
+      loadProgress: new Property(0),
+      gameEnded: new Property(false),
+      endReason: new Property(null),
+      progress: new Property(
+        0,
+        false,
+        Validators.number({ min: 0, max: 100 })
+      ),
+      checkpoint: new Property(null),
+      [pause]: new Property(undefined)
     };
 
-    this.features = Object.assign(
-      {
-        captions: false,
-        captionsStyles: false,
-        sound: false,
-        vo: false,
-        music: false,
-        sfx: false,
-        soundVolume: false,
-        musicVolume: false,
-        voVolume: false,
-        sfxVolume: false,
-        pointerSize: false,
-        controlSensitivity: false,
-        buttonSize: false,
-        removableLayers: false,
-        hudPosition: false,
-        keyBinding: false,
-        colorVision: false,
-        hitAreaScale: false,
-        dragThresholdScale: false,
-        health: false,
-        objectCount: false,
-        completionPercentage: false,
-        speedScale: false,
-        timersScale: false,
-        inputCount: false
-      },
-      features || {}
-    );
+    // pauses the game's systems with the pause state, its own subscription doesn't count as listening to it
+    this.pauseCoordinator = new PauseCoordinator();
+    this.pauseCoordinator.attach(this, { pauseOnBlur });
+
+    const featureDefaults = {};
+    for (let i = 0; i < this.featureDefinitions.length; i++) {
+      const feature = this.featureDefinitions[i];
+      featureDefaults[feature.name] = false;
+
+      if (!this.state[feature.state]) {
+        this.state[feature.state] = new Property(
+          undefined,
+          false,
+          feature.validator
+        );
+      }
+    }
+
+    this.features = Object.assign(featureDefaults, features || {});
 
     // always enable sound if one of the sound channels is enabled
     if (this.features.vo || this.features.music || this.features.sfx) {
@@ -184,44 +308,41 @@ export class Application {
 
     // create the connection to the container (if possible), and report features and SpringRoll 1 compat data
     this.container = BellhopSingleton;
+    this.protocol = ContainerProtocolSingleton;
+    this.containerListeners = [];
     this.container.connect();
-    this.container.send('features', this.features);
-    this.container.send('keepFocus', false);
+    this.protocol.send('features', this.features);
+    this.protocol.send('keepFocus', false);
+
+    // report plugin preload progress so the container can show a loading bar
+    this.state.loadProgress.subscribe(progress =>
+      this.protocol.send('loadProgress', progress)
+    );
 
     // listen for events from the container and keep the local value in sync
     {
-      const events = [
-        soundVolume,
-        musicVolume,
-        voVolume,
-        sfxVolume,
-        captionsMuted,
-        captionsStyles,
-        pause,
-        pointerSize,
-        controlSensitivity,
-        buttonSize,
-        removableLayers,
-        hudPosition,
-        keyBinding,
-        colorVision,
-        hitAreaScale,
-        dragThresholdScale,
-        health,
-        objectCount,
-        completionPercentage,
-        speedScale,
-        timersScale,
-        inputCount
-      ];
-      const length = events.length;
-      for (let i = 0; i < length; i++) {
-        const property = this.state[events[i]];
+      this.listen(pause, e => (this.state.pause.value = e.data));
+
+      const synced = {};
+      for (let i = 0; i < this.featureDefinitions.length; i++) {
+        const feature = this.featureDefinitions[i];
+
+        // features can share state, such as sound and soundVolume
+        if (synced[feature.state]) {
+          continue;
+        }
+        synced[feature.state] = true;
+
+        // the events of custom features become part of the container protocol
+        if (!this.protocol.messages[feature.event]) {
+          this.protocol.define(feature.event, {
+            direction: MESSAGE_DIRECTION.FROM_CONTAINER
+          });
+        }
 
         // Listen for feature changes from the container.
-        this.container.on(
-          events[i],
-          containerEvent => (property.value = containerEvent.data)
+        this.listen(feature.event, containerEvent =>
+          this.setFromContainer(feature.state, containerEvent.data)
         );
       }
     }
@@ -237,7 +358,7 @@ export class Application {
 
       for (let i = 0; i < legacyListeners.length; i++) {
         const property = this.state[legacyListeners[i].volume];
-        this.container.on(legacyListeners[i].mute, containerEvent => {
+        this.listen(legacyListeners[i].mute, containerEvent => {
           const previousValue = property._previousValue || 1;
           property._previousValue = property.value;
           property.value = containerEvent.data ? 0 : previousValue;
@@ -246,8 +367,10 @@ export class Application {
     }
 
     // maintain focus sync between the container and application
-    window.addEventListener('focus', () => this.container.send('focus', true));
-    window.addEventListener('blur', () => this.container.send('focus', false));
+    this.onWindowFocus = this.onWindowFocus.bind(this);
+    this.onWindowBlur = this.onWindowBlur.bind(this);
+    window.addEventListener('focus', this.onWindowFocus);
+    window.addEventListener('blur', this.onWindowBlur);
 
     // attempt to fetch play options from the query string (passed by the Container)
     const match = /playOptions=[^&$]*/.exec(window.location.search);
@@ -266,10 +389,8 @@ export class Application {
     }
 
     // Also attempt to fetch over the iframe barrier for old container support
-    this.container.fetch(
-      'playOptions',
-      e => (this.state.playOptions.value = e.data)
-    );
+    this.listen('playOptions', e => (this.state.playOptions.value = e.data));
+    this.protocol.send('playOptions');
 
     this.setupPlugins()
       .catch(e => {
@@ -283,13 +404,22 @@ export class Application {
         Debugger.log('warn', e);
       })
       .then(() => {
-        this.container.send('loaded');
-        this.state.ready.value = true;
+        if (this.destroyed) {
+          return;
+        }
+
+        // strict applications wait for validateListeners to be called again once the problems are fixed
+        if (this.strict && this.validationReport.length) {
+          this.awaitingValidation = true;
+          return;
+        }
+
+        this.completeLoading();
       });
 
     //register bellhop event for hints.
     this.hints = hintPlayer;
-    this.container.on(playHelp, () => {
+    this.listen(playHelp, () => {
       if (!this.hints) {
         Debugger.log(
           'warn',
@@ -303,148 +433,522 @@ export class Application {
   }
 
   /**
-   * preloads, initializes and starts plugins.
+   * preloads, initializes and starts plugins. Plugins are run in dependency order, each preload waiting on the preloads
+   * of the plugins it depends on. Plugins missing a required dependency, or depending on a plugin that failed to preload,
+   * are skipped. Updates the loadProgress state as each plugin finishes preloading.
    * @return {Promise<void>}
    * @memberof Application
    */
   setupPlugins() {
-    const preloads = [];
-
-    for (let i = 0; i < Application._plugins.length; i++) {
-      if (Application._plugins[i].preload) {
-        preloads.push(
-          Application._plugins[i]
-            .preload(this)
-            .catch(function preloadFail(error) {
-              Application._plugins[i].preloadFailed = true;
-              console.warn(
-                Application._plugins[i].name,
-                'Preload Failed:',
-                error
-              );
-            })
+    // dependencies on a name shared by several plugins are on the first one registered
+    const byName = {};
+    for (let i = this.plugins.length - 1; i >= 0; i--) {
+      byName[this.plugins[i].name] = this.plugins[i];
+    }
+
+    try {
+      this.plugins = Application.sortPlugins(this.plugins);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    const preloads = new Map();
+    const failed = new Set();
+    const total = this.plugins.length;
+    let loaded = 0;
+
+    const preloadOf = name => preloads.get(byName[name]);
+    const onPreloaded = () => {
+      loaded++;
+      this.state.loadProgress.value = loaded / total;
+    };
+
+    for (let i = 0; i < this.plugins.length; i++) {
+      const plugin = this.plugins[i];
+      const required = plugin.required || [];
+      const optional = (plugin.optional || []).filter(preloadOf);
+      const missing = required.filter(name => !preloadOf(name));
+
+      if (missing.length) {
+        failed.add(plugin);
+        console.warn(
+          plugin.name,
+          'Missing required plugins:',
+          missing.join(', ')
         );
+        preloads.set(plugin, Promise.resolve().then(onPreloaded));
+        continue;
       }
+
+      const dependencies = required.concat(optional).map(preloadOf);
+
+      preloads.set(plugin, Promise.all(dependencies).then(() => {
+        const failedRequired = required.filter(name => failed.has(byName[name]));
+
+        if (failedRequired.length) {
+          failed.add(plugin);
+          console.warn(
+            plugin.name,
+            'Required plugins failed to preload:',
+            failedRequired.join(', ')
+          );
+          return;
+        }
+
+        if (!plugin.preload) {
+          return;
+        }
+
+        return this.timeoutPreload(plugin).catch(function preloadFail(error) {
+          failed.add(plugin);
+          console.warn(plugin.name, 'Preload Failed:', error);
+        });
+      }).then(onPreloaded));
     }
 
     // ~wait for all preloads to resolve
-    return Promise.all(preloads).then(() => {
+    return Promise.all(Array.from(preloads.values())).then(() => {
+      // plugins have already been destroyed if the application was destroyed while they were loading
+      if (this.destroyed) {
+        return;
+      }
+
       // Remove plugins that fail to load.
-      Application._plugins = Application._plugins.filter(
-        plugin => plugin.preloadFailed !== true
-      );
+      this.plugins = this.plugins.filter(plugin => !failed.has(plugin));
 
       //init
-      for (let i = 0; i < Application._plugins.length; i++) {
-        if (!Application._plugins[i].init) {
+      for (let i = 0; i < this.plugins.length; i++) {
+        if (!this.plugins[i].init) {
           continue;
         }
-        Application._plugins[i].init(this);
+        this.plugins[i].init(this);
       }
 
       //start
-      for (let i = 0; i < Application._plugins.length; i++) {
-        if (!Application._plugins[i].start) {
+      for (let i = 0; i < this.plugins.length; i++) {
+        if (!this.plugins[i].start) {
           continue;
         }
-        Application._plugins[i].start(this);
+        this.plugins[i].start(this);
+      }
+    });
+  }
+
+  /**
+   * Calls the preload of a plugin, rejecting if it takes longer than the plugin's preloadTimeout, or the application's
+   * preloadTimeout if the plugin doesn't set one.
+   * @param {SpringRoll.ApplicationPlugin} plugin The plugin to preload.
+   * @return {Promise<void>}
+   * @private
+   * @memberof Application
+   */
+  timeoutPreload(plugin) {
+    // a preload that throws fails like one that rejects
+    const preload = Promise.resolve().then(() => plugin.preload(this));
+    const time =
+      undefined !== plugin.preloadTimeout
+        ? plugin.preloadTimeout
+        : this.preloadTimeout;
+
+    if (!(time > 0)) {
+      return preload;
+    }
+
+    return new Promise((resolve, reject) => {
+      const settle = callback => result => {
+        clearTimeout(timer);
+        this.preloadTimers = this.preloadTimers.filter(t => t !== timer);
+        callback(result);
+      };
+
+      const timer = setTimeout(
+        () => settle(reject)(new Error(`Preload timed out after ${time}ms`)),
+        time
+      );
+      this.preloadTimers.push(timer);
+
+      preload.then(settle(resolve), settle(reject));
+    });
+  }
+
+  /**
+   * Removes every listener this application added to the window and the container, stops any plugin preload timeouts
+   * and destroys its plugins in reverse order. The application can't be used after it has been destroyed.
+   * @memberof Application
+   */
+  destroy() {
+    if (this.destroyed) {
+      return;
+    }
+
+    this.destroyed = true;
+
+    for (let i = 0; i < this.preloadTimers.length; i++) {
+      clearTimeout(this.preloadTimers[i]);
+    }
+    this.preloadTimers.length = 0;
+
+    window.removeEventListener('focus', this.onWindowFocus);
+    window.removeEventListener('blur', this.onWindowBlur);
+    this.pauseCoordinator.detach();
+
+    for (let i = 0; i < this.containerListeners.length; i++) {
+      const { name, callback } = this.containerListeners[i];
+      this.protocol.off(name, callback);
+    }
+    this.containerListeners.length = 0;
+
+    for (let i = this.plugins.length - 1; i >= 0; i--) {
+      if (this.plugins[i].destroy) {
+        this.plugins[i].destroy(this);
+      }
+    }
+    this.plugins = [];
+
+    for (let i = 0; i < this.sharedPlugins.length; i++) {
+      const plugin = this.sharedPlugins[i];
+      const users = sharedPluginUsers.get(plugin) - 1;
+
+      if (users > 0) {
+        sharedPluginUsers.set(plugin, users);
+      } else {
+        sharedPluginUsers.delete(plugin);
+      }
+    }
+    this.sharedPlugins = [];
+  }
+
+  /**
+   * Adds a container event listener that is removed when the application is destroyed.
+   * @param {string} name The name of the container event.
+   * @param {function} callback The function to call when the event is received.
+   * @private
+   * @memberof Application
+   */
+  listen(name, callback) {
+    this.protocol.on(name, callback);
+    this.containerListeners.push({ name, callback });
+  }
+
+  /**
+   * Handler for window focus events. Notifies the container that the application has focus.
+   * @private
+   * @memberof Application
+   */
+  onWindowFocus() {
+    this.protocol.send('focus', true);
+  }
+
+  /**
+   * Handler for window blur events. Notifies the container that the application has lost focus.
+   * @private
+   * @memberof Application
+   */
+  onWindowBlur() {
+    this.protocol.send('focus', false);
+  }
+
+  /**
+   * Sets a state property to a value sent by the container. Values the property's validator rejects are ignored, and
+   * values it corrects are set corrected. Either way the container is sent an invalidState event describing the problem.
+   * @param {string} key The key of the state property
+   * @param {*} value The value sent by the container
+   * @private
+   * @memberof Application
+   */
+  setFromContainer(key, value) {
+    const property = this.state[key];
+    const result = property.validate(value);
+
+    if (!result.valid || result.value !== value) {
+      Debugger.log(
+        'warn',
+        `[Application] ${result.valid ? 'corrected' : 'ignored'} invalid ${key} value from the container (${result.message}):`,
+        value
+      );
+
+      this.protocol.send('invalidState', {
+        state: key,
+        value,
+        rejected: !result.valid,
+        correctedValue: result.valid ? result.value : undefined,
+        message: result.message
+      });
+    }
+
+    if (result.valid) {
+      property.value = result.value;
+    }
+  }
+
+  /**
+   * Tells the container that the game session has ended, such as when the player finishes, fails or quits the game, and
+   * sets the gameEnded and endReason state. A session only ends once, later calls are ignored.
+   * @param {string} [reason='complete'] Why the session ended, such as complete, failed or quit
+   * @return {boolean} Whether the session was ended
+   * @memberof Application
+   */
+  endGame(reason = 'complete') {
+    if (this.state.gameEnded.value) {
+      Debugger.log(
+        'warn',
+        `[Application] ignored endGame(${reason}), the game already ended (${this.state.endReason.value})`
+      );
+      return false;
+    }
+
+    if (!this.protocol.send('endGame', { reason })) {
+      return false;
+    }
+
+    Property.batch(() => {
+      this.state.endReason.value = reason;
+      this.state.gameEnded.value = true;
+    });
+    return true;
+  }
+
+  /**
+   * Tells the container how far the player is through the game, and sets the progress and checkpoint state.
+   * @param {number} percent How much of the game is complete, from 0 to 100. Values outside of the range are clamped
+   * @param {string} [checkpoint] The name of the checkpoint the player reached, if any
+   * @return {boolean} Whether the progress was reported, false if percent isn't a number or checkpoint isn't a string
+   * @memberof Application
+   */
+  reportProgress(percent, checkpoint) {
+    const result = this.state.progress.validate(percent);
+
+    if (!result.valid) {
+      Debugger.log(
+        'warn',
+        `[Application] ignored invalid progress (${result.message}):`,
+        percent
+      );
+      return false;
+    }
+
+    const data = { percent: result.value };
+    if (undefined !== checkpoint) {
+      data.checkpoint = checkpoint;
+    }
+
+    if (!this.protocol.send('progress', data)) {
+      return false;
+    }
+
+    Property.batch(() => {
+      this.state.progress.value = result.value;
+      if (undefined !== checkpoint) {
+        this.state.checkpoint.value = checkpoint;
       }
     });
+    return true;
   }
-  //test
+
   /**
-   * returns instance of a plugin.
+   * Asks the container to restart the game. The container decides whether to, and restarts the game by reloading it.
+   * @return {boolean} Whether the request was sent
+   * @memberof Application
+   */
+  requestRestart() {
+    return this.protocol.send('requestRestart');
+  }
+
+  /**
+   * Asks the container to close the game. The container decides whether to.
+   * @return {boolean} Whether the request was sent
+   * @memberof Application
+   */
+  requestClose() {
+    return this.protocol.send('requestClose');
+  }
+
+  /**
+   * returns instance of a plugin used by this application.
    * @param  {string} name
    * @return {SpringRoll.ApplicationPlugin | undefined}
    * @memberof Application
    * @instance
    */
   getPlugin(name) {
-    return Application.getPlugin(name);
+    return this.plugins.find(function(plugin) {
+      return plugin.name === name;
+    });
   }
 
   /**
-   * Validates that appropriate listeners are added for the features that were enabled in the constructor
-   * @throws Error
+   * Validates that appropriate listeners are added for the features that were enabled in the constructor. Any problems
+   * found are logged, stored in validationReport and sent to the container as a validationReport event. A strict
+   * application that is waiting on these problems finishes loading once they are fixed.
+   * @return {ValidationProblem[]} The problems found, empty if the application is valid
+   * @memberof Application
    */
   validateListeners() {
-    const missingListeners = [];
-
-    const featureToStateMap = {
-      captions: captionsMuted,
-      sound: soundVolume,
-      music: musicVolume,
-      vo: voVolume,
-      sfx: sfxVolume,
-      pointerSize: pointerSize,
-      controlSensitivity: controlSensitivity,
-      buttonSize: buttonSize,
-      removableLayers: removableLayers,
-      hudPosition: hudPosition,
-      hitAreaScale: hitAreaScale,
-      dragThresholdScale: dragThresholdScale,
-      health: health,
-      objectCount: objectCount,
-      completionPercentage: completionPercentage,
-      speedScale: speedScale,
-      timersScale: timersScale,
-      inputCount: inputCount,
-      keyBinding: keyBinding,
-      colorVision: colorVision
-    };
+    const report = [];
 
-    const keys = Object.keys(featureToStateMap);
+    // listeners added by SpringRoll itself, which don't handle the state for the game
+    const ignored = [this.pauseCoordinator.onPauseState];
 
-    for (let i = 0; i < keys.length; i++) {
-      const stateName = featureToStateMap[keys[i]];
+    const check = (feature, stateName) => {
+      const property = this.state[stateName];
 
-      if (this.features[keys[i]] && !this.state[stateName].hasListeners) {
-        missingListeners.push(stateName);
+      if (!property) {
+        report.push({ feature, state: stateName, missing: 'state' });
+      } else if (
+        !property.listeners.some(listener => ignored.indexOf(listener) === -1)
+      ) {
+        report.push({ feature, state: stateName, missing: 'listener' });
       }
-    }
+    };
 
-    if (!this.state.pause.hasListeners) {
-      missingListeners.push('pause');
+    for (let i = 0; i < this.featureDefinitions.length; i++) {
+      const feature = this.featureDefinitions[i];
+
+      if (feature.requiresListener && this.features[feature.name]) {
+        check(feature.name, feature.state);
+      }
     }
 
-    if (missingListeners.length) {
-      throw new Error(
+    check(null, pause);
+
+    this.validationReport = report;
+    this.protocol.send('validationReport', report);
+
+    if (report.length) {
+      Debugger.log(
+        this.strict ? 'error' : 'warn',
         'Application state is missing required listeners: ' +
-          missingListeners.join(', ') +
+          report.map(problem => problem.state).join(', ') +
           '.'
       );
+    } else if (this.awaitingValidation && !this.destroyed) {
+      this.awaitingValidation = false;
+      this.completeLoading();
     }
+
+    return report;
   }
 
   /**
-   * Sets default values of application state properties.
+   * Marks the application as ready and notifies the container that it has loaded.
+   * @private
+   * @memberof Application
+   */
+  completeLoading() {
+    this.state.loadProgress.value = 1;
+    this.protocol.send('loaded');
+    this.state.ready.value = true;
+  }
+
+  /**
+   * Sets default values of application state properties. Properties that were already set, by the container or by a
+   * plugin restoring saved settings, keep their value. Listeners are notified once every default has been set.
    */
   setStateDefaults() {
-    Object.keys(stateDefaults).forEach(key => this.state[key].value = stateDefaults[key]);
+    Property.batch(() => {
+      if (undefined === this.state.pause.value) {
+        this.state.pause.value = false;
+      }
+
+      for (let i = 0; i < this.featureDefinitions.length; i++) {
+        const property = this.state[this.featureDefinitions[i].state];
+
+        if (property && undefined === property.value) {
+          property.value = this.featureDefinitions[i].defaultValue;
+        }
+      }
+    });
   }
 }
 
 /**
- * The list of plugins that are currently registered to run on Applications.
+ * The list of plugins that are registered to run on every new Application. Each Application creates its own plugin list
+ * from these, so this list is never changed by an Application.
  * @static
  */
 Application._plugins = [];
 
 /**
- * Registers a plugin to be used by applications, sorting it by priority order.
- * @param {SpringRoll.ApplicationPlugin} plugin The plugin to register.
+ * Registers a plugin to be used by every new application. Plugin classes and factory functions are used to create a fresh
+ * plugin for each application. A plugin instance is shared by every application, so a warning is logged when a second
+ * application is created while another one that uses it hasn't been destroyed.
+ * @param {SpringRoll.ApplicationPlugin | Function} plugin The plugin, plugin class or plugin factory to register.
  */
 Application.uses = function(plugin) {
   Application._plugins.push(plugin);
 };
 
 /**
- * Finds a plugin by name.
+ * Sorts plugins so that every plugin comes after the registered plugins it requires or optionally depends on.
+ * Plugins without dependencies keep their registration order. Every plugin is kept when several share a name, with a
+ * warning, and plugins depending on that name depend on the first of them.
+ * @param {SpringRoll.ApplicationPlugin[]} plugins The plugins to sort.
+ * @returns {SpringRoll.ApplicationPlugin[]} A new, sorted array of plugins.
+ * @throws Error if the plugins have a circular dependency.
+ */
+Application.sortPlugins = function(plugins) {
+  const byName = {};
+  for (let i = 0; i < plugins.length; i++) {
+    const name = plugins[i].name;
+
+    if (byName[name]) {
+      Debugger.log(
+        'warn',
+        `[Application] More than one plugin is named ${name}, plugins depending on ${name} will depend on the first one`
+      );
+      continue;
+    }
+    byName[name] = plugins[i];
+  }
+
+  const sorted = [];
+  const visiting = [];
+
+  const visit = plugin => {
+    if (sorted.indexOf(plugin) !== -1) {
+      return;
+    }
+
+    const index = visiting.indexOf(plugin);
+    if (index !== -1) {
+      throw new Error(
+        'Application plugins have a circular dependency: ' +
+          visiting
+            .slice(index)
+            .concat(plugin)
+            .map(visited => visited.name)
+            .join(' -> ')
+      );
+    }
+
+    visiting.push(plugin);
+
+    const dependencies = (plugin.required || []).concat(plugin.optional || []);
+    for (let i = 0; i < dependencies.length; i++) {
+      if (byName[dependencies[i]]) {
+        visit(byName[dependencies[i]]);
+      }
+    }
+
+    visiting.pop();
+    sorted.push(plugin);
+  };
+
+  for (let i = 0; i < plugins.length; i++) {
+    visit(plugins[i]);
+  }
+
+  return sorted;
+};
+
+/**
+ * Finds a registered plugin instance by name. Use the getPlugin method of an Application to find the plugins that
+ * application is using.
  * @param {string} name The name of the plugin.
  * @returns {SpringRoll.ApplicationPlugin | undefined}
  */
 Application.getPlugin = function(name) {
   return Application._plugins.find(function(plugin) {
-    return plugin.name === name;
+    return 'function' !== typeof plugin && plugin.name === name;
   });
 };
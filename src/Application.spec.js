@@ -1,5 +1,7 @@
-import { Application, ApplicationPlugin } from './index';
+import { Application, ApplicationPlugin, Property } from './index';
 import Sinon from 'sinon';
+import { newEvent, Debugger } from './debug';
+import { BellhopSingleton } from './communication';
 
 /** */
 class SuccessPlugin extends ApplicationPlugin {
@@ -64,21 +66,56 @@ class EmptyPlugin {
   }
 }
 
+/** */
+class DependentPlugin extends ApplicationPlugin {
+  /** */
+  constructor(name, order, { required, optional, fail } = {}) {
+    super({ name, required, optional });
+    this.order = order;
+    this.fail = fail;
+  }
+
+  /** */
+  preload() {
+    this.order.push(this.name + ':preload');
+    return this.fail ? Promise.reject('failed') : Promise.resolve();
+  }
+
+  /** */
+  init() {
+    this.order.push(this.name + ':init');
+  }
+}
+
+const apps = [];
+
+const createApp = config => {
+  const app = new Application(config);
+  apps.push(app);
+  return app;
+};
+
 describe('Application', () => {
   beforeEach(() => {
     // remove any old plugins
     Application._plugins = [];
   });
 
+  afterEach(() => {
+    // applications left alive would keep listening to the window and the container in later specs
+    apps.forEach(app => app.destroy());
+    apps.length = 0;
+  });
+
   describe('constructor', () => {
     it('should default features to false for ones that are not set', () => {
-      const application = new Application({ features: { captions: true } });
+      const application = createApp({ features: { captions: true } });
       expect(application.features.captions).to.equal(true);
       expect(application.features.sound).to.equal(false);
     });
 
     it('should mark sound enabled if vo is marked as a feature', () => {
-      const application = new Application({
+      const application = createApp({
         features: { sound: false, vo: true }
       });
       expect(application.features.vo).to.equal(true);
@@ -86,7 +123,7 @@ describe('Application', () => {
     });
 
     it('should mark sound enabled if music is enabled', () => {
-      const application = new Application({
+      const application = createApp({
         features: { sound: false, music: true }
       });
       expect(application.features.music).to.equal(true);
@@ -94,7 +131,7 @@ describe('Application', () => {
     });
 
     it('should mark sound enabled if sfx is enabled', () => {
-      const application = new Application({
+      const application = createApp({
         features: { sound: false, sfx: true }
       });
       expect(application.features.sfx).to.equal(true);
@@ -105,7 +142,7 @@ describe('Application', () => {
       const plugin = new SuccessPlugin();
       Application.uses(plugin);
 
-      const app = new Application();
+      const app = createApp();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
         expect(plugin.preloadCalled).to.be.true;
@@ -117,7 +154,7 @@ describe('Application', () => {
       const plugin = new FailPlugin();
       Application.uses(plugin);
 
-      const app = new Application();
+      const app = createApp();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
         expect(plugin.preloadCalled).to.be.true;
@@ -132,7 +169,7 @@ describe('Application', () => {
       const pluginB = new SuccessPlugin();
       Application.uses(pluginB);
 
-      const app = new Application();
+      const app = createApp();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
         expect(pluginB.preloadCalled).to.be.true;
@@ -144,7 +181,7 @@ describe('Application', () => {
       const plugin = new FailPlugin();
       Application.uses(plugin);
 
-      const app = new Application();
+      const app = createApp();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
         expect(!plugin.initCalled).to.be.true;
@@ -156,7 +193,7 @@ describe('Application', () => {
       const plugin = new FailPlugin();
       Application.uses(plugin);
 
-      const app = new Application();
+      const app = createApp();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
         expect(!plugin.startCalled).to.be.true;
@@ -168,10 +205,10 @@ describe('Application', () => {
       const plugin = new FailPlugin();
       Application.uses(plugin);
 
-      const app = new Application();
+      const app = createApp();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
-        expect(Application._plugins.length).to.equal(0);
+        expect(app.plugins.length).to.equal(0);
         done();
       });
     });
@@ -183,10 +220,10 @@ describe('Application', () => {
       Application.uses(emptyPlugin);
       Application.uses(successPlugin);
 
-      const app = new Application();
+      const app = createApp();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
-        expect(Application._plugins.length).to.equal(2);
+        expect(app.plugins.length).to.equal(2);
         expect(!emptyPlugin.preloadCalled).to.be.true;
         expect(successPlugin.preloadCalled).to.be.true;
         done();
@@ -194,7 +231,7 @@ describe('Application', () => {
     });
 
     it('should be able to dispatch each difficulty type event', () => {
-      const app = new Application({
+      const app = createApp({
         hitAreaScale: true,
         dragThresholdScale: true,
         health: true,
@@ -234,10 +271,10 @@ describe('Application', () => {
       Application.uses(emptyPlugin);
       Application.uses(successPlugin);
 
-      const app = new Application();
+      const app = createApp();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
-        expect(Application._plugins.length).to.equal(2);
+        expect(app.plugins.length).to.equal(2);
         expect(!emptyPlugin.initCalled).to.be.true;
         expect(successPlugin.initCalled).to.be.true;
         done();
@@ -251,10 +288,10 @@ describe('Application', () => {
       Application.uses(emptyPlugin);
       Application.uses(successPlugin);
 
-      const app = new Application();
+      const app = createApp();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
-        expect(Application._plugins.length).to.equal(2);
+        expect(app.plugins.length).to.equal(2);
         expect(!emptyPlugin.startCalled).to.be.true;
         expect(successPlugin.startCalled).to.be.true;
         done();
@@ -272,11 +309,11 @@ describe('Application', () => {
       const plugin = new SuccessPlugin();
       Application.uses(plugin);
 
-      const app = new Application();
+      const app = createApp();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
 
-        const found = Application.getPlugin('success plugin');
+        const found = app.getPlugin('success plugin');
         expect(found).to.be.instanceOf(SuccessPlugin);
         done();
       });
@@ -286,11 +323,11 @@ describe('Application', () => {
       const plugin = new SuccessPlugin();
       Application.uses(plugin);
 
-      const app = new Application();
+      const app = createApp();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
 
-        const found = Application.getPlugin('not a plugin name');
+        const found = app.getPlugin('not a plugin name');
         expect(found).to.be.undefined;
         done();
       });
@@ -300,19 +337,427 @@ describe('Application', () => {
       const plugin = new FailPlugin();
       Application.uses(plugin);
 
-      const app = new Application();
+      const app = createApp();
       app.state.ready.subscribe(function(isReady) {
         expect(isReady).to.be.true;
 
-        const found = Application.getPlugin('failed plugin');
+        const found = app.getPlugin('failed plugin');
         expect(found).to.be.undefined;
         done();
       });
     });
   });
 
+  describe('plugin registry', () => {
+    it('should not remove failed plugins from the registered plugins', done => {
+      Application.uses(new FailPlugin());
+
+      const app = createApp();
+      app.state.ready.subscribe(() => {
+        expect(app.plugins.length).to.equal(0);
+        expect(Application._plugins.length).to.equal(1);
+        expect(Application.getPlugin('failed plugin')).to.be.instanceOf(FailPlugin);
+        done();
+      });
+    });
+
+    it('should create a fresh plugin for each application from a registered plugin class', () => {
+      Application.uses(SuccessPlugin);
+
+      const appA = createApp();
+      const appB = createApp();
+
+      expect(appA.getPlugin('success plugin')).to.be.instanceOf(SuccessPlugin);
+      expect(appB.getPlugin('success plugin')).to.be.instanceOf(SuccessPlugin);
+      expect(appA.getPlugin('success plugin')).to.not.equal(appB.getPlugin('success plugin'));
+      expect(Application.getPlugin('success plugin')).to.be.undefined;
+    });
+
+    it('should create a fresh plugin for each application from a registered factory', () => {
+      Application.uses(() => new ApplicationPlugin({ name: 'factory' }));
+
+      const appA = createApp();
+      const appB = createApp();
+
+      expect(appA.getPlugin('factory')).to.be.instanceOf(ApplicationPlugin);
+      expect(appA.getPlugin('factory')).to.not.equal(appB.getPlugin('factory'));
+    });
+
+    it('should warn when a registered plugin instance is shared by two applications', () => {
+      const plugin = new ApplicationPlugin({ name: 'shared' });
+      Application.uses(plugin);
+      const log = Sinon.stub(Debugger, 'log');
+
+      try {
+        const appA = createApp();
+        expect(log.called).to.be.false;
+
+        const appB = createApp();
+        expect(appA.getPlugin('shared')).to.equal(plugin);
+        expect(appB.getPlugin('shared')).to.equal(plugin);
+        expect(log.calledOnceWith('warn')).to.be.true;
+
+        appA.destroy();
+        appB.destroy();
+        createApp();
+        expect(log.calledOnce).to.be.true;
+      } finally {
+        log.restore();
+      }
+    });
+
+    it('should only use configured plugins in the application they were passed to', () => {
+      Application.uses(() => new ApplicationPlugin({ name: 'shared' }));
+
+      const appA = createApp({ plugins: [SuccessPlugin] });
+      const appB = createApp();
+
+      expect(appA.getPlugin('shared')).to.not.be.undefined;
+      expect(appA.getPlugin('success plugin')).to.be.instanceOf(SuccessPlugin);
+      expect(appB.getPlugin('shared')).to.not.be.undefined;
+      expect(appB.getPlugin('success plugin')).to.be.undefined;
+    });
+  });
+
+  describe('preload progress', () => {
+    it('should update loadProgress as each plugin finishes preloading', done => {
+      const order = [];
+      Application.uses(new DependentPlugin('a', order));
+      Application.uses(new DependentPlugin('b', order, { fail: true }));
+
+      const app = createApp();
+      const progress = [];
+      app.state.loadProgress.subscribe(value => progress.push(value));
+
+      app.state.ready.subscribe(() => {
+        expect(progress).to.deep.equal([0.5, 1]);
+        done();
+      });
+    });
+
+    it('should send loadProgress to the container', done => {
+      const send = Sinon.spy(BellhopSingleton, 'send');
+      const app = createApp();
+
+      app.state.ready.subscribe(() => {
+        send.restore();
+        expect(send.calledWith('loadProgress', 1)).to.be.true;
+        expect(send.calledWith('loaded')).to.be.true;
+        done();
+      });
+    });
+
+    it('should fail plugins whose preload times out', done => {
+      const plugin = new SuccessPlugin();
+      plugin.preload = () => new Promise(() => {});
+      Application.uses(plugin);
+
+      const app = createApp({ preloadTimeout: 10 });
+      app.state.ready.subscribe(isReady => {
+        expect(isReady).to.be.true;
+        expect(app.getPlugin('success plugin')).to.be.undefined;
+        expect(!plugin.initCalled).to.be.true;
+        expect(app.preloadTimers.length).to.equal(0);
+        done();
+      });
+    });
+
+    it('should use the preloadTimeout of the plugin over the application', done => {
+      const plugin = new ApplicationPlugin({ name: 'slow', preloadTimeout: 0 });
+      plugin.preload = () => new Promise(resolve => setTimeout(resolve, 20));
+      Application.uses(plugin);
+
+      const app = createApp({ preloadTimeout: 1 });
+      app.state.ready.subscribe(() => {
+        expect(app.getPlugin('slow')).to.equal(plugin);
+        done();
+      });
+    });
+  });
+
+  describe('validateListeners', () => {
+    it('should report each enabled feature that is missing a listener', () => {
+      const app = createApp({ features: { sound: true, captions: true } });
+      app.state.captionsMuted.subscribe(() => {});
+
+      expect(app.validateListeners()).to.deep.equal([
+        { feature: 'sound', state: 'soundVolume', missing: 'listener' },
+        { feature: null, state: 'pause', missing: 'listener' }
+      ]);
+      expect(app.validationReport.length).to.equal(2);
+    });
+
+    it('should report enabled features whose state does not exist', () => {
+      const app = createApp({ features: { health: true } });
+      app.state.pause.subscribe(() => {});
+      delete app.state.health;
+
+      expect(app.validateListeners()).to.deep.equal([
+        { feature: 'health', state: 'health', missing: 'state' }
+      ]);
+    });
+
+    it('should send the report to the container', () => {
+      const app = createApp();
+      const send = Sinon.stub(app.container, 'send');
+      app.state.pause.subscribe(() => {});
+
+      app.validateListeners();
+      send.restore();
+
+      expect(send.calledWith('validationReport', [])).to.be.true;
+    });
+
+    it('should still set state defaults and become ready if listeners are missing', done => {
+      const app = createApp({ features: { sound: true } });
+
+      app.state.ready.subscribe(() => {
+        expect(app.validationReport.length).to.equal(2);
+        expect(app.state.soundVolume.value).to.equal(1);
+        done();
+      });
+    });
+
+    it('should not become ready in strict mode until the problems are fixed', done => {
+      const app = createApp({ features: { sound: true }, strict: true });
+
+      setTimeout(() => {
+        expect(app.state.ready.value).to.be.false;
+        expect(app.awaitingValidation).to.be.true;
+
+        app.state.pause.subscribe(() => {});
+        app.state.soundVolume.subscribe(() => {});
+        app.validateListeners();
+
+        expect(app.state.ready.value).to.be.true;
+        done();
+      }, 10);
+    });
+  });
+
+  describe('custom features', () => {
+    const reducedMotion = {
+      name: 'reducedMotion',
+      defaultValue: false,
+      validator: value => 'boolean' === typeof value
+    };
+
+    it('should report custom features to the container', () => {
+      const send = Sinon.spy(BellhopSingleton, 'send');
+      const app = createApp({
+        features: { reducedMotion: true },
+        customFeatures: [reducedMotion, { name: 'subtitleLanguage' }]
+      });
+      send.restore();
+
+      const features = send.args.find(args => args[0] === 'features')[1];
+      expect(features.reducedMotion).to.be.true;
+      expect(features.subtitleLanguage).to.be.false;
+      expect(app.state.reducedMotion).to.be.instanceOf(Property);
+    });
+
+    it('should keep the custom state in sync with the container', () => {
+      const app = createApp({
+        customFeatures: [{ name: 'subtitleLanguage', event: 'setSubtitleLanguage' }]
+      });
+
+      BellhopSingleton.trigger({ type: 'setSubtitleLanguage', data: 'fr' });
+      expect(app.state.subtitleLanguage.value).to.equal('fr');
+    });
+
+    it('should ignore container values rejected by the validator', () => {
+      const app = createApp({ customFeatures: [reducedMotion] });
+
+      BellhopSingleton.trigger({ type: 'reducedMotion', data: 'yes' });
+      expect(app.state.reducedMotion.value).to.be.undefined;
+
+      BellhopSingleton.trigger({ type: 'reducedMotion', data: true });
+      expect(app.state.reducedMotion.value).to.be.true;
+    });
+
+    it('should set the custom default value and validate its listener', done => {
+      const app = createApp({
+        features: { reducedMotion: true },
+        customFeatures: [reducedMotion]
+      });
+      app.state.pause.subscribe(() => {});
+
+      app.state.ready.subscribe(() => {
+        expect(app.state.reducedMotion.value).to.be.false;
+        expect(app.validationReport).to.deep.equal([
+          { feature: 'reducedMotion', state: 'reducedMotion', missing: 'listener' }
+        ]);
+        done();
+      });
+    });
+
+    it('should not redefine built in features', () => {
+      const app = createApp({
+        customFeatures: [{ name: 'sound', state: 'loudness' }]
+      });
+
+      expect(app.state.loudness).to.be.undefined;
+    });
+  });
+
+  describe('state validation', () => {
+    it('should clamp container values and report the correction', () => {
+      const app = createApp();
+      const send = Sinon.spy(BellhopSingleton, 'send');
+
+      BellhopSingleton.trigger({ type: 'soundVolume', data: 4 });
+      send.restore();
+
+      expect(app.state.soundVolume.value).to.equal(1);
+      const report = send.args.find(args => args[0] === 'invalidState')[1];
+      expect(report).to.deep.include({
+        state: 'soundVolume',
+        value: 4,
+        rejected: false,
+        correctedValue: 1
+      });
+    });
+
+    it('should ignore invalid container values and report them', () => {
+      const app = createApp();
+      app.state.colorVision.value = 'Protanopia';
+      const send = Sinon.spy(BellhopSingleton, 'send');
+
+      BellhopSingleton.trigger({ type: 'colorVision', data: 'sepia' });
+      send.restore();
+
+      expect(app.state.colorVision.value).to.equal('Protanopia');
+      const report = send.args.find(args => args[0] === 'invalidState')[1];
+      expect(report).to.deep.include({ state: 'colorVision', rejected: true });
+    });
+
+    it('should validate the shape of the captions styles', () => {
+      const app = createApp();
+
+      BellhopSingleton.trigger({ type: 'captionsStyles', data: { size: 3 } });
+      expect(app.state.captionsStyles.value).to.be.undefined;
+
+      BellhopSingleton.trigger({ type: 'captionsStyles', data: { size: 'lg' } });
+      expect(app.state.captionsStyles.value).to.deep.equal({ size: 'lg' });
+    });
+  });
+
+  describe('session lifecycle', () => {
+    let send;
+
+    beforeEach(() => {
+      send = Sinon.spy(BellhopSingleton, 'send');
+    });
+
+    afterEach(() => {
+      send.restore();
+    });
+
+    it('should end the game once', () => {
+      const app = createApp();
+      const ended = Sinon.fake();
+      app.state.gameEnded.subscribe(ended);
+
+      expect(app.endGame('failed')).to.be.true;
+      expect(app.endGame()).to.be.false;
+
+      expect(send.calledWith('endGame', { reason: 'failed' })).to.be.true;
+      expect(send.withArgs('endGame').callCount).to.equal(1);
+      expect(ended.callCount).to.equal(1);
+      expect(app.state.endReason.value).to.equal('failed');
+      app.destroy();
+    });
+
+    it('should report progress and checkpoints', () => {
+      const app = createApp();
+
+      expect(app.reportProgress(150, 'castle')).to.be.true;
+      expect(app.reportProgress(20)).to.be.true;
+
+      expect(send.calledWith('progress', { percent: 100, checkpoint: 'castle' })).to.be.true;
+      expect(send.calledWith('progress', { percent: 20 })).to.be.true;
+      expect(app.state.progress.value).to.equal(20);
+      expect(app.state.checkpoint.value).to.equal('castle');
+      app.destroy();
+    });
+
+    it('should not report invalid progress', () => {
+      const app = createApp();
+
+      expect(app.reportProgress('most')).to.be.false;
+      expect(app.reportProgress(50, 3)).to.be.false;
+
+      expect(send.withArgs('progress').callCount).to.equal(0);
+      expect(app.state.progress.value).to.equal(0);
+      expect(app.state.checkpoint.value).to.equal(null);
+      app.destroy();
+    });
+
+    it('should ask the container to restart or close the game', () => {
+      const app = createApp();
+
+      expect(app.requestRestart()).to.be.true;
+      expect(app.requestClose()).to.be.true;
+
+      expect(send.calledWith('requestRestart')).to.be.true;
+      expect(send.calledWith('requestClose')).to.be.true;
+      app.destroy();
+    });
+  });
+
+  describe('destroy', () => {
+    it('should stop listening to the window and the container', () => {
+      const app = createApp();
+      const container = app.container;
+      app.destroy();
+
+      // other applications are still listening to the shared container, so give this one its own
+      app.protocol = { send: Sinon.fake() };
+      window.dispatchEvent(newEvent('focus'));
+      window.dispatchEvent(newEvent('blur'));
+
+      container.trigger({ type: 'soundVolume', data: 0.25 });
+
+      expect(app.protocol.send.callCount).to.equal(0);
+      expect(app.state.soundVolume.value).to.not.equal(0.25);
+      expect(app.containerListeners.length).to.equal(0);
+    });
+
+    it('should destroy plugins in reverse order', done => {
+      const order = [];
+      Application.uses(new DependentPlugin('a', order));
+      Application.uses(new DependentPlugin('b', order, { required: ['a'] }));
+
+      const app = createApp();
+      app.plugins.forEach(plugin => {
+        plugin.destroy = () => order.push(plugin.name + ':destroy');
+      });
+
+      app.state.ready.subscribe(() => {
+        app.destroy();
+        expect(order.slice(-2)).to.deep.equal(['b:destroy', 'a:destroy']);
+        expect(app.plugins.length).to.equal(0);
+        done();
+      });
+    });
+
+    it('should not become ready or start plugins if destroyed while loading', done => {
+      const plugin = new SuccessPlugin();
+      Application.uses(plugin);
+
+      const app = createApp();
+      app.destroy();
+
+      setTimeout(() => {
+        expect(app.state.ready.value).to.be.false;
+        expect(!plugin.initCalled).to.be.true;
+        done();
+      }, 10);
+    });
+  });
+
   it('should not contain any undefined state property values', done => {
-    const app = new Application();
+    const app = createApp();
     app.state.pause.subscribe(() => {}); // Add a listener to avoid non-listener errors from the pause feature.
     app.state.ready.subscribe(isReady => {
       Object.keys(app.state).forEach(key => {
@@ -321,4 +766,165 @@ describe('Application', () => {
       done();
     });
   });
+
+  describe('plugin dependencies', () => {
+    beforeEach(() => {
+      Application._plugins = [];
+    });
+
+    it('should run required plugins before the plugins that depend on them', done => {
+      const order = [];
+      Application.uses(new DependentPlugin('analytics', order, { required: ['sound'] }));
+      Application.uses(new DependentPlugin('sound', order));
+
+      const app = createApp();
+      app.state.ready.subscribe(() => {
+        expect(order).to.deep.equal([
+          'sound:preload',
+          'analytics:preload',
+          'sound:init',
+          'analytics:init'
+        ]);
+        done();
+      });
+    });
+
+    it('should run optional plugins first if they are registered', done => {
+      const order = [];
+      Application.uses(new DependentPlugin('a', order, { optional: ['b', 'c'] }));
+      Application.uses(new DependentPlugin('b', order));
+
+      const app = createApp();
+      app.state.ready.subscribe(() => {
+        expect(order).to.deep.equal(['b:preload', 'a:preload', 'b:init', 'a:init']);
+        done();
+      });
+    });
+
+    it('should skip plugins that are missing a required plugin', done => {
+      const order = [];
+      Application.uses(new DependentPlugin('a', order, { required: ['missing'] }));
+
+      const app = createApp();
+      app.state.ready.subscribe(() => {
+        expect(order).to.deep.equal([]);
+        expect(app.getPlugin('a')).to.be.undefined;
+        done();
+      });
+    });
+
+    it('should skip plugins whose required plugin failed to preload', done => {
+      const order = [];
+      Application.uses(new DependentPlugin('a', order, { required: ['b'] }));
+      Application.uses(new DependentPlugin('b', order, { fail: true }));
+      Application.uses(new DependentPlugin('c', order, { required: ['a'] }));
+
+      const app = createApp();
+      app.state.ready.subscribe(() => {
+        expect(order).to.deep.equal(['b:preload']);
+        expect(app.plugins.length).to.equal(0);
+        done();
+      });
+    });
+
+    it('should not skip plugins whose optional plugin failed to preload', done => {
+      const order = [];
+      Application.uses(new DependentPlugin('a', order, { optional: ['b'] }));
+      Application.uses(new DependentPlugin('b', order, { fail: true }));
+
+      const app = createApp();
+      app.state.ready.subscribe(() => {
+        expect(order).to.deep.equal(['b:preload', 'a:preload', 'a:init']);
+        done();
+      });
+    });
+
+    it('should skip plugins whose preload throws like plugins whose preload rejects', done => {
+      const order = [];
+      const throwing = new ApplicationPlugin({ name: 'b' });
+      throwing.preload = () => {
+        throw new Error('failed');
+      };
+      Application.uses(new DependentPlugin('a', order, { required: ['b'] }));
+      Application.uses(throwing);
+      Application.uses(new DependentPlugin('c', order, { optional: ['b'] }));
+
+      const app = createApp();
+      app.state.ready.subscribe(isReady => {
+        expect(isReady).to.be.true;
+        expect(order).to.deep.equal(['c:preload', 'c:init']);
+        expect(app.plugins.map(plugin => plugin.name)).to.deep.equal(['c']);
+        done();
+      });
+    });
+
+    it('should run every plugin when several share a name', done => {
+      const order = [];
+      const log = Sinon.stub(Debugger, 'log');
+      Application.uses(new DependentPlugin('a', order));
+      Application.uses(new DependentPlugin('a', order));
+
+      const app = createApp();
+      log.restore();
+      app.state.ready.subscribe(() => {
+        expect(order).to.deep.equal(['a:preload', 'a:preload', 'a:init', 'a:init']);
+        done();
+      });
+    });
+
+    it('should still become ready if plugins have a circular dependency', done => {
+      const order = [];
+      Application.uses(new DependentPlugin('a', order, { required: ['b'] }));
+      Application.uses(new DependentPlugin('b', order, { required: ['a'] }));
+
+      const app = createApp();
+      app.state.ready.subscribe(isReady => {
+        expect(isReady).to.be.true;
+        expect(order).to.deep.equal([]);
+        done();
+      });
+    });
+  });
+
+  describe('sortPlugins', () => {
+    it('should keep the registration order of plugins without dependencies', () => {
+      const plugins = [
+        new ApplicationPlugin({ name: 'a' }),
+        new ApplicationPlugin({ name: 'b' }),
+        new EmptyPlugin()
+      ];
+      expect(Application.sortPlugins(plugins)).to.deep.equal(plugins);
+    });
+
+    it('should sort dependencies before dependents', () => {
+      const a = new ApplicationPlugin({ name: 'a', required: ['c'] });
+      const b = new ApplicationPlugin({ name: 'b', optional: ['a'] });
+      const c = new ApplicationPlugin({ name: 'c' });
+      expect(Application.sortPlugins([b, a, c])).to.deep.equal([c, a, b]);
+    });
+
+    it('should keep every plugin sharing a name, warning about it', () => {
+      const first = new ApplicationPlugin({ name: 'a' });
+      const second = new ApplicationPlugin({ name: 'a' });
+      const b = new ApplicationPlugin({ name: 'b', required: ['a'] });
+      const log = Sinon.stub(Debugger, 'log');
+
+      try {
+        expect(Application.sortPlugins([b, first, second])).to.deep.equal([
+          first,
+          b,
+          second
+        ]);
+        expect(log.calledOnceWith('warn')).to.be.true;
+      } finally {
+        log.restore();
+      }
+    });
+
+    it('should throw if plugins have a circular dependency', () => {
+      const a = new ApplicationPlugin({ name: 'a', required: ['b'] });
+      const b = new ApplicationPlugin({ name: 'b', optional: ['a'] });
+      expect(() => Application.sortPlugins([a, b])).to.throw('a -> b -> a');
+    });
+  });
 });
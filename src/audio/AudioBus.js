@@ -0,0 +1,101 @@
+/**
+ * A channel the sounds of a SoundManager play through, such as music, with its own gain. With Web Audio, the bus is a
+ * GainNode every sound on it connects to. Without it, the bus applies its gain to the volume of each sound.
+ * @class AudioBus
+ * @property {string} name the channel of the bus
+ * @property {number} volume the volume of the channel, between 0 and 1
+ * @property {number} masterVolume the volume of every channel, between 0 and 1
+ * @property {number} duck how much the bus is turned down while ducked, 1 when it isn't
+ * @property {Array<SoundInstance>} instances the sounds playing on the bus
+ * @property {GainNode | null} node the gain node of the bus, null without Web Audio
+ */
+export class AudioBus {
+  /**
+   * Creates a new AudioBus.
+   * @param {string} name
+   * @param {AudioContext | null} [context=null] The Web Audio context to create the bus in, or null for HTMLAudio.
+   */
+  constructor(name, context = null) {
+    this.name = name;
+    this.context = context;
+    this.volume = 1;
+    this.masterVolume = 1;
+    this.duck = 1;
+    this.instances = [];
+    this.node = null;
+
+    if (context) {
+      this.node = context.createGain();
+      this.node.connect(context.destination);
+    }
+  }
+
+  /**
+   * The gain applied to every sound on the bus.
+   * @type {number}
+   * @memberof AudioBus
+   */
+  get gain() {
+    return this.volume * this.masterVolume * this.duck;
+  }
+
+  /**
+   * Applies a change of volume, masterVolume or duck.
+   * @param {number} [fadeTime=0] Time in seconds to fade to the new gain over. Only Web Audio can fade.
+   * @memberof AudioBus
+   */
+  update(fadeTime = 0) {
+    if (!this.node) {
+      for (let i = 0; i < this.instances.length; i++) {
+        this.instances[i].updateVolume();
+      }
+      return;
+    }
+
+    const now = this.context.currentTime;
+    const param = this.node.gain;
+
+    param.cancelScheduledValues(now);
+    if (fadeTime > 0) {
+      // setTargetAtTime gets within 5% of the target after 3 time constants
+      param.setTargetAtTime(this.gain, now, fadeTime / 3);
+    } else {
+      param.setValueAtTime(this.gain, now);
+    }
+  }
+
+  /**
+   * Adds a sound playing on the bus.
+   * @param {SoundInstance} instance
+   * @memberof AudioBus
+   */
+  add(instance) {
+    if (this.instances.indexOf(instance) === -1) {
+      this.instances.push(instance);
+    }
+  }
+
+  /**
+   * Removes a sound that stopped playing on the bus.
+   * @param {SoundInstance} instance
+   * @memberof AudioBus
+   */
+  remove(instance) {
+    const index = this.instances.indexOf(instance);
+
+    if (index !== -1) {
+      this.instances.splice(index, 1);
+    }
+  }
+
+  /**
+   * Disconnects the bus.
+   * @memberof AudioBus
+   */
+  destroy() {
+    if (this.node) {
+      this.node.disconnect();
+    }
+    this.instances.length = 0;
+  }
+}
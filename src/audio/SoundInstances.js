@@ -0,0 +1,369 @@
+/**
+ * A sound played by a SoundManager. It plays until it ends or is stopped, and can be paused and resumed on its own.
+ * @class SoundInstance
+ * @property {string} id the id of the sound that is playing
+ * @property {AudioBus} bus the bus the sound plays through
+ * @property {boolean} loop whether the sound starts over when it ends
+ * @property {number} volume the volume of the sound, between 0 and 1, before the bus gain
+ * @property {boolean} paused whether the sound was paused with pause()
+ * @property {boolean} ended whether the sound has ended or was stopped
+ */
+export class SoundInstance {
+  /**
+   * Creates a new SoundInstance.
+   * @param {object} options
+   * @param {string} options.id The id of the sound.
+   * @param {AudioBus} options.bus The bus to play through.
+   * @param {boolean} [options.loop=false] Whether to start over when the sound ends.
+   * @param {number} [options.volume=1] The volume of the sound.
+   * @param {number} [options.offset=0] Where to start playing, in seconds.
+   * @param {function(SoundInstance)} [options.onEnd] Called when the sound ends on its own, not when it is stopped.
+   * @param {function(SoundInstance)} [options.onChange] Called when the sound starts or stops playing.
+   */
+  constructor({ id, bus, loop = false, volume = 1, offset = 0, onEnd = null, onChange = () => {} }) {
+    this.id = id;
+    this.bus = bus;
+    this.loop = loop;
+    this.volume = volume;
+    this.offset = offset;
+    this.onEnd = onEnd;
+    this.onChange = onChange;
+    this.paused = false;
+    this.ended = false;
+  }
+
+  /**
+   * Whether the sound is playing, which it is until it is paused, ends, or is stopped.
+   * @type {boolean}
+   * @memberof SoundInstance
+   */
+  get playing() {
+    return !this.paused && !this.ended;
+  }
+
+  /**
+   * Pauses the sound, keeping its place.
+   * @memberof SoundInstance
+   */
+  pause() {
+    if (!this.playing) {
+      return;
+    }
+
+    this.paused = true;
+    this.halt();
+    this.onChange(this);
+  }
+
+  /**
+   * Resumes a paused sound from where it was paused.
+   * @memberof SoundInstance
+   */
+  resume() {
+    if (!this.paused || this.ended) {
+      return;
+    }
+
+    this.paused = false;
+    this.run();
+    this.onChange(this);
+  }
+
+  /**
+   * Stops the sound for good. onEnd isn't called.
+   * @memberof SoundInstance
+   */
+  stop() {
+    if (this.ended) {
+      return;
+    }
+
+    this.halt();
+    this.finish(false);
+  }
+
+  /**
+   * Moves the sound to a time, keeping it playing or paused.
+   * @param {number} time Time in seconds, from the start of the sound.
+   * @memberof SoundInstance
+   */
+  seek(time) {
+    if (this.ended) {
+      return;
+    }
+
+    this.moveTo(Math.max(0, time));
+  }
+
+  /**
+   * Changes the volume of the sound.
+   * @param {number} volume Between 0 and 1.
+   * @memberof SoundInstance
+   */
+  setVolume(volume) {
+    this.volume = volume;
+    this.updateVolume();
+  }
+
+  /**
+   * Marks the sound as ended.
+   * @param {boolean} completed Whether the sound ended on its own.
+   * @private
+   * @memberof SoundInstance
+   */
+  finish(completed) {
+    this.ended = true;
+    this.release();
+    this.bus.remove(this);
+    this.onChange(this);
+
+    if (completed && this.onEnd) {
+      this.onEnd(this);
+    }
+  }
+}
+
+/**
+ * A sound played from a decoded AudioBuffer with Web Audio.
+ * @class WebAudioSound
+ * @extends SoundInstance
+ */
+export class WebAudioSound extends SoundInstance {
+  /**
+   * Creates a new WebAudioSound.
+   * @param {object} options The options of a SoundInstance, and:
+   * @param {AudioContext} options.context The context to play in.
+   * @param {AudioBuffer} options.buffer The sound to play.
+   */
+  constructor(options) {
+    super(options);
+    this.context = options.context;
+    this.buffer = options.buffer;
+    this.source = null;
+    this.startedAt = 0;
+
+    this.gainNode = this.context.createGain();
+    this.gainNode.connect(this.bus.node);
+    this.updateVolume();
+  }
+
+  /**
+   * The length of the sound in seconds.
+   * @type {number}
+   * @memberof WebAudioSound
+   */
+  get duration() {
+    return this.buffer.duration;
+  }
+
+  /**
+   * How far into the sound it is, in seconds.
+   * @type {number}
+   * @memberof WebAudioSound
+   */
+  get currentTime() {
+    if (!this.source) {
+      return this.offset;
+    }
+
+    const elapsed = this.context.currentTime - this.startedAt;
+    return this.loop ? elapsed % this.duration : Math.min(elapsed, this.duration);
+  }
+
+  /**
+   * Starts playing from the offset. Called by the SoundManager, and when resumed.
+   * @memberof WebAudioSound
+   */
+  run() {
+    const source = this.context.createBufferSource();
+    const offset = this.loop ? this.offset % this.duration : this.offset;
+
+    source.buffer = this.buffer;
+    source.loop = this.loop;
+    source.connect(this.gainNode);
+    source.onended = () => {
+      if (this.source === source) {
+        this.source = null;
+        this.offset = this.duration;
+        this.finish(true);
+      }
+    };
+
+    this.source = source;
+    this.startedAt = this.context.currentTime - offset;
+    source.start(0, offset);
+  }
+
+  /**
+   * Starts the buffer source over at a time, if it was playing.
+   * @param {number} time
+   * @private
+   * @memberof WebAudioSound
+   */
+  moveTo(time) {
+    const running = !!this.source;
+
+    this.halt();
+    this.offset = Math.min(time, this.duration);
+
+    if (running) {
+      this.run();
+    }
+  }
+
+  /**
+   * Stops the buffer source, keeping the offset it got to.
+   * @private
+   * @memberof WebAudioSound
+   */
+  halt() {
+    if (!this.source) {
+      return;
+    }
+
+    const source = this.source;
+    this.offset = this.currentTime;
+    this.source = null;
+
+    source.onended = null;
+    source.stop();
+    source.disconnect();
+  }
+
+  /**
+   * Disconnects the sound once it has ended.
+   * @private
+   * @memberof WebAudioSound
+   */
+  release() {
+    this.gainNode.disconnect();
+  }
+
+  /**
+   * Applies the volume of the sound. The bus gain is applied by the bus node.
+   * @memberof WebAudioSound
+   */
+  updateVolume() {
+    this.gainNode.gain.value = this.volume;
+  }
+}
+
+/**
+ * A sound played with an HTMLAudioElement, for browsers without Web Audio.
+ * @class HtmlAudioSound
+ * @extends SoundInstance
+ * @property {HTMLAudioElement} element the element playing the sound
+ * @property {boolean} suspended whether the SoundManager has paused every sound
+ * @property {boolean} blocked whether the browser refused to play the sound before the player interacted with the page
+ */
+export class HtmlAudioSound extends SoundInstance {
+  /**
+   * Creates a new HtmlAudioSound.
+   * @param {object} options The options of a SoundInstance, and:
+   * @param {HTMLAudioElement} options.element The element to play.
+   */
+  constructor(options) {
+    super(options);
+    this.element = options.element;
+    this.suspended = false;
+    this.blocked = false;
+
+    this.element.loop = this.loop;
+    this.element.currentTime = this.offset;
+    this.element.onended = () => {
+      if (!this.loop) {
+        this.finish(true);
+      }
+    };
+    this.updateVolume();
+  }
+
+  /**
+   * The length of the sound in seconds, NaN until the element has loaded it.
+   * @type {number}
+   * @memberof HtmlAudioSound
+   */
+  get duration() {
+    return this.element.duration;
+  }
+
+  /**
+   * How far into the sound it is, in seconds.
+   * @type {number}
+   * @memberof HtmlAudioSound
+   */
+  get currentTime() {
+    return this.element.currentTime;
+  }
+
+  /**
+   * Plays the element, unless paused or suspended. Called by the SoundManager, and when resumed.
+   * @memberof HtmlAudioSound
+   */
+  run() {
+    if (this.ended || this.paused || this.suspended) {
+      return;
+    }
+
+    this.blocked = false;
+    const played = this.element.play();
+
+    // browsers refuse to play before the player has interacted with the page
+    if (played && 'function' === typeof played.catch) {
+      played.catch(() => {
+        this.blocked = this.playing && !this.suspended;
+      });
+    }
+  }
+
+  /**
+   * Pauses or resumes the sound along with every other sound of the SoundManager, keeping its own paused state.
+   * @param {boolean} suspended
+   * @memberof HtmlAudioSound
+   */
+  suspend(suspended) {
+    this.suspended = suspended;
+
+    if (suspended) {
+      this.halt();
+    } else {
+      this.run();
+    }
+  }
+
+  /**
+   * Moves the element to a time.
+   * @param {number} time
+   * @private
+   * @memberof HtmlAudioSound
+   */
+  moveTo(time) {
+    this.element.currentTime = time;
+  }
+
+  /**
+   * Pauses the element.
+   * @private
+   * @memberof HtmlAudioSound
+   */
+  halt() {
+    this.element.pause();
+  }
+
+  /**
+   * Lets go of the element once the sound has ended.
+   * @private
+   * @memberof HtmlAudioSound
+   */
+  release() {
+    this.element.onended = null;
+  }
+
+  /**
+   * Applies the volume of the sound and the gain of its bus.
+   * @memberof HtmlAudioSound
+   */
+  updateVolume() {
+    this.element.volume = Math.max(0, Math.min(1, this.volume * this.bus.gain));
+  }
+}
@@ -0,0 +1,472 @@
+import { Property } from '../state/Property';
+import { Debugger } from '../debug/Debugger';
+import { AudioBus } from './AudioBus';
+import { WebAudioSound, HtmlAudioSound } from './SoundInstances';
+
+/**
+ * The channels sounds play through, each with its own volume.
+ */
+export const AUDIO_CHANNEL = {
+  MUSIC: 'music',
+  VO: 'vo',
+  SFX: 'sfx'
+};
+
+// the application state holding the volume of each channel
+const channelVolumes = {
+  music: 'musicVolume',
+  vo: 'voVolume',
+  sfx: 'sfxVolume'
+};
+
+// interactions that let browsers start audio
+const unlockEvents = ['pointerdown', 'mousedown', 'touchend', 'keydown'];
+
+/**
+ * Gets the volume a state value sets, full volume until the container sets one.
+ * @param {*} value
+ * @return {number}
+ * @private
+ */
+function toVolume(value) {
+  return 'number' === typeof value ? value : 1;
+}
+
+/**
+ * Logs the failure of a Web Audio context to suspend, resume or close, such as when it has already been closed, instead
+ * of leaving the promise rejected.
+ * @param {Promise | undefined} change The promise returned by the context, undefined in older browsers.
+ * @param {string} action
+ * @private
+ */
+function logContextFailure(change, action) {
+  if (change && change.catch) {
+    change.catch(error =>
+      Debugger.log('warn', `[SoundManager] Could not ${action} audio:`, error)
+    );
+  }
+}
+
+/**
+ * Creates a Web Audio context, if the browser supports it.
+ * @return {AudioContext | null}
+ * @private
+ */
+function createAudioContext() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  return AudioContext ? new AudioContext() : null;
+}
+
+/**
+ * Plays the sounds of a game through music, vo and sfx buses, with Web Audio, or HTMLAudio where Web Audio isn't
+ * supported. Attached to an application, the buses follow its soundVolume state, and the musicVolume, voVolume and
+ * sfxVolume state of the channels it enables, and every sound pauses along with the rest of the game. Music is turned
+ * down while voice-over plays, and sounds that browsers refuse to play before the player interacts with the page start
+ * on the first interaction.
+ * @class SoundManager
+ * @property {AudioContext | null} context the Web Audio context, null when using HTMLAudio
+ * @property {Object<string, AudioBus>} buses the bus of each channel
+ * @property {Array<SoundInstance>} instances the sounds playing, or paused
+ * @property {Property<boolean>} unlocked whether the browser lets sounds play
+ * @property {boolean} paused whether every sound is paused
+ */
+export class SoundManager {
+  /**
+   * Creates a new SoundManager.
+   * @param {object} [options={}]
+   * @param {AudioContext | null} [options.audioContext] The Web Audio context to play in. One is created by default,
+   * and null uses HTMLAudio.
+   * @param {function(string): HTMLAudioElement} [options.createAudio] Creates the element for each sound played with
+   * HTMLAudio.
+   * @param {EventTarget} [options.unlockTarget=window] Where to listen for the interaction that lets audio start.
+   * @param {number} [options.duckVolume=0.3] How much the music is turned down while voice-over plays, between 0 and 1.
+   * @param {number} [options.duckFadeTime=0.2] Time in seconds the music fades down and back up over.
+   */
+  constructor({
+    audioContext,
+    createAudio = src => new Audio(src),
+    unlockTarget = window,
+    duckVolume = 0.3,
+    duckFadeTime = 0.2
+  } = {}) {
+    this.ownsContext = undefined === audioContext;
+    this.context = this.ownsContext ? createAudioContext() : audioContext;
+    this.createAudio = createAudio;
+    this.unlockTarget = unlockTarget;
+    this.duckVolume = duckVolume;
+    this.duckFadeTime = duckFadeTime;
+
+    this.buses = {};
+    for (const key in AUDIO_CHANNEL) {
+      const channel = AUDIO_CHANNEL[key];
+      this.buses[channel] = new AudioBus(channel, this.context);
+    }
+
+    // the loaded sounds, by id
+    this.sounds = {};
+    this.instances = [];
+    this.paused = false;
+
+    this.app = null;
+    this.subscriptions = [];
+
+    // a Web Audio context that isn't suspended can play, HTMLAudio can't tell until it tries
+    this.unlocked = new Property(
+      !!this.context && 'suspended' !== this.context.state
+    );
+    this.onUnlockEvent = () => this.unlock();
+
+    if (!this.unlocked.value) {
+      for (let i = 0; i < unlockEvents.length; i++) {
+        unlockTarget.addEventListener(unlockEvents[i], this.onUnlockEvent);
+      }
+    }
+  }
+
+  /**
+   * Whether sounds are played with Web Audio.
+   * @type {boolean}
+   * @memberof SoundManager
+   */
+  get webAudio() {
+    return !!this.context;
+  }
+
+  /**
+   * Follows the volume state of an application, and registers with its pauseCoordinator. Following the volumes counts as
+   * listening to them when the application validates its listeners. Every bus is muted if the application has neither
+   * the sound nor the soundVolume feature, and a bus doesn't follow the volume of its channel unless the application
+   * has the feature of the channel, music, vo or sfx, or its volume feature, musicVolume, voVolume or sfxVolume.
+   * @param {Application} app
+   * @memberof SoundManager
+   */
+  attach(app) {
+    this.detach();
+    this.app = app;
+
+    if (!app.features.sound && !app.features.soundVolume) {
+      Debugger.log(
+        'warn',
+        '[SoundManager] The application has no sound features, so its sounds are muted'
+      );
+
+      for (const channel in this.buses) {
+        this.buses[channel].masterVolume = 0;
+        this.buses[channel].update();
+      }
+    } else {
+      this.follow(app.state.soundVolume, volume => {
+        for (const channel in this.buses) {
+          this.buses[channel].masterVolume = toVolume(volume);
+          this.buses[channel].update();
+        }
+      });
+    }
+
+    for (const channel in channelVolumes) {
+      if (!app.features[channel] && !app.features[channelVolumes[channel]]) {
+        continue;
+      }
+
+      this.follow(app.state[channelVolumes[channel]], volume => {
+        this.buses[channel].volume = toVolume(volume);
+        this.buses[channel].update();
+      });
+    }
+
+    app.pauseCoordinator.register(this);
+  }
+
+  /**
+   * Stops following the application attached with attach(), going back to full volume.
+   * @memberof SoundManager
+   */
+  detach() {
+    if (!this.app) {
+      return;
+    }
+
+    for (let i = 0; i < this.subscriptions.length; i++) {
+      const { property, listener } = this.subscriptions[i];
+      property.unsubscribe(listener);
+    }
+    this.subscriptions.length = 0;
+
+    this.app.pauseCoordinator.unregister(this);
+    this.app = null;
+
+    for (const channel in this.buses) {
+      this.buses[channel].volume = 1;
+      this.buses[channel].masterVolume = 1;
+      this.buses[channel].update();
+    }
+    this.resume();
+  }
+
+  /**
+   * Loads a sound, so it can be played. With Web Audio the sound is downloaded and decoded, with HTMLAudio the browser
+   * loads it when it is played.
+   * @param {string} id The name to play the sound by.
+   * @param {string} src The url of the sound.
+   * @param {object} [options={}]
+   * @param {string} [options.channel='sfx'] The channel the sound plays through, one of AUDIO_CHANNEL.
+   * @return {Promise} Resolves once the sound can be played, rejects if it couldn't be loaded.
+   * @memberof SoundManager
+   */
+  load(id, src, { channel = AUDIO_CHANNEL.SFX } = {}) {
+    if (!this.buses[channel]) {
+      return Promise.reject(new Error(`Unknown audio channel ${channel}`));
+    }
+
+    if (!this.context) {
+      this.sounds[id] = { channel, src };
+      return Promise.resolve();
+    }
+
+    return window
+      .fetch(src)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Could not load ${src}: ${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then(
+        data =>
+          // the callbacks of decodeAudioData work in browsers where it doesn't return a promise
+          new Promise((resolve, reject) =>
+            this.context.decodeAudioData(data, resolve, error =>
+              reject(error || new Error(`Could not decode ${src}`))
+            )
+          )
+      )
+      .then(buffer => {
+        this.sounds[id] = { channel, buffer };
+      });
+  }
+
+  /**
+   * Whether a sound has been loaded.
+   * @param {string} id
+   * @return {boolean}
+   * @memberof SoundManager
+   */
+  isLoaded(id) {
+    return !!this.sounds[id];
+  }
+
+  /**
+   * Stops a sound wherever it is playing, and forgets it.
+   * @param {string} id
+   * @memberof SoundManager
+   */
+  unload(id) {
+    this.instances
+      .filter(instance => instance.id === id)
+      .forEach(instance => instance.stop());
+    delete this.sounds[id];
+  }
+
+  /**
+   * Plays a loaded sound.
+   * @param {string} id
+   * @param {object} [options={}]
+   * @param {boolean} [options.loop=false] Whether to start over when the sound ends.
+   * @param {number} [options.volume=1] The volume of the sound, between 0 and 1, before the bus gain.
+   * @param {number} [options.offset=0] Where to start playing, in seconds.
+   * @param {function(SoundInstance)} [options.onEnd] Called when the sound ends on its own, not when it is stopped.
+   * @return {SoundInstance | null} The playing sound, or null if the sound isn't loaded.
+   * @memberof SoundManager
+   */
+  play(id, { loop = false, volume = 1, offset = 0, onEnd = null } = {}) {
+    const sound = this.sounds[id];
+
+    if (!sound) {
+      Debugger.log('warn', `[SoundManager] The sound ${id} isn't loaded`);
+      return null;
+    }
+
+    const options = {
+      id,
+      bus: this.buses[sound.channel],
+      loop,
+      volume,
+      offset,
+      onEnd,
+      onChange: instance => this.onInstanceChange(instance)
+    };
+
+    let instance;
+    if (this.context) {
+      instance = new WebAudioSound(
+        Object.assign({ context: this.context, buffer: sound.buffer }, options)
+      );
+    } else {
+      instance = new HtmlAudioSound(
+        Object.assign({ element: this.createAudio(sound.src) }, options)
+      );
+      instance.suspended = this.paused;
+    }
+
+    options.bus.add(instance);
+    this.instances.push(instance);
+    instance.run();
+    this.updateDucking();
+
+    return instance;
+  }
+
+  /**
+   * Stops every sound, or every sound on a channel.
+   * @param {string} [channel] One of AUDIO_CHANNEL.
+   * @memberof SoundManager
+   */
+  stopAll(channel) {
+    this.instances
+      .filter(instance => !channel || instance.bus.name === channel)
+      .forEach(instance => instance.stop());
+  }
+
+  /**
+   * Pauses every sound. Sounds paused on their own stay paused when resume() is called.
+   * @memberof SoundManager
+   */
+  pause() {
+    if (this.paused) {
+      return;
+    }
+
+    this.paused = true;
+
+    if (this.context) {
+      logContextFailure(this.context.suspend(), 'suspend');
+    } else {
+      this.instances.forEach(instance => instance.suspend(true));
+    }
+  }
+
+  /**
+   * Resumes the sounds paused by pause().
+   * @memberof SoundManager
+   */
+  resume() {
+    if (!this.paused) {
+      return;
+    }
+
+    this.paused = false;
+
+    if (!this.context) {
+      this.instances.forEach(instance => instance.suspend(false));
+    } else if (this.unlocked.value) {
+      logContextFailure(this.context.resume(), 'resume');
+    }
+  }
+
+  /**
+   * Lets sounds play, starting the ones the browser refused to play so far. Called on the first interaction with the
+   * page, since browsers only let audio start from one.
+   * @memberof SoundManager
+   */
+  unlock() {
+    this.removeUnlockListeners();
+
+    if (this.context && 'closed' === this.context.state) {
+      return;
+    }
+
+    if (this.context) {
+      // playing a sound during the interaction is what unlocks audio on iOS
+      const source = this.context.createBufferSource();
+      source.buffer = this.context.createBuffer(1, 1, 22050);
+      source.connect(this.context.destination);
+      source.start(0);
+
+      if (!this.paused) {
+        logContextFailure(this.context.resume(), 'resume');
+      }
+    } else {
+      this.instances
+        .filter(instance => instance.blocked)
+        .forEach(instance => instance.run());
+    }
+
+    this.unlocked.value = true;
+  }
+
+  /**
+   * Stops every sound, stops following the application, and closes the Web Audio context if the manager created it.
+   * @memberof SoundManager
+   */
+  destroy() {
+    this.stopAll();
+    this.detach();
+    this.removeUnlockListeners();
+
+    for (const channel in this.buses) {
+      this.buses[channel].destroy();
+    }
+
+    if (this.ownsContext && this.context) {
+      logContextFailure(this.context.close(), 'close');
+    }
+    this.sounds = {};
+  }
+
+  /**
+   * Subscribes to a state property, calling the listener with its current value, until the manager is detached.
+   * @param {Property} property
+   * @param {function(*)} listener
+   * @private
+   * @memberof SoundManager
+   */
+  follow(property, listener) {
+    property.subscribe(listener);
+    this.subscriptions.push({ property, listener });
+    listener(property.value);
+  }
+
+  /**
+   * Forgets sounds that have ended, and ducks the music while voice-over plays.
+   * @param {SoundInstance} instance
+   * @private
+   * @memberof SoundManager
+   */
+  onInstanceChange(instance) {
+    if (instance.ended) {
+      const index = this.instances.indexOf(instance);
+      if (index !== -1) {
+        this.instances.splice(index, 1);
+      }
+    }
+
+    this.updateDucking();
+  }
+
+  /**
+   * Turns the music down while a voice-over sound is playing, and back up once none are.
+   * @private
+   * @memberof SoundManager
+   */
+  updateDucking() {
+    const speaking = this.buses.vo.instances.some(instance => instance.playing);
+    const duck = speaking ? this.duckVolume : 1;
+    const music = this.buses.music;
+
+    if (music.duck !== duck) {
+      music.duck = duck;
+      music.update(this.duckFadeTime);
+    }
+  }
+
+  /**
+   * Stops listening for the interaction that unlocks audio.
+   * @private
+   * @memberof SoundManager
+   */
+  removeUnlockListeners() {
+    for (let i = 0; i < unlockEvents.length; i++) {
+      this.unlockTarget.removeEventListener(unlockEvents[i], this.onUnlockEvent);
+    }
+  }
+}
@@ -0,0 +1,351 @@
+import { SoundManager } from './SoundManager';
+import { Application } from '../Application';
+import { Debugger } from '../debug/Debugger';
+import Sinon from 'sinon';
+
+/**
+ * Creates a stand-in for an AudioParam.
+ * @return {object}
+ */
+const createParam = () => {
+  const param = { value: 1 };
+  param.cancelScheduledValues = () => {};
+  param.setValueAtTime = value => (param.value = value);
+  param.setTargetAtTime = value => (param.value = value);
+  return param;
+};
+
+/**
+ * Creates a stand-in for a suspended AudioContext.
+ * @return {object}
+ */
+const createContext = () => {
+  const context = { state: 'suspended', currentTime: 0, destination: {}, sources: [] };
+  context.createGain = () => ({ gain: createParam(), connect: () => {}, disconnect: () => {} });
+  context.createBuffer = () => ({ duration: 0 });
+  context.createBufferSource = () => {
+    const source = { connect: () => {}, disconnect: () => {}, start: Sinon.fake(), stop: Sinon.fake() };
+    context.sources.push(source);
+    return source;
+  };
+  context.decodeAudioData = (data, resolve) => resolve({ duration: 2, data });
+  context.suspend = Sinon.fake(() => (context.state = 'suspended'));
+  context.resume = Sinon.fake(() => (context.state = 'running'));
+  return context;
+};
+
+/**
+ * Creates a stand-in for an HTMLAudioElement that refuses to play until unblocked.
+ * @return {object}
+ */
+const createElement = () => {
+  const element = { paused: true, currentTime: 0, duration: 2, volume: 1, blocked: true };
+  element.play = Sinon.fake(() => {
+    if (element.blocked) {
+      return Promise.reject(new Error('NotAllowedError'));
+    }
+    element.paused = false;
+    return Promise.resolve();
+  });
+  element.pause = Sinon.fake(() => (element.paused = true));
+  return element;
+};
+
+describe('SoundManager', () => {
+  let context;
+  let sounds;
+  let fetch;
+
+  beforeEach(() => {
+    fetch = window.fetch;
+    window.fetch = Sinon.fake.resolves({ ok: true, arrayBuffer: () => Promise.resolve('data') });
+    context = createContext();
+    sounds = new SoundManager({ audioContext: context });
+  });
+
+  afterEach(() => {
+    sounds.destroy();
+    window.fetch = fetch;
+  });
+
+  describe('Web Audio', () => {
+    it('should load and play sounds, tracking their time until they end', () => {
+      const onEnd = Sinon.fake();
+
+      return sounds.load('click', 'click.mp3').then(() => {
+        expect(window.fetch.calledOnceWith('click.mp3')).to.be.true;
+        expect(sounds.isLoaded('click')).to.be.true;
+
+        const instance = sounds.play('click', { onEnd });
+        const source = context.sources[0];
+        expect(source.start.calledOnceWith(0, 0)).to.be.true;
+        expect(sounds.buses.sfx.instances[0]).to.equal(instance);
+
+        context.currentTime = 0.5;
+        expect(instance.currentTime).to.equal(0.5);
+
+        source.onended();
+        expect(onEnd.calledOnceWith(instance)).to.be.true;
+        expect(instance.ended).to.be.true;
+        expect(sounds.instances).to.be.empty;
+      });
+    });
+
+    it('should not play sounds that are not loaded, or load onto unknown channels', () => {
+      expect(sounds.play('missing')).to.be.null;
+
+      return sounds.load('click', 'click.mp3', { channel: 'ambience' }).then(
+        () => expect.fail('should have rejected'),
+        error => expect(error.message).to.contain('ambience')
+      );
+    });
+
+    it('should pause and resume a sound from where it was', () => {
+      return sounds.load('theme', 'theme.mp3', { channel: 'music' }).then(() => {
+        const instance = sounds.play('theme');
+
+        context.currentTime = 1.5;
+        instance.pause();
+        context.currentTime = 3;
+
+        expect(instance.currentTime).to.equal(1.5);
+        expect(context.sources[0].stop.calledOnce).to.be.true;
+
+        instance.resume();
+        expect(context.sources[1].start.calledOnceWith(0, 1.5)).to.be.true;
+        expect(instance.currentTime).to.equal(1.5);
+      });
+    });
+
+    it('should duck the music while voice-over plays', () => {
+      return Promise.all([
+        sounds.load('theme', 'theme.mp3', { channel: 'music' }),
+        sounds.load('intro', 'intro.mp3', { channel: 'vo' })
+      ]).then(() => {
+        const music = sounds.buses.music.node.gain;
+        sounds.play('theme', { loop: true });
+
+        const vo = sounds.play('intro');
+        expect(music.value).to.equal(0.3);
+
+        vo.pause();
+        expect(music.value).to.equal(1);
+
+        vo.resume();
+        vo.stop();
+        expect(music.value).to.equal(1);
+      });
+    });
+
+    it('should unlock audio on the first interaction', () => {
+      expect(sounds.unlocked.value).to.be.false;
+
+      window.dispatchEvent(new Event('keydown'));
+      window.dispatchEvent(new Event('pointerdown'));
+
+      expect(sounds.unlocked.value).to.be.true;
+      expect(context.resume.calledOnce).to.be.true;
+      // a silent sound is played during the interaction
+      expect(context.sources[0].start.calledOnce).to.be.true;
+    });
+
+    it('should not need unlocking when the context is already running', () => {
+      const running = createContext();
+      running.state = 'running';
+      const manager = new SoundManager({ audioContext: running });
+
+      expect(manager.unlocked.value).to.be.true;
+      manager.destroy();
+    });
+
+    it('should log the failures of the context to resume or suspend', () => {
+      const log = Sinon.stub(Debugger, 'log');
+      context.resume = Sinon.fake.rejects(new Error('InvalidStateError'));
+      context.suspend = Sinon.fake.rejects(new Error('InvalidStateError'));
+
+      sounds.unlock();
+      sounds.pause();
+
+      return Promise.resolve()
+        .then(() => {
+          expect(log.withArgs('warn').callCount).to.equal(2);
+        })
+        .then(() => log.restore(), error => {
+          log.restore();
+          throw error;
+        });
+    });
+
+    it('should not unlock a closed context', () => {
+      context.state = 'closed';
+      sounds.unlock();
+
+      expect(context.sources.length).to.equal(0);
+      expect(context.resume.called).to.be.false;
+    });
+  });
+
+  describe('with an application', () => {
+    let app;
+
+    beforeEach(() => {
+      app = new Application({ pauseOnBlur: false, features: { sound: true, music: true } });
+      sounds.attach(app);
+      sounds.unlock();
+    });
+
+    afterEach(() => {
+      app.destroy();
+    });
+
+    it('should set the bus gains from the volume state', () => {
+      app.state.soundVolume.value = 0.5;
+      app.state.musicVolume.value = 0.5;
+
+      expect(sounds.buses.music.node.gain.value).to.equal(0.25);
+      expect(sounds.buses.sfx.node.gain.value).to.equal(0.5);
+      expect(app.state.musicVolume.hasListeners).to.be.true;
+
+      sounds.detach();
+      expect(sounds.buses.music.node.gain.value).to.equal(1);
+    });
+
+    it('should only follow the volume of the channels the application has features for', () => {
+      app.state.soundVolume.value = 0.5;
+      app.state.sfxVolume.value = 0.2;
+
+      expect(sounds.buses.sfx.node.gain.value).to.equal(0.5);
+      expect(app.state.sfxVolume.hasListeners).to.be.false;
+    });
+
+    it('should mute every bus if the application has no sound features', () => {
+      const silent = new Application({ pauseOnBlur: false });
+      sounds.attach(silent);
+      silent.state.soundVolume.value = 1;
+
+      for (const channel in sounds.buses) {
+        expect(sounds.buses[channel].node.gain.value).to.equal(0);
+      }
+      expect(silent.state.soundVolume.hasListeners).to.be.false;
+
+      sounds.detach();
+      silent.destroy();
+    });
+
+    it('should follow the volume state of the volume features without the sound features', () => {
+      const volumes = new Application({
+        pauseOnBlur: false,
+        features: { soundVolume: true, sfxVolume: true }
+      });
+      sounds.attach(volumes);
+      volumes.state.soundVolume.value = 0.5;
+      volumes.state.sfxVolume.value = 0.5;
+      volumes.state.musicVolume.value = 0.2;
+
+      expect(sounds.buses.sfx.node.gain.value).to.equal(0.25);
+      expect(sounds.buses.music.node.gain.value).to.equal(0.5);
+      expect(volumes.state.musicVolume.hasListeners).to.be.false;
+
+      sounds.detach();
+      volumes.destroy();
+    });
+
+    it('should follow the volume of a channel with both its sound and volume features', () => {
+      const both = new Application({
+        pauseOnBlur: false,
+        features: { sound: true, soundVolume: true, vo: true, voVolume: true }
+      });
+      sounds.attach(both);
+      both.state.soundVolume.value = 0.5;
+      both.state.voVolume.value = 0.5;
+
+      expect(sounds.buses.vo.node.gain.value).to.equal(0.25);
+      expect(sounds.buses.sfx.node.gain.value).to.equal(0.5);
+
+      sounds.detach();
+      both.destroy();
+    });
+
+    it('should pause along with the application', () => {
+      app.pauseCoordinator.pause('menu');
+      expect(sounds.paused).to.be.true;
+      expect(context.suspend.calledOnce).to.be.true;
+
+      app.pauseCoordinator.resume('menu');
+      expect(sounds.paused).to.be.false;
+      expect(context.state).to.equal('running');
+    });
+  });
+
+  describe('HTMLAudio', () => {
+    let elements;
+
+    beforeEach(() => {
+      elements = [];
+      sounds.destroy();
+      sounds = new SoundManager({
+        audioContext: null,
+        createAudio: src => {
+          const element = createElement();
+          element.src = src;
+          elements.push(element);
+          return element;
+        }
+      });
+    });
+
+    it('should play elements, applying the bus gain to their volume', () => {
+      return sounds.load('intro', 'intro.mp3', { channel: 'vo' }).then(() => {
+        const instance = sounds.play('intro', { volume: 0.5 });
+
+        expect(sounds.webAudio).to.be.false;
+        expect(elements[0].src).to.equal('intro.mp3');
+        expect(elements[0].volume).to.equal(0.5);
+
+        sounds.buses.vo.volume = 0.5;
+        sounds.buses.vo.update();
+        expect(elements[0].volume).to.equal(0.25);
+
+        elements[0].onended();
+        expect(instance.ended).to.be.true;
+      });
+    });
+
+    it('should start sounds the browser blocked once unlocked', () => {
+      let instance;
+
+      return sounds
+        .load('intro', 'intro.mp3', { channel: 'vo' })
+        .then(() => {
+          instance = sounds.play('intro');
+        })
+        .then(() => {
+          expect(instance.blocked).to.be.true;
+
+          elements[0].blocked = false;
+          window.dispatchEvent(new Event('touchend'));
+
+          expect(elements[0].play.calledTwice).to.be.true;
+          expect(elements[0].paused).to.be.false;
+        });
+    });
+
+    it('should pause every element, keeping sounds paused on their own', () => {
+      return sounds.load('click', 'click.mp3').then(() => {
+        const playing = sounds.play('click');
+        const paused = sounds.play('click');
+        elements.forEach(element => (element.blocked = false));
+        paused.pause();
+
+        sounds.pause();
+        expect(elements[0].pause.called).to.be.true;
+
+        sounds.resume();
+        expect(playing.playing).to.be.true;
+        expect(elements[0].play.calledTwice).to.be.true;
+        expect(paused.paused).to.be.true;
+        expect(elements[1].play.calledOnce).to.be.true;
+      });
+    });
+  });
+});
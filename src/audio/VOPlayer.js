@@ -0,0 +1,246 @@
+import { AUDIO_CHANNEL } from './SoundManager';
+import { Debugger } from '../debug/Debugger';
+
+/**
+ * Plays voice-over clips along with the caption of the same name, keeping the caption in time with the audio. The
+ * caption is moved to the time of the audio on every update(), so it follows the audio through seeks, pauses and slow
+ * loading, instead of counting time on its own. Attached to an application, captions are hidden while its captionsMuted
+ * state is true.
+ * @class VOPlayer
+ * @property {SoundManager} sounds the manager the clips are played with
+ * @property {CaptionPlayer} captionPlayer the player the captions are shown with
+ * @property {string | null} name the name of the clip playing, or paused
+ * @property {SoundInstance | null} instance the sound of the clip playing, or paused
+ * @property {boolean} captionsMuted whether captions are hidden
+ */
+export class VOPlayer {
+  /**
+   * Creates a new VOPlayer.
+   * @param {object} options
+   * @param {SoundManager} options.sounds The manager to play the clips with.
+   * @param {CaptionPlayer} options.captionPlayer The player to show the captions with. It shouldn't be updated by
+   * anything else.
+   */
+  constructor({ sounds, captionPlayer }) {
+    this.sounds = sounds;
+    this.captionPlayer = captionPlayer;
+
+    this.name = null;
+    this.instance = null;
+    this.args = {};
+    this.captionsMuted = false;
+
+    this.app = null;
+    this.onCaptionsMuted = muted => this.muteCaptions(!!muted);
+  }
+
+  /**
+   * Whether a clip is playing. A paused clip isn't.
+   * @type {boolean}
+   * @memberof VOPlayer
+   */
+  get playing() {
+    return !!this.instance && this.instance.playing;
+  }
+
+  /**
+   * How far into the clip it is, in seconds, or 0 without a clip.
+   * @type {number}
+   * @memberof VOPlayer
+   */
+  get currentTime() {
+    return this.instance ? this.instance.currentTime : 0;
+  }
+
+  /**
+   * Hides and shows the captions along with the captionsMuted state of an application. Following the state counts as
+   * listening to it when the application validates its listeners.
+   * @param {Application} app
+   * @memberof VOPlayer
+   */
+  attach(app) {
+    this.detach();
+    this.app = app;
+
+    app.state.captionsMuted.subscribe(this.onCaptionsMuted);
+    this.onCaptionsMuted(app.state.captionsMuted.value);
+  }
+
+  /**
+   * Stops following the application attached with attach(), showing captions again.
+   * @memberof VOPlayer
+   */
+  detach() {
+    if (!this.app) {
+      return;
+    }
+
+    this.app.state.captionsMuted.unsubscribe(this.onCaptionsMuted);
+    this.app = null;
+    this.muteCaptions(false);
+  }
+
+  /**
+   * Loads a clip onto the vo channel of the SoundManager, so the voVolume state applies to it.
+   * @param {string} name The name of the clip, and of its caption.
+   * @param {string} src The url of the audio.
+   * @return {Promise} Resolves once the clip can be played.
+   * @memberof VOPlayer
+   */
+  load(name, src) {
+    return this.sounds.load(name, src, { channel: AUDIO_CHANNEL.VO });
+  }
+
+  /**
+   * Plays a clip and its caption, stopping the clip playing.
+   * @param {string} name The name of the clip, and of its caption.
+   * @param {object} [options={}]
+   * @param {number} [options.time=0] Where to start, in seconds.
+   * @param {object} [options.args={}] Arguments passed to the caption renderer.
+   * @param {function(string)} [options.onEnd] Called with the name of the clip when it ends on its own.
+   * @return {boolean} Whether the clip is playing, false if it isn't loaded.
+   * @memberof VOPlayer
+   */
+  play(name, { time = 0, args = {}, onEnd = null } = {}) {
+    this.stop();
+
+    const instance = this.sounds.play(name, {
+      offset: time,
+      onEnd: ended => {
+        if (this.instance === ended) {
+          this.clear();
+        }
+
+        if (onEnd) {
+          onEnd(name);
+        }
+      }
+    });
+
+    if (!instance) {
+      return false;
+    }
+
+    if (!this.captionPlayer.captions[name]) {
+      Debugger.log('warn', `[VOPlayer] The clip ${name} has no caption`);
+    }
+
+    this.name = name;
+    this.instance = instance;
+    this.args = args;
+    this.startCaption();
+
+    return true;
+  }
+
+  /**
+   * Moves the caption to the time of the audio. Call this every frame while a clip plays, such as from a Ticker.
+   * @memberof VOPlayer
+   */
+  update() {
+    if (this.instance && !this.captionsMuted) {
+      this.captionPlayer.seek(this.instance.currentTime * 1000);
+    }
+  }
+
+  /**
+   * Moves the clip and its caption to a time, keeping them playing or paused.
+   * @param {number} time Time in seconds.
+   * @memberof VOPlayer
+   */
+  seek(time) {
+    if (!this.instance) {
+      return;
+    }
+
+    this.instance.seek(time);
+
+    // the caption may have finished, so it is started over rather than moved
+    this.startCaption();
+  }
+
+  /**
+   * Pauses the clip, and its caption with it.
+   * @memberof VOPlayer
+   */
+  pause() {
+    if (this.instance) {
+      this.instance.pause();
+    }
+  }
+
+  /**
+   * Resumes a paused clip.
+   * @memberof VOPlayer
+   */
+  resume() {
+    if (this.instance) {
+      this.instance.resume();
+    }
+  }
+
+  /**
+   * Stops the clip and its caption. onEnd isn't called.
+   * @memberof VOPlayer
+   */
+  stop() {
+    if (this.instance) {
+      this.instance.stop();
+    }
+    this.clear();
+  }
+
+  /**
+   * Stops the clip and stops following the application.
+   * @memberof VOPlayer
+   */
+  destroy() {
+    this.stop();
+    this.detach();
+  }
+
+  /**
+   * Hides or shows the caption of the clip.
+   * @param {boolean} muted
+   * @private
+   * @memberof VOPlayer
+   */
+  muteCaptions(muted) {
+    if (muted === this.captionsMuted) {
+      return;
+    }
+
+    this.captionsMuted = muted;
+
+    if (muted) {
+      this.captionPlayer.stop();
+    } else {
+      this.startCaption();
+    }
+  }
+
+  /**
+   * Starts the caption of the clip at the time of the audio, unless captions are muted or it has none.
+   * @private
+   * @memberof VOPlayer
+   */
+  startCaption() {
+    if (!this.instance || this.captionsMuted || !this.captionPlayer.captions[this.name]) {
+      return;
+    }
+
+    this.captionPlayer.start(this.name, this.instance.currentTime * 1000, this.args);
+  }
+
+  /**
+   * Forgets the clip, stopping its caption.
+   * @private
+   * @memberof VOPlayer
+   */
+  clear() {
+    this.captionPlayer.stop();
+    this.name = null;
+    this.instance = null;
+    this.args = {};
+  }
+}
@@ -0,0 +1,111 @@
+import { VOPlayer } from './VOPlayer';
+import { SoundManager } from './SoundManager';
+import { Application } from '../Application';
+import { CaptionPlayer } from '../localization/captions/CaptionPlayer';
+import { TestRenderer } from '../localization/captions/renderers/RendererTest';
+import testData from '../localization/captions/spec/CaptionTestData';
+import Sinon from 'sinon';
+
+describe('VOPlayer', () => {
+  let elements;
+  let sounds;
+  let renderer;
+  let vo;
+
+  beforeEach(() => {
+    elements = [];
+    sounds = new SoundManager({
+      audioContext: null,
+      createAudio: () => {
+        const element = { currentTime: 0, duration: 2.5, paused: true };
+        element.play = () => {
+          element.paused = false;
+          return Promise.resolve();
+        };
+        element.pause = () => (element.paused = true);
+        elements.push(element);
+        return element;
+      }
+    });
+    renderer = new TestRenderer();
+    vo = new VOPlayer({ sounds, captionPlayer: new CaptionPlayer(testData, renderer) });
+
+    return Promise.all([vo.load('HelloWorld', 'hello.mp3'), vo.load('Other', 'other.mp3')]);
+  });
+
+  afterEach(() => {
+    vo.destroy();
+    sounds.destroy();
+  });
+
+  it('should load clips onto the vo channel', () => {
+    vo.play('HelloWorld');
+    expect(vo.instance.bus).to.equal(sounds.buses.vo);
+  });
+
+  it('should drive the caption from the time of the audio', () => {
+    vo.play('HelloWorld');
+    expect(renderer.content).to.equal('hello');
+
+    elements[0].currentTime = 1.4;
+    vo.update();
+    expect(renderer.content).to.equal('world');
+  });
+
+  it('should seek the audio and the caption together', () => {
+    vo.play('HelloWorld', { time: 1.4 });
+    expect(elements[0].currentTime).to.equal(1.4);
+    expect(renderer.content).to.equal('world');
+
+    vo.seek(0.5);
+    expect(elements[0].currentTime).to.equal(0.5);
+    expect(renderer.content).to.equal('hello');
+  });
+
+  it('should pause the caption with the audio', () => {
+    vo.play('HelloWorld');
+    vo.pause();
+
+    expect(vo.playing).to.be.false;
+    expect(elements[0].paused).to.be.true;
+
+    vo.resume();
+    expect(vo.playing).to.be.true;
+  });
+
+  it('should stop the caption when the clip ends or is stopped', () => {
+    const onEnd = Sinon.fake();
+    vo.play('HelloWorld', { onEnd });
+
+    elements[0].currentTime = 2.5;
+    elements[0].onended();
+    expect(onEnd.calledOnceWith('HelloWorld')).to.be.true;
+    expect(renderer.stopCalled).to.be.true;
+    expect(vo.instance).to.be.null;
+
+    renderer.reset();
+    vo.play('Other', { onEnd });
+    vo.stop();
+    expect(renderer.stopCalled).to.be.true;
+    expect(onEnd.calledOnce).to.be.true;
+  });
+
+  it('should hide captions while the captionsMuted state is true', () => {
+    const app = new Application({ pauseOnBlur: false, features: { captions: true } });
+    vo.attach(app);
+    vo.play('HelloWorld');
+
+    app.state.captionsMuted.value = true;
+    expect(renderer.stopCalled).to.be.true;
+
+    renderer.reset();
+    elements[0].currentTime = 1.4;
+    vo.update();
+    expect(renderer.lineBeginCalled).to.be.false;
+
+    app.state.captionsMuted.value = false;
+    expect(renderer.content).to.equal('world');
+
+    app.destroy();
+  });
+});
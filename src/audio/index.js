@@ -0,0 +1,4 @@
+export * from './AudioBus';
+export * from './SoundInstances';
+export * from './SoundManager';
+export * from './VOPlayer';
@@ -0,0 +1,407 @@
+import { BellhopSingleton } from './BellhopSingleton';
+import { ContainerTimeoutError, ContainerMessageError } from './ContainerProtocolErrors';
+import { Validators } from '../state/Validators';
+import { Debugger } from '../debug/Debugger';
+
+/**
+ * Which way a message goes.
+ */
+export const MESSAGE_DIRECTION = {
+  TO_CONTAINER: 'toContainer',
+  FROM_CONTAINER: 'fromContainer'
+};
+
+/**
+ * @typedef {object} ContainerMessage
+ * @property {string} [direction='toContainer'] Which way the message goes, see MESSAGE_DIRECTION
+ * @property {function(*): (ValidationResult | boolean)} [payload] Checks the data of the message, see Validators.
+ * Messages without one can carry any data
+ * @property {(function(*): (ValidationResult | boolean)) | boolean} [response] For messages to the container that it
+ * answers with a message of the same type, checks the data of the answer, or true to accept any data. Only these
+ * messages can be sent with request()
+ */
+
+const { TO_CONTAINER, FROM_CONTAINER } = MESSAGE_DIRECTION;
+const object = Validators.shape({});
+const flag = Validators.boolean();
+const userDataName = data =>
+  'string' === typeof data || (!!data && 'string' === typeof data.name);
+
+/**
+ * The messages SpringRoll and SpringRoll Container send each other, by type.
+ * @type {Object<string, ContainerMessage>}
+ */
+export const CONTAINER_MESSAGES = {
+  // sent by the application
+  features: { direction: TO_CONTAINER, payload: object },
+  keepFocus: { direction: TO_CONTAINER, payload: flag },
+  loadProgress: {
+    direction: TO_CONTAINER,
+    payload: Validators.number({ min: 0, max: 1 })
+  },
+  loaded: { direction: TO_CONTAINER },
+  focus: { direction: TO_CONTAINER, payload: flag },
+  invalidState: { direction: TO_CONTAINER, payload: object },
+  validationReport: { direction: TO_CONTAINER, payload: Array.isArray },
+  playOptions: { direction: TO_CONTAINER, response: true },
+
+  // game session lifecycle, sent by the application
+  endGame: {
+    direction: TO_CONTAINER,
+    payload: Validators.shape({ reason: Validators.string() })
+  },
+  progress: {
+    direction: TO_CONTAINER,
+    payload: Validators.shape({
+      percent: Validators.number({ min: 0, max: 100, clamp: false }),
+      checkpoint: Validators.string()
+    })
+  },
+  requestRestart: { direction: TO_CONTAINER },
+  requestClose: { direction: TO_CONTAINER },
+
+  // sent by the TrackingPlugin's ContainerTransport
+  trackEvents: { direction: TO_CONTAINER, payload: Array.isArray },
+
+  // sent by UserData, and answered with the same type. With UserData.requestIds, the name is sent as { name, id }
+  userDataRead: {
+    direction: TO_CONTAINER,
+    payload: userDataName,
+    response: true
+  },
+  userDataWrite: {
+    direction: TO_CONTAINER,
+    payload: data => !!data && 'string' === typeof data.name,
+    response: true
+  },
+  userDataRemove: {
+    direction: TO_CONTAINER,
+    payload: userDataName,
+    response: true
+  },
+
+  // sent by the container
+  pause: { direction: FROM_CONTAINER, payload: flag },
+  playHelp: { direction: FROM_CONTAINER },
+  soundMuted: { direction: FROM_CONTAINER, payload: flag },
+  musicMuted: { direction: FROM_CONTAINER, payload: flag },
+  voMuted: { direction: FROM_CONTAINER, payload: flag },
+  sfxMuted: { direction: FROM_CONTAINER, payload: flag },
+
+  // feature values, checked by the validators of the application's features so problems can be reported back
+  captionsMuted: { direction: FROM_CONTAINER },
+  captionsStyles: { direction: FROM_CONTAINER },
+  soundVolume: { direction: FROM_CONTAINER },
+  musicVolume: { direction: FROM_CONTAINER },
+  voVolume: { direction: FROM_CONTAINER },
+  sfxVolume: { direction: FROM_CONTAINER },
+  pointerSize: { direction: FROM_CONTAINER },
+  controlSensitivity: { direction: FROM_CONTAINER },
+  buttonSize: { direction: FROM_CONTAINER },
+  removableLayers: { direction: FROM_CONTAINER },
+  hudPosition: { direction: FROM_CONTAINER },
+  keyBinding: { direction: FROM_CONTAINER },
+  colorVision: { direction: FROM_CONTAINER },
+  hitAreaScale: { direction: FROM_CONTAINER },
+  dragThresholdScale: { direction: FROM_CONTAINER },
+  health: { direction: FROM_CONTAINER },
+  objectCount: { direction: FROM_CONTAINER },
+  completionPercentage: { direction: FROM_CONTAINER },
+  speedScale: { direction: FROM_CONTAINER },
+  timersScale: { direction: FROM_CONTAINER },
+  inputCount: { direction: FROM_CONTAINER }
+};
+
+/**
+ * Checks data against a validator.
+ * @param {(function(*): (ValidationResult | boolean)) | boolean} [validator] No validator, or true, accepts any data.
+ * @param {*} data
+ * @return {ValidationResult}
+ * @private
+ */
+function check(validator, data) {
+  if (!validator || true === validator) {
+    return { valid: true, value: data };
+  }
+
+  const result = validator(data);
+
+  if ('boolean' === typeof result) {
+    return { valid: result, value: data, message: 'is malformed' };
+  }
+
+  return result;
+}
+
+/**
+ * Sends and receives the messages defined by the container protocol through Bellhop. Messages that aren't part of the
+ * protocol, go the wrong way, or have malformed data are dropped with a warning instead of being sent or handled.
+ * @class ContainerProtocol
+ * @property {Object<string, ContainerMessage>} messages the messages of the protocol, by type
+ * @property {number} timeout the default time in milliseconds a request waits for its response
+ */
+export class ContainerProtocol {
+  /**
+   * Creates a new ContainerProtocol.
+   * @param {object} [options={}]
+   * @param {Bellhop} [options.bellhop=BellhopSingleton] The Bellhop instance messages go through.
+   * @param {Object<string, ContainerMessage>} [options.messages=CONTAINER_MESSAGES] The messages of the protocol.
+   * @param {number} [options.timeout=1000] The default time in milliseconds a request waits for its response.
+   */
+  constructor({
+    bellhop = BellhopSingleton,
+    messages = CONTAINER_MESSAGES,
+    timeout = 1000
+  } = {}) {
+    this.bellhop = bellhop;
+    this.messages = Object.assign({}, messages);
+    this.timeout = timeout;
+    this.listeners = [];
+
+    // requests waiting on a response, in the order they were sent, by type
+    this.awaitingResponse = {};
+    this.forgetTimedOut = null;
+  }
+
+  /**
+   * Adds a message to the protocol, or replaces the definition of one.
+   * @param {string} type
+   * @param {ContainerMessage} [definition={}]
+   * @return {ContainerProtocol} This protocol, so definitions can be chained.
+   * @memberof ContainerProtocol
+   */
+  define(type, definition = {}) {
+    this.messages[type] = Object.assign(
+      { direction: TO_CONTAINER },
+      definition
+    );
+    return this;
+  }
+
+  /**
+   * Sends a message to the container.
+   * @param {string} type
+   * @param {*} [payload]
+   * @return {boolean} Whether the message was sent.
+   * @memberof ContainerProtocol
+   */
+  send(type, payload) {
+    const result = this.prepare(type, payload);
+
+    if (result.valid) {
+      this.bellhop.send(type, result.value);
+    }
+
+    return result.valid;
+  }
+
+  /**
+   * Sends a message to the container, and waits for the container to answer with a message of the same type. Answers
+   * are matched to requests of the same type in the order the requests were sent. A request that times out keeps its
+   * place until it is answered late, or Bellhop connects again, so a late answer isn't taken for the answer to the
+   * next request.
+   * @param {string} type
+   * @param {*} [payload]
+   * @param {object} [options={}]
+   * @param {number} [options.timeout=this.timeout] The time in milliseconds to wait for the answer.
+   * @return {Promise<*>} Resolves with the data of the answer. Rejects with a ContainerMessageError if the message can't
+   * be sent as a request, or a ContainerTimeoutError if there is no answer in time.
+   * @memberof ContainerProtocol
+   */
+  request(type, payload, { timeout = this.timeout } = {}) {
+    const definition = this.messages[type];
+
+    if (definition && !definition.response) {
+      const message = 'it has no response';
+      Debugger.log('warn', `[ContainerProtocol] Can't request ${type}, ${message}`);
+      return Promise.reject(new ContainerMessageError(type, message));
+    }
+
+    const result = this.prepare(type, payload);
+    if (!result.valid) {
+      return Promise.reject(new ContainerMessageError(type, result.message));
+    }
+
+    if (!this.awaitingResponse[type]) {
+      this.awaitingResponse[type] = [];
+      this.on(type, event => {
+        const request = this.awaitingResponse[type].shift();
+
+        if (request) {
+          request.resolve(event.data);
+        }
+      });
+    }
+
+    if (!this.forgetTimedOut) {
+      // requests that timed out before the container connected again won't be answered
+      this.forgetTimedOut = () => {
+        for (const waitingType in this.awaitingResponse) {
+          this.awaitingResponse[waitingType] = this.awaitingResponse[
+            waitingType
+          ].filter(waiting => !waiting.timedOut);
+        }
+      };
+      this.bellhop.on('connected', this.forgetTimedOut);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = { resolve: null };
+      const timer = setTimeout(() => {
+        // throws away the late answer, if any
+        request.resolve = () => {};
+        request.timedOut = true;
+        reject(new ContainerTimeoutError(type, timeout));
+      }, timeout);
+
+      request.resolve = data => {
+        clearTimeout(timer);
+        resolve(data);
+      };
+
+      this.awaitingResponse[type].push(request);
+      this.bellhop.send(type, result.value);
+    });
+  }
+
+  /**
+   * Adds a listener for a message from the container. Messages with malformed data are ignored, and data corrected by
+   * the message's validator is passed on corrected.
+   * @param {string} type
+   * @param {function({ type: string, data: * })} callback Called with the Bellhop event of each message.
+   * @return {boolean} Whether the listener was added, false if the container never sends this type of message.
+   * @memberof ContainerProtocol
+   */
+  on(type, callback) {
+    if (!this.validatorOf(type)) {
+      return false;
+    }
+
+    if (this.listenerOf(type, callback)) {
+      return true;
+    }
+
+    const wrapper = event => {
+      const result = check(this.validatorOf(type), event.data);
+
+      if (!result.valid) {
+        Debugger.log(
+          'warn',
+          `[ContainerProtocol] Ignored malformed ${type} message (${result.message}):`,
+          event.data
+        );
+        return;
+      }
+
+      callback(
+        result.value === event.data
+          ? event
+          : Object.assign({}, event, { data: result.value })
+      );
+    };
+
+    this.listeners.push({ type, callback, wrapper });
+    this.bellhop.on(type, wrapper);
+    return true;
+  }
+
+  /**
+   * Removes a listener added with on().
+   * @param {string} type
+   * @param {function({ type: string, data: * })} callback
+   * @memberof ContainerProtocol
+   */
+  off(type, callback) {
+    const listener = this.listenerOf(type, callback);
+
+    if (listener) {
+      this.bellhop.off(type, listener.wrapper);
+      this.listeners.splice(this.listeners.indexOf(listener), 1);
+    }
+  }
+
+  /**
+   * Checks a message before it is sent to the container, warning about any problem found.
+   * @param {string} type
+   * @param {*} payload
+   * @return {ValidationResult}
+   * @private
+   * @memberof ContainerProtocol
+   */
+  prepare(type, payload) {
+    const definition = this.messages[type];
+    let result;
+
+    if (!definition) {
+      result = { valid: false, message: 'it is not part of the container protocol' };
+    } else if (definition.direction !== TO_CONTAINER) {
+      result = { valid: false, message: 'it is only sent by the container' };
+    } else {
+      result = check(definition.payload, payload);
+      if (!result.valid) {
+        result.message = `its data ${result.message}`;
+      }
+    }
+
+    if (!result.valid) {
+      Debugger.log(
+        'warn',
+        `[ContainerProtocol] Did not send ${type}, ${result.message}:`,
+        payload
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Gets the validator of the data the container sends with a type of message, warning if the container never sends it.
+   * @param {string} type
+   * @return {(function(*): (ValidationResult | boolean)) | boolean | null} True if any data is accepted, or null if
+   * the container never sends this type of message.
+   * @private
+   * @memberof ContainerProtocol
+   */
+  validatorOf(type) {
+    const definition = this.messages[type];
+
+    if (definition && definition.direction === FROM_CONTAINER) {
+      return definition.payload || true;
+    }
+
+    if (definition && definition.response) {
+      return definition.response;
+    }
+
+    Debugger.log(
+      'warn',
+      `[ContainerProtocol] Can't listen for ${type}, ${
+        definition
+          ? 'it is only sent to the container'
+          : 'it is not part of the container protocol'
+      }`
+    );
+    return null;
+  }
+
+  /**
+   * Finds the listener added with on() for a callback.
+   * @param {string} type
+   * @param {function} callback
+   * @return {{ type: string, callback: function, wrapper: function } | undefined}
+   * @private
+   * @memberof ContainerProtocol
+   */
+  listenerOf(type, callback) {
+    return this.listeners.find(
+      listener => listener.type === type && listener.callback === callback
+    );
+  }
+}
+
+/**
+ * The protocol SpringRoll uses to talk to the container through the BellhopSingleton. Define new messages on it with
+ * define().
+ * @type {ContainerProtocol}
+ */
+export const ContainerProtocolSingleton = new ContainerProtocol();
@@ -0,0 +1,169 @@
+import {
+  ContainerProtocol,
+  MESSAGE_DIRECTION
+} from './ContainerProtocol';
+import {
+  ContainerTimeoutError,
+  ContainerMessageError
+} from './ContainerProtocolErrors';
+import { Bellhop } from 'bellhop-iframe';
+import Sinon from 'sinon';
+
+describe('ContainerProtocol', () => {
+  let bellhop;
+  let protocol;
+
+  beforeEach(() => {
+    bellhop = new Bellhop();
+    bellhop.send = Sinon.fake();
+    protocol = new ContainerProtocol({ bellhop, timeout: 100 });
+  });
+
+  describe('send', () => {
+    it('should send messages of the protocol', () => {
+      expect(protocol.send('focus', true)).to.be.true;
+      expect(bellhop.send.calledWith('focus', true)).to.be.true;
+    });
+
+    it('should not send unknown messages, or messages sent by the container', () => {
+      expect(protocol.send('unknown', true)).to.be.false;
+      expect(protocol.send('pause', true)).to.be.false;
+      expect(bellhop.send.callCount).to.equal(0);
+    });
+
+    it('should not send malformed data', () => {
+      expect(protocol.send('focus', 'yes please')).to.be.false;
+      expect(protocol.send('validationReport', {})).to.be.false;
+      expect(bellhop.send.callCount).to.equal(0);
+    });
+
+    it('should send messages added with define', () => {
+      protocol.define('saveScreenshot', {
+        payload: data => 'string' === typeof data
+      });
+
+      expect(protocol.send('saveScreenshot', 'data:image/png')).to.be.true;
+      expect(protocol.send('saveScreenshot', 1)).to.be.false;
+      expect(bellhop.send.callCount).to.equal(1);
+    });
+  });
+
+  describe('on', () => {
+    it('should pass on messages from the container', () => {
+      const callback = Sinon.fake();
+
+      expect(protocol.on('pause', callback)).to.be.true;
+      bellhop.trigger({ type: 'pause', data: true });
+
+      expect(callback.args[0][0].data).to.be.true;
+    });
+
+    it('should ignore malformed messages', () => {
+      const callback = Sinon.fake();
+
+      protocol.on('pause', callback);
+      bellhop.trigger({ type: 'pause', data: 'sometimes' });
+
+      expect(callback.callCount).to.equal(0);
+    });
+
+    it('should not listen for unknown messages, or messages sent to the container', () => {
+      expect(protocol.on('unknown', () => {})).to.be.false;
+      expect(protocol.on('focus', () => {})).to.be.false;
+    });
+
+    it('should remove listeners', () => {
+      const callback = Sinon.fake();
+
+      protocol.on('playHelp', callback);
+      protocol.off('playHelp', callback);
+      bellhop.trigger({ type: 'playHelp', data: {} });
+
+      expect(callback.callCount).to.equal(0);
+      expect(protocol.listeners.length).to.equal(0);
+    });
+
+    it('should listen for messages added with define', () => {
+      const callback = Sinon.fake();
+
+      protocol.define('skipLevel', { direction: MESSAGE_DIRECTION.FROM_CONTAINER });
+      protocol.on('skipLevel', callback);
+      bellhop.trigger({ type: 'skipLevel', data: {} });
+
+      expect(callback.callCount).to.equal(1);
+    });
+  });
+
+  describe('request', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = Sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should resolve with the answers in the order requests were sent', () => {
+      const first = protocol.request('userDataRead', 'a');
+      const second = protocol.request('userDataRead', 'b');
+
+      bellhop.trigger({ type: 'userDataRead', data: 1 });
+      bellhop.trigger({ type: 'userDataRead', data: 2 });
+
+      return Promise.all([first, second]).then(values => {
+        expect(values).to.deep.equal([1, 2]);
+        expect(bellhop.send.calledWith('userDataRead', 'a')).to.be.true;
+      });
+    });
+
+    it('should reject with a ContainerTimeoutError if there is no answer', () => {
+      const request = protocol.request('playOptions').then(() => null, e => e);
+      clock.tick(100);
+
+      return request.then(error => {
+        expect(error).to.be.instanceOf(ContainerTimeoutError);
+        expect(error.timeout).to.equal(100);
+      });
+    });
+
+    it('should throw away the late answer to a request that timed out', () => {
+      const first = protocol.request('userDataRead', 'a').then(() => null, e => e);
+      clock.tick(100);
+      const second = protocol.request('userDataRead', 'b');
+
+      bellhop.trigger({ type: 'userDataRead', data: 1 });
+      bellhop.trigger({ type: 'userDataRead', data: 2 });
+
+      return Promise.all([first, second]).then(([error, value]) => {
+        expect(error).to.be.instanceOf(ContainerTimeoutError);
+        expect(value).to.equal(2);
+      });
+    });
+
+    it('should forget the requests that timed out when Bellhop connects again', () => {
+      protocol.request('userDataRead', 'a').catch(() => {});
+      clock.tick(100);
+      bellhop.trigger('connected');
+
+      const request = protocol.request('userDataRead', 'b');
+      bellhop.trigger({ type: 'userDataRead', data: 1 });
+
+      return request.then(value => expect(value).to.equal(1));
+    });
+
+    it('should reject with a ContainerMessageError if the message has no answer or is malformed', () => {
+      return Promise.all([
+        protocol.request('focus', true).then(() => null, e => e),
+        protocol.request('userDataRead', 1).then(() => null, e => e),
+        protocol.request('unknown').then(() => null, e => e)
+      ]).then(errors => {
+        errors.forEach(error =>
+          expect(error).to.be.instanceOf(ContainerMessageError)
+        );
+        expect(bellhop.send.callCount).to.equal(0);
+      });
+    });
+  });
+});
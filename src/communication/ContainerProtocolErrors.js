@@ -0,0 +1,40 @@
+/**
+ * The error a container request rejects with when the container doesn't respond in time.
+ * @class ContainerTimeoutError
+ * @extends Error
+ * @property {string} type the message type of the request
+ * @property {number} timeout the time in milliseconds the request waited
+ */
+export class ContainerTimeoutError extends Error {
+  /**
+   * Creates a new ContainerTimeoutError.
+   * @param {string} type
+   * @param {number} timeout
+   */
+  constructor(type, timeout) {
+    super(`No response to ${type} after ${timeout}ms`);
+    this.name = 'ContainerTimeoutError';
+    this.type = type;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The error a container request rejects with when the message isn't part of the protocol, can't be sent as a request,
+ * or its payload is malformed.
+ * @class ContainerMessageError
+ * @extends Error
+ * @property {string} type the message type of the request
+ */
+export class ContainerMessageError extends Error {
+  /**
+   * Creates a new ContainerMessageError.
+   * @param {string} type
+   * @param {string} message Why the message couldn't be sent
+   */
+  constructor(type, message) {
+    super(`Could not send ${type}, ${message}`);
+    this.name = 'ContainerMessageError';
+    this.type = type;
+  }
+}
@@ -0,0 +1,244 @@
+import { Bellhop } from 'bellhop-iframe';
+import { BellhopSingleton } from './BellhopSingleton';
+
+/**
+ * Gets the name of the data a UserData request is for.
+ * @param {string | { name: string }} request The name, or the name and id of the request
+ * @return {string}
+ * @private
+ */
+function nameOf(request) {
+  return 'object' === typeof request ? request.name : request;
+}
+
+/**
+ * Gets the answer to a UserData request, echoing the id and name of the request if it has an id.
+ * @param {*} request
+ * @param {*} [value] The value read
+ * @return {*}
+ * @private
+ */
+function answerUserData(request, value) {
+  if ('object' === typeof request && undefined !== request.id) {
+    return { id: request.id, name: request.name, value };
+  }
+
+  return value;
+}
+
+/**
+ * Stands in for SpringRoll Container while developing or testing a game. It records every message the game sends,
+ * answers UserData requests from memory, and can send the game any container event, such as pause or soundVolume.
+ *
+ * By default it runs in the same window as the game, taking over the BellhopSingleton so the game acts as if it were
+ * connected to a container. Given the iframe of a game, it runs on the parent page instead, like a real container.
+ * @class MockContainer
+ * @property {Array<{ type: string, data: * }>} messages every message the game has sent, in order
+ * @property {Object<string, *>} userData the data stored through UserData, by name
+ */
+export class MockContainer {
+  /**
+   * Creates a new MockContainer, and connects it to the game.
+   * @param {object} [options={}]
+   * @param {HTMLIFrameElement} [options.iframe] The iframe of the game. If not given, the container runs in the same
+   * window as the game.
+   * @param {Bellhop} [options.bellhop=BellhopSingleton] The Bellhop instance of the game to take over, when running in the
+   * same window.
+   * @param {Object<string, *>} [options.userData={}] The data UserData starts with, by name.
+   * @param {object} [options.playOptions] If given, sent to the game when it asks for its play options.
+   */
+  constructor({
+    iframe = null,
+    bellhop = BellhopSingleton,
+    userData = {},
+    playOptions
+  } = {}) {
+    this.messages = [];
+    this.userData = Object.assign({}, userData);
+    this.responders = {};
+    this.listeners = {};
+
+    // UserData requests are answered like SpringRoll Container does, or echoing the id and name when sent with them
+    this.respond('userDataRead', request =>
+      answerUserData(
+        request,
+        nameOf(request) in this.userData ? this.userData[nameOf(request)] : null
+      )
+    );
+    this.respond('userDataWrite', request => {
+      this.userData[request.name] = request.value;
+      return answerUserData(request);
+    });
+    this.respond('userDataRemove', request => {
+      delete this.userData[nameOf(request)];
+      return answerUserData(request);
+    });
+
+    if (undefined !== playOptions) {
+      this.respond('playOptions', () => playOptions);
+    }
+
+    if (iframe) {
+      this.connectToIframe(iframe);
+    } else {
+      this.takeOver(bellhop);
+    }
+  }
+
+  /**
+   * Sends an event to the game, just like SpringRoll Container would.
+   * @param {string} type The event type, such as pause, soundVolume, captionsStyles or playHelp.
+   * @param {*} [data]
+   * @memberof MockContainer
+   */
+  send(type, data) {
+    if (this.iframeBellhop) {
+      this.iframeBellhop.send(type, data);
+      return;
+    }
+
+    this.bellhop.trigger({ type, data });
+  }
+
+  /**
+   * Answers every message of a type from the game with a message of the same type. Replaces any earlier responder for
+   * the type, including the built in UserData ones.
+   * @param {string} type
+   * @param {function(*): *} responder Given the data of the message, returns the data of the answer.
+   * @memberof MockContainer
+   */
+  respond(type, responder) {
+    this.responders[type] = responder;
+  }
+
+  /**
+   * Adds a listener for a type of message from the game.
+   * @param {string} type
+   * @param {function(*)} callback Called with the data of each message.
+   * @memberof MockContainer
+   */
+  on(type, callback) {
+    this.listeners[type] = (this.listeners[type] || []).concat(callback);
+  }
+
+  /**
+   * Removes a listener added with on().
+   * @param {string} type
+   * @param {function(*)} callback
+   * @memberof MockContainer
+   */
+  off(type, callback) {
+    this.listeners[type] = (this.listeners[type] || []).filter(
+      listener => listener !== callback
+    );
+  }
+
+  /**
+   * Gets the data of every message of a type the game has sent.
+   * @param {string} type
+   * @return {Array<*>}
+   * @memberof MockContainer
+   */
+  messagesOf(type) {
+    return this.messages
+      .filter(message => message.type === type)
+      .map(message => message.data);
+  }
+
+  /**
+   * Gets the data of the last message of a type the game has sent, such as the features it reported.
+   * @param {string} type
+   * @return {*} The data, or undefined if the game hasn't sent that type of message.
+   * @memberof MockContainer
+   */
+  lastMessage(type) {
+    const messages = this.messagesOf(type);
+    return messages[messages.length - 1];
+  }
+
+  /**
+   * Forgets the messages recorded so far.
+   * @memberof MockContainer
+   */
+  clearMessages() {
+    this.messages.length = 0;
+  }
+
+  /**
+   * Disconnects from the game, giving the BellhopSingleton back if it was taken over.
+   * @memberof MockContainer
+   */
+  destroy() {
+    if (this.iframeBellhop) {
+      this.iframeBellhop.destroy();
+      this.iframeBellhop = null;
+    }
+
+    if (this.bellhop) {
+      // the methods replaced are on the Bellhop prototype, removing them restores the originals
+      delete this.bellhop.send;
+      delete this.bellhop.connect;
+      this.bellhop.connected = this.wasConnected;
+      this.bellhop = null;
+    }
+  }
+
+  /**
+   * Handles a message from the game.
+   * @param {{ type: string, data: * }} message
+   * @private
+   * @memberof MockContainer
+   */
+  receive({ type, data }) {
+    this.messages.push({ type, data });
+
+    const listeners = this.listeners[type] || [];
+    for (let i = 0; i < listeners.length; i++) {
+      listeners[i](data);
+    }
+
+    if (this.responders[type]) {
+      this.send(type, this.responders[type](data));
+    }
+  }
+
+  /**
+   * Connects to a Bellhop instance in the same window, so the game's messages come here instead of to a parent window.
+   * @param {Bellhop} bellhop
+   * @private
+   * @memberof MockContainer
+   */
+  takeOver(bellhop) {
+    this.bellhop = bellhop;
+    this.wasConnected = bellhop.connected;
+
+    bellhop.send = (type, data = {}) => this.receive({ type, data });
+    bellhop.connect = () => {
+      bellhop.connected = true;
+      bellhop.trigger('connected');
+    };
+
+    bellhop.connect();
+  }
+
+  /**
+   * Connects to a game in an iframe, as its parent page.
+   * @param {HTMLIFrameElement} iframe
+   * @private
+   * @memberof MockContainer
+   */
+  connectToIframe(iframe) {
+    this.iframeBellhop = new Bellhop();
+
+    // every message from the game is triggered, while Bellhop's own events are strings
+    const trigger = this.iframeBellhop.trigger.bind(this.iframeBellhop);
+    this.iframeBellhop.trigger = (event, data) => {
+      if ('object' === typeof event) {
+        this.receive(event);
+      }
+      trigger(event, data);
+    };
+
+    this.iframeBellhop.connect(iframe);
+  }
+}
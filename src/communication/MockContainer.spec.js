@@ -0,0 +1,137 @@
+import { MockContainer } from './MockContainer';
+import { BellhopSingleton } from './BellhopSingleton';
+import { Application } from '../Application';
+import { UserData } from '../state/UserData';
+import Sinon from 'sinon';
+
+describe('MockContainer', () => {
+  let container;
+
+  afterEach(() => {
+    if (container) {
+      container.destroy();
+      container = null;
+    }
+  });
+
+  describe('in the same window', () => {
+    it('should connect the BellhopSingleton', () => {
+      container = new MockContainer();
+      expect(BellhopSingleton.connected).to.be.true;
+    });
+
+    it('should record the messages the game sends', done => {
+      container = new MockContainer();
+      const app = new Application({ features: { sound: true } });
+      app.state.soundVolume.subscribe(() => {});
+      app.state.pause.subscribe(() => {});
+
+      expect(container.lastMessage('features').sound).to.be.true;
+
+      app.state.ready.subscribe(() => {
+        expect(container.messagesOf('loaded')).to.have.length(1);
+        app.destroy();
+        done();
+      });
+    });
+
+    it('should send container events to the game', () => {
+      container = new MockContainer();
+      const app = new Application();
+
+      container.send('pause', true);
+      container.send('soundVolume', 0.25);
+
+      expect(app.state.pause.value).to.be.true;
+      expect(app.state.soundVolume.value).to.equal(0.25);
+      app.destroy();
+    });
+
+    it('should answer UserData requests', () => {
+      container = new MockContainer({ userData: { score: 10 } });
+
+      return UserData.read('score')
+        .then(score => {
+          expect(score).to.equal(10);
+          return UserData.write('level', 2);
+        })
+        .then(() => {
+          expect(container.userData.level).to.equal(2);
+          return UserData.delete('score');
+        })
+        .then(() => UserData.read('score'))
+        .then(score => expect(score).to.equal(null));
+    });
+
+    it('should echo the id of UserData requests sent with one', () => {
+      container = new MockContainer({ userData: { score: 10 } });
+      UserData.requestIds = true;
+
+      const read = UserData.read('score');
+      UserData.requestIds = false;
+
+      return read.then(score => {
+        const { id } = container.lastMessage('userDataRead');
+
+        expect(score).to.equal(10);
+        expect(id).to.be.a('number');
+      });
+    });
+
+    it('should send the play options when asked', () => {
+      container = new MockContainer({ playOptions: { mode: 'test' } });
+      const app = new Application();
+
+      expect(app.state.playOptions.value).to.deep.equal({ mode: 'test' });
+      app.destroy();
+    });
+
+    it('should notify listeners and use custom responders', () => {
+      container = new MockContainer();
+      const listener = Sinon.fake();
+      const answer = Sinon.fake();
+
+      container.on('hudPositions', listener);
+      container.respond('ping', data => data + 1);
+      BellhopSingleton.on('ping', answer);
+
+      BellhopSingleton.send('hudPositions', ['top']);
+      BellhopSingleton.send('ping', 1);
+      BellhopSingleton.off('ping', answer);
+
+      expect(listener.calledWith(['top'])).to.be.true;
+      expect(answer.args[0][0].data).to.equal(2);
+    });
+
+    it('should give the BellhopSingleton back when destroyed', () => {
+      const connected = BellhopSingleton.connected;
+      container = new MockContainer();
+      container.destroy();
+      container = null;
+
+      expect(BellhopSingleton.hasOwnProperty('send')).to.be.false;
+      expect(BellhopSingleton.connected).to.equal(connected);
+    });
+  });
+
+  describe('as the parent of an iframe', () => {
+    it('should record the messages the game sends and send it events', () => {
+      const game = { postMessage: Sinon.fake() };
+      const iframe = Object.create(HTMLIFrameElement.prototype, {
+        contentWindow: { value: game }
+      });
+      container = new MockContainer({ iframe });
+
+      // the game connects, then sends its features
+      container.iframeBellhop.receive({ source: game, data: 'connected' });
+      container.iframeBellhop.receive({
+        source: game,
+        data: JSON.stringify({ type: 'features', data: { sound: true } })
+      });
+      container.send('pause', true);
+
+      expect(container.lastMessage('features')).to.deep.equal({ sound: true });
+      expect(game.postMessage.calledWith(JSON.stringify({ type: 'pause', data: true }))).to.be.true;
+    });
+  });
+});
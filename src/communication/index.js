@@ -1 +1,4 @@
 export * from './BellhopSingleton';
+export * from './MockContainer';
+export * from './ContainerProtocol';
+export * from './ContainerProtocolErrors';
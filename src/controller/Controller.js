@@ -1,4 +1,5 @@
 import { alternateKeyMap } from './AlternateKeyMap';
+import { gamepadButtonMap, gamepadStickMap } from './GamepadMap';
 import { Key } from './Key';
 
 /**
@@ -8,32 +9,155 @@ import { Key } from './Key';
  * @property {string} key
  *
  * @typedef {0 | 1 | 2} KeyState
+ *
+ * @typedef {object} ControllerOptions
+ * @property {function(): Array<Gamepad | null>} [getGamepads] Returns the connected gamepads, navigator.getGamepads()
+ * by default. Replace it to test gamepad input.
+ * @property {number} [minDeadzone=0.05] How far a stick has to be pushed to count, at the highest control sensitivity.
+ * @property {number} [maxDeadzone=0.5] How far a stick has to be pushed to count, at the lowest control sensitivity.
+ * @property {function(Gamepad)} [onGamepadConnected] Called when a gamepad connects, from the window's gamepadconnected
+ * event, or when update() finds a gamepad that wasn't connected before.
+ * @property {function(Gamepad)} [onGamepadDisconnected] Called when a gamepad disconnects, from the window's
+ * gamepaddisconnected event, or when update() finds a gamepad is no longer connected.
+ */
+
+/**
+ * Gets the gamepads the browser knows of.
+ * @return {Array<Gamepad | null>}
+ * @private
  */
+function getNavigatorGamepads() {
+  return navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+}
+
+/**
+ * Whether a gamepad is in a list. Browsers can give a new object for the same gamepad on each call.
+ * @param {Gamepad} gamepad
+ * @param {Gamepad[]} list
+ * @return {boolean}
+ * @private
+ */
+function isIn(gamepad, list) {
+  return list.some(
+    other => other.index === gamepad.index && other.id === gamepad.id
+  );
+}
 
 /**
  * Controller interface class to simplify working with key presses.
+ * Gamepad buttons and stick directions, such as GamepadA or GamepadLeftStickUp, can be bound like keys, and are read
+ * from the connected gamepads every update().
  * @export
  * @class Controller
  * @param {KeyTemplate[]} [buttons=[]] An object containing all keys you want to watch and their functions. e.g. {enter: () => {}}. See https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/key/Key_Values for potential values.
+ * @param {ControllerOptions} [options={}]
+ * @property {Gamepad[]} gamepads the gamepads connected at the last update()
+ * @property {number} sensitivity the control sensitivity, between 0 and 1, setting how large the stick deadzone is
  */
 export class Controller {
   /**
    * Creates an instance of Controller.
    * @memberof Controller
    */
-  constructor(keys = []) {
+  constructor(
+    keys = [],
+    {
+      getGamepads = getNavigatorGamepads,
+      minDeadzone = 0.05,
+      maxDeadzone = 0.5,
+      onGamepadConnected = null,
+      onGamepadDisconnected = null
+    } = {}
+  ) {
+    this.getGamepads = getGamepads;
+    this.minDeadzone = minDeadzone;
+    this.maxDeadzone = maxDeadzone;
+    this.onGamepadConnected = onGamepadConnected;
+    this.onGamepadDisconnected = onGamepadDisconnected;
+    this.gamepads = [];
+    // the gamepads the last update() read, to tell gamepads that disconnected from ones not listed yet
+    this.polledGamepads = [];
+    this.sensitivity = 0.5;
+
+    this.app = null;
+    this.onControlSensitivity = value =>
+      (this.sensitivity = 'number' === typeof value ? value : 0.5);
+
     this.assignButtons(keys);
 
-    window.addEventListener('blur', this.onWindowBlur.bind(this));
-    window.addEventListener('keydown', this.onKeyDown.bind(this));
-    window.addEventListener('keyup', this.onKeyUp.bind(this));
+    this.onWindowBlur = this.onWindowBlur.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onGamepadConnect = this.onGamepadConnect.bind(this);
+    this.onGamepadDisconnect = this.onGamepadDisconnect.bind(this);
+
+    window.addEventListener('blur', this.onWindowBlur);
+    window.addEventListener('keydown', this.onKeyDown);
+    window.addEventListener('keyup', this.onKeyUp);
+    window.addEventListener('gamepadconnected', this.onGamepadConnect);
+    window.addEventListener('gamepaddisconnected', this.onGamepadDisconnect);
+  }
+
+  /**
+   * Removes the window listeners and all buttons from the controller.
+   * @memberof Controller
+   */
+  destroy() {
+    window.removeEventListener('blur', this.onWindowBlur);
+    window.removeEventListener('keydown', this.onKeyDown);
+    window.removeEventListener('keyup', this.onKeyUp);
+    window.removeEventListener('gamepadconnected', this.onGamepadConnect);
+    window.removeEventListener('gamepaddisconnected', this.onGamepadDisconnect);
+
+    this.detach();
+    this.assignButtons([]);
+    this.gamepads = [];
+    this.polledGamepads = [];
   }
 
   /**
-   * Calls all functions for buttons that are currently set to enabled.
+   * How far a stick has to be pushed to count, between 0 and 1. Higher control sensitivity makes it smaller.
+   * @type {number}
+   * @memberof Controller
+   */
+  get deadzone() {
+    return this.minDeadzone + (this.maxDeadzone - this.minDeadzone) * (1 - this.sensitivity);
+  }
+
+  /**
+   * Follows the controlSensitivity state of an application, which sets the stick deadzone.
+   * @param {Application} app
+   * @memberof Controller
+   */
+  attach(app) {
+    this.detach();
+    this.app = app;
+
+    app.state.controlSensitivity.subscribe(this.onControlSensitivity);
+    this.onControlSensitivity(app.state.controlSensitivity.value);
+  }
+
+  /**
+   * Stops following the application attached with attach(), going back to the default sensitivity.
+   * @memberof Controller
+   */
+  detach() {
+    if (!this.app) {
+      return;
+    }
+
+    this.app.state.controlSensitivity.unsubscribe(this.onControlSensitivity);
+    this.app = null;
+    this.sensitivity = 0.5;
+  }
+
+  /**
+   * Reads the gamepads, then calls all functions for buttons that are currently set to enabled.
    * @memberof Controller
    */
   update() {
+    this.pollGamepads();
+
     for (let i = 0, l = this.keys.length; i < l; i++) {
       this.buttons[this.keys[i]].action();
     }
@@ -57,6 +181,39 @@ export class Controller {
     this.onKey(e, 2);
   }
 
+  /**
+   * Called on gamepadconnected. Adds the gamepad to the connected gamepads, and reports it.
+   * @param {GamepadEvent} e
+   * @memberof Controller
+   */
+  onGamepadConnect(e) {
+    if (!e.gamepad || isIn(e.gamepad, this.gamepads)) {
+      return;
+    }
+
+    this.gamepads = this.gamepads.concat(e.gamepad);
+    if (this.onGamepadConnected) {
+      this.onGamepadConnected(e.gamepad);
+    }
+  }
+
+  /**
+   * Called on gamepaddisconnected. Removes the gamepad from the connected gamepads, and reports it. Its buttons are let
+   * go on the next update().
+   * @param {GamepadEvent} e
+   * @memberof Controller
+   */
+  onGamepadDisconnect(e) {
+    if (!e.gamepad || !isIn(e.gamepad, this.gamepads)) {
+      return;
+    }
+
+    this.gamepads = this.gamepads.filter(gamepad => !isIn(gamepad, [e.gamepad]));
+    if (this.onGamepadDisconnected) {
+      this.onGamepadDisconnected(e.gamepad);
+    }
+  }
+
   /**
    * Called on window blur, sets button state to up if button was down;
    * @return {void}@memberof Controller
@@ -91,6 +248,86 @@ export class Controller {
       this.keys.push(currentKey);
       this.buttons[currentKey] = new Key(currentKey, keys[i].down, keys[i].up);
     }
+
+    this.gamepadKeys = this.keys.filter(
+      key => undefined !== gamepadButtonMap[key] || undefined !== gamepadStickMap[key]
+    );
+  }
+
+  /**
+   * Reads the connected gamepads, reporting the ones connected or disconnected since the last poll, and updates the
+   * state of the gamepad buttons being watched. A gamepad reported by gamepadconnected is only reported disconnected by
+   * gamepaddisconnected, or once a poll has read it, since the browser can take a while to list it.
+   * @private
+   * @memberof Controller
+   */
+  pollGamepads() {
+    const gamepads = (this.getGamepads() || []).filter(
+      gamepad => gamepad && false !== gamepad.connected
+    );
+    const previous = this.gamepads;
+    const unlisted = previous.filter(
+      gamepad => !isIn(gamepad, gamepads) && !isIn(gamepad, this.polledGamepads)
+    );
+    this.gamepads = gamepads.concat(unlisted);
+    this.polledGamepads = gamepads;
+
+    for (let i = 0; i < previous.length; i++) {
+      if (!isIn(previous[i], this.gamepads) && this.onGamepadDisconnected) {
+        this.onGamepadDisconnected(previous[i]);
+      }
+    }
+    for (let i = 0; i < gamepads.length; i++) {
+      if (!isIn(gamepads[i], previous) && this.onGamepadConnected) {
+        this.onGamepadConnected(gamepads[i]);
+      }
+    }
+
+    for (let i = 0; i < this.gamepadKeys.length; i++) {
+      const button = this.buttons[this.gamepadKeys[i]];
+      const value = this.readGamepads(button.key, gamepads);
+
+      button.value = value;
+      if (value > 0 && 1 !== button.state) {
+        button.updateState(1);
+      } else if (0 === value && 1 === button.state) {
+        button.updateState(2);
+      }
+    }
+  }
+
+  /**
+   * Reads how far a gamepad button or stick direction is pressed, on whichever gamepad presses it furthest.
+   * @private
+   * @param {string} key
+   * @param {Gamepad[]} gamepads
+   * @return {number} Between 0 and 1, 0 while not pressed or inside the deadzone.
+   * @memberof Controller
+   */
+  readGamepads(key, gamepads) {
+    const buttonIndex = gamepadButtonMap[key];
+    const stick = gamepadStickMap[key];
+    const deadzone = this.deadzone;
+    let value = 0;
+
+    for (let i = 0; i < gamepads.length; i++) {
+      if (undefined !== buttonIndex) {
+        const button = gamepads[i].buttons[buttonIndex];
+
+        // analog buttons, such as triggers, have a value between 0 and 1
+        if (button && button.pressed) {
+          value = Math.max(value, button.value || 1);
+        }
+        continue;
+      }
+
+      const axis = (gamepads[i].axes[stick.axis] || 0) * stick.direction;
+      if (axis > deadzone) {
+        value = Math.max(value, Math.min(1, (axis - deadzone) / (1 - deadzone)));
+      }
+    }
+
+    return value;
   }
 
   /**
@@ -103,6 +340,7 @@ export class Controller {
   onKey(event, state) {
     const key = event.key.toLowerCase();
     if (this.buttons[key]) {
+      this.buttons[key].value = 1 === state ? 1 : 0;
       this.buttons[key].updateState(state);
     }
   }
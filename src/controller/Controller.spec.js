@@ -1,4 +1,5 @@
 import { Controller } from './Controller';
+import { Application } from '../Application';
 import { newEvent } from '../debug';
 import Sinon from 'sinon';
 
@@ -133,4 +134,190 @@ describe('controller', () => {
     });
   }
 
+  it('Should not listen to key events once destroyed', () => {
+    const callback = Sinon.fake();
+    const controller = new Controller([{ key: 'Enter', down: callback }]);
+
+    controller.destroy();
+
+    const event = newEvent('keydown');
+    event.key = 'Enter';
+    window.dispatchEvent(event);
+    controller.update();
+
+    expect(callback.callCount).to.equal(0);
+    expect(controller.keys.length).to.equal(0);
+  });
+
+  describe('gamepads', () => {
+    let gamepads;
+    let controller;
+
+    /**
+     * Creates a stand-in for a gamepad with the standard mapping.
+     * @param {number} index
+     * @return {object}
+     */
+    const createGamepad = index => {
+      const buttons = [];
+      for (let i = 0; i < 17; i++) {
+        buttons.push({ pressed: false, value: 0 });
+      }
+      return { index, id: 'Standard Gamepad', connected: true, mapping: 'standard', buttons, axes: [0, 0, 0, 0] };
+    };
+
+    beforeEach(() => {
+      gamepads = [createGamepad(0)];
+    });
+
+    afterEach(() => {
+      controller.destroy();
+    });
+
+    it('Should call functions while a gamepad button is pressed', () => {
+      const down = Sinon.fake();
+      const up = Sinon.fake();
+      controller = new Controller([{ key: 'GamepadA', down, up }], { getGamepads: () => gamepads });
+
+      gamepads[0].buttons[0] = { pressed: true, value: 1 };
+      controller.update();
+      controller.update();
+
+      gamepads[0].buttons[0] = { pressed: false, value: 0 };
+      controller.update();
+
+      expect(down.callCount).to.equal(2);
+      expect(down.args[0][0]).to.equal(1);
+      expect(up.callCount).to.equal(1);
+    });
+
+    it('Should pass the value of analog buttons', () => {
+      const down = Sinon.fake();
+      controller = new Controller([{ key: 'GamepadRightTrigger', down }], { getGamepads: () => gamepads });
+
+      gamepads[0].buttons[7] = { pressed: true, value: 0.6 };
+      controller.update();
+
+      expect(down.calledOnceWith(0.6)).to.be.true;
+    });
+
+    it('Should press stick directions past the deadzone', () => {
+      const left = Sinon.fake();
+      const up = Sinon.fake();
+      controller = new Controller(
+        [{ key: 'GamepadLeftStickLeft', down: left }, { key: 'GamepadLeftStickUp', down: up }],
+        { getGamepads: () => gamepads, minDeadzone: 0.1, maxDeadzone: 0.5 }
+      );
+
+      // the deadzone is 0.3 at the default sensitivity
+      gamepads[0].axes = [-0.2, -0.65, 0, 0];
+      controller.update();
+
+      expect(left.called).to.be.false;
+      expect(up.calledOnce).to.be.true;
+      expect(up.args[0][0]).to.be.closeTo(0.5, 1e-9);
+    });
+
+    it('Should shrink the deadzone as control sensitivity goes up', () => {
+      const app = new Application({ pauseOnBlur: false });
+      controller = new Controller([], { minDeadzone: 0.1, maxDeadzone: 0.5 });
+
+      controller.attach(app);
+      app.state.controlSensitivity.value = 1;
+      expect(controller.deadzone).to.equal(0.1);
+
+      app.state.controlSensitivity.value = 0;
+      expect(controller.deadzone).to.equal(0.5);
+
+      controller.detach();
+      expect(controller.deadzone).to.be.closeTo(0.3, 1e-9);
+      app.destroy();
+    });
+
+    it('Should report gamepads connecting and disconnecting', () => {
+      const onGamepadConnected = Sinon.fake();
+      const onGamepadDisconnected = Sinon.fake();
+      const down = Sinon.fake();
+      const up = Sinon.fake();
+      gamepads = [null];
+      controller = new Controller([{ key: 'GamepadStart', down, up }], {
+        getGamepads: () => gamepads,
+        onGamepadConnected,
+        onGamepadDisconnected
+      });
+
+      controller.update();
+      expect(onGamepadConnected.called).to.be.false;
+
+      const gamepad = createGamepad(0);
+      gamepad.buttons[9] = { pressed: true, value: 1 };
+      gamepads = [gamepad];
+      controller.update();
+      expect(onGamepadConnected.calledOnceWith(gamepad)).to.be.true;
+      expect(controller.gamepads).to.have.length(1);
+
+      // buttons held on a gamepad are let go when it disconnects
+      gamepads = [null];
+      controller.update();
+      expect(onGamepadDisconnected.calledOnceWith(gamepad)).to.be.true;
+      expect(up.calledOnce).to.be.true;
+    });
+
+    it('Should report gamepads from the window events until destroyed', () => {
+      const onGamepadConnected = Sinon.fake();
+      const onGamepadDisconnected = Sinon.fake();
+      const gamepad = createGamepad(1);
+      controller = new Controller([], { getGamepads: () => gamepads, onGamepadConnected, onGamepadDisconnected });
+
+      /**
+       * Sends a gamepad event to the window.
+       * @param {string} type
+       */
+      const dispatch = type => {
+        const event = newEvent(type);
+        event.gamepad = gamepad;
+        window.dispatchEvent(event);
+      };
+
+      dispatch('gamepadconnected');
+      expect(onGamepadConnected.calledOnceWith(gamepad)).to.be.true;
+      expect(controller.gamepads).to.include(gamepad);
+
+      // the update finds the same gamepad, so it isn't reported again
+      gamepads = [gamepad];
+      controller.update();
+      expect(onGamepadConnected.calledOnce).to.be.true;
+
+      dispatch('gamepaddisconnected');
+      expect(onGamepadDisconnected.calledOnceWith(gamepad)).to.be.true;
+      expect(controller.gamepads).to.have.length(0);
+
+      controller.destroy();
+      dispatch('gamepadconnected');
+      expect(onGamepadConnected.calledOnce).to.be.true;
+    });
+
+    it('Should not report a gamepad from the window events disconnected before the browser lists it', () => {
+      const onGamepadDisconnected = Sinon.fake();
+      const gamepad = createGamepad(1);
+      gamepads = [];
+      controller = new Controller([], { getGamepads: () => gamepads, onGamepadDisconnected });
+
+      const event = newEvent('gamepadconnected');
+      event.gamepad = gamepad;
+      window.dispatchEvent(event);
+
+      controller.update();
+      expect(onGamepadDisconnected.called).to.be.false;
+      expect(controller.gamepads).to.include(gamepad);
+
+      // once an update has read it, a gamepad missing from the list has disconnected
+      gamepads = [gamepad];
+      controller.update();
+      gamepads = [];
+      controller.update();
+      expect(onGamepadDisconnected.calledOnceWith(gamepad)).to.be.true;
+      expect(controller.gamepads).to.have.length(0);
+    });
+  });
 });
@@ -0,0 +1,38 @@
+/**
+ * The index of each button of a gamepad with the standard mapping, by the lowercase name it is bound with.
+ * See https://w3c.github.io/gamepad/#remapping for the layout.
+ */
+export const gamepadButtonMap = Object.freeze({
+  'gamepada': 0,
+  'gamepadb': 1,
+  'gamepadx': 2,
+  'gamepady': 3,
+  'gamepadleftbumper': 4,
+  'gamepadrightbumper': 5,
+  'gamepadlefttrigger': 6,
+  'gamepadrighttrigger': 7,
+  'gamepadselect': 8,
+  'gamepadstart': 9,
+  'gamepadleftstick': 10,
+  'gamepadrightstick': 11,
+  'gamepaddpadup': 12,
+  'gamepaddpaddown': 13,
+  'gamepaddpadleft': 14,
+  'gamepaddpadright': 15,
+  'gamepadhome': 16
+});
+
+/**
+ * The axis of each direction of the analog sticks of a gamepad with the standard mapping, by the lowercase name it is
+ * bound with. Each direction is pressed while its stick is pushed past the deadzone that way.
+ */
+export const gamepadStickMap = Object.freeze({
+  'gamepadleftstickleft': { axis: 0, direction: -1 },
+  'gamepadleftstickright': { axis: 0, direction: 1 },
+  'gamepadleftstickup': { axis: 1, direction: -1 },
+  'gamepadleftstickdown': { axis: 1, direction: 1 },
+  'gamepadrightstickleft': { axis: 2, direction: -1 },
+  'gamepadrightstickright': { axis: 2, direction: 1 },
+  'gamepadrightstickup': { axis: 3, direction: -1 },
+  'gamepadrightstickdown': { axis: 3, direction: 1 }
+});
@@ -3,11 +3,13 @@
  * @class Key
  * @property {0 | 1 | 2} state The current state of the key. 0 = inactive, 1 = active, 2 = to be set to inactive.
  * @property {string} key The name of the key we are targeting.
+ * @property {number} value How far the key is pressed, between 0 and 1. Keyboard keys are 1 while down, and gamepad
+ * sticks and triggers can be anywhere in between.
  * @property {object} actions
  * @property {function} actions.down Function to be called while the key is held down.
  * @property {function} actions.up Function to be called when the key is lifted up.
  * @param {string} key What this object represents.
- * @param {Function} [down=() => {}] Function to be called while the key is held down.
+ * @param {Function} [down=() => {}] Function to be called while the key is held down, with the value of the key.
  * @param {Function} [up=() => {}] Function to be called when the key is lifted up.
  */
 export class Key {
@@ -17,6 +19,7 @@ export class Key {
   constructor(key, down, up) {
     this.key = key;
     this._state = 0;
+    this.value = 0;
     this.actions = {
       up,
       down
@@ -42,7 +45,7 @@ export class Key {
   action() {
     if (1 === this.state) {
       if (this.actions.down) {
-        this.actions.down();
+        this.actions.down(this.value);
       }
     } else if (2 === this.state) {
       if (this.actions.up) {
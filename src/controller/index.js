@@ -1,2 +1,3 @@
 export * from './Controller';
 export * from './AlternateKeyMap';
+export * from './GamepadMap';
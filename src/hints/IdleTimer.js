@@ -11,9 +11,12 @@ export class IdleTimer {
    */
   constructor() {
     this.listeners = [];
+    this.remaining = null;
+    this.paused = false;
   }
 
   /**
+   * Starts the timer, or starts it over. A paused timer starts counting once resumed.
    * @param  {Number} time time in milliseconds
    * @return {void}@memberof IdleTimer
    */
@@ -23,7 +26,17 @@ export class IdleTimer {
       return;
     }
 
+    clearTimeout(this.timer);
+    this.timer = null;
     this.length = time;
+
+    if (this.paused) {
+      this.remaining = time;
+      return;
+    }
+
+    this.remaining = null;
+    this.startTime = Date.now();
     this.timer = setTimeout(this.dispatch.bind(this), time);
   }
 
@@ -32,12 +45,19 @@ export class IdleTimer {
    * @return {void}@memberof IdleTimer
    */
   reset() {
+    // a paused timer starts over once resumed
+    if (null !== this.remaining) {
+      this.remaining = this.length;
+      return;
+    }
+
     if (!this.timer) {
       Debugger.log('warn', '[IdleTimer.reset()] timer has not been started');
       return;
     }
 
     clearTimeout(this.timer);
+    this.startTime = Date.now();
     this.timer = setTimeout(this.dispatch.bind(this), this.length);
   }
 
@@ -45,6 +65,11 @@ export class IdleTimer {
    * @return {void}@memberof IdleTimer
    */
   stop() {
+    if (null !== this.remaining) {
+      this.remaining = null;
+      return;
+    }
+
     if (!this.timer) {
       Debugger.log('warn', '[IdleTimer.reset()] timer has not been started');
       return;
@@ -53,6 +78,50 @@ export class IdleTimer {
     this.timer = null;
   }
 
+  /**
+   * Pauses the timer, keeping the time left until it dispatches.
+   * @return {void}@memberof IdleTimer
+   */
+  pause() {
+    this.paused = true;
+
+    if (!this.timer) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.remaining = Math.max(0, this.length - (Date.now() - this.startTime));
+  }
+
+  /**
+   * Resumes a paused timer, dispatching once the time left when it was paused has passed.
+   * @return {void}@memberof IdleTimer
+   */
+  resume() {
+    this.paused = false;
+
+    if (null === this.remaining) {
+      return;
+    }
+
+    // counted from the start of a full length, so reset() and pause() keep working
+    this.startTime = Date.now() - (this.length - this.remaining);
+    this.timer = setTimeout(this.dispatch.bind(this), this.remaining);
+    this.remaining = null;
+  }
+
+  /**
+   * Stops the timer, if it was started, and removes all subscribed functions.
+   * @return {void}@memberof IdleTimer
+   */
+  destroy() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.remaining = null;
+    this.listeners.length = 0;
+  }
+
   /**
    * Calls all subscribed functions, and resets the timer.
    * @return {void}@memberof IdleTimer
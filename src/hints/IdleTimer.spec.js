@@ -79,4 +79,68 @@ describe('IdleTimer', function() {
       expect(callback.callCount).to.equal(1);
     });
   });
+
+  describe('#pause()', function() {
+    it('should dispatch after the time left when it was paused, once resumed', function() {
+      const clock = Sinon.useFakeTimers();
+      const timer = new IdleTimer();
+      const callback = Sinon.fake();
+      timer.subscribe(callback);
+
+      timer.start(1000);
+      clock.tick(600);
+      timer.pause();
+      clock.tick(5000);
+      expect(callback.callCount).to.equal(0);
+
+      timer.resume();
+      clock.tick(399);
+      expect(callback.callCount).to.equal(0);
+      clock.tick(1);
+      expect(callback.callCount).to.equal(1);
+
+      timer.destroy();
+      clock.restore();
+    });
+
+    it('should not count time when started while paused', function() {
+      const clock = Sinon.useFakeTimers();
+      const timer = new IdleTimer();
+      const callback = Sinon.fake();
+      timer.subscribe(callback);
+
+      timer.pause();
+      timer.start(1000);
+      clock.tick(5000);
+      expect(callback.callCount).to.equal(0);
+
+      timer.resume();
+      clock.tick(999);
+      expect(callback.callCount).to.equal(0);
+      clock.tick(1);
+      expect(callback.callCount).to.equal(1);
+
+      timer.destroy();
+      clock.restore();
+    });
+
+    it('should do nothing if the timer is not started', function() {
+      const timer = new IdleTimer();
+      timer.pause();
+      timer.resume();
+      expect(timer.timer == null || timer.timer == undefined).to.be.true;
+    });
+  });
+
+  describe('#destroy()', function() {
+    it('should clear the timer and remove subscribed functions', function() {
+      const timer = new IdleTimer();
+      timer.subscribe(Sinon.fake());
+      timer.start(1000);
+      timer.destroy();
+
+      expect(timer.timer == null || timer.timer == undefined).to.be.true;
+      expect(timer.listeners.length).to.equal(0);
+    });
+  });
 });
@@ -7,6 +7,8 @@ export * from './state';
 export * from './scale-manager';
 export * from './accessibility';
 export * from './controller';
+export * from './timing';
+export * from './audio';
 export * from './Application';
 export * from './localization';
 export * from './plugins';
@@ -29,6 +29,7 @@ export class CaptionPlayer {
     this.renderer = renderer;
 
     this.activeCaption = null;
+    this.paused = false;
   }
 
   /**
@@ -39,7 +40,7 @@ export class CaptionPlayer {
    * @memberof CaptionPlayer
    */
   update(deltaTime) {
-    if (this.activeCaption) {
+    if (this.activeCaption && !this.paused) {
       this.activeCaption.update(deltaTime);
       if (this.activeCaption.isFinished()) {
         this.stop();
@@ -67,6 +68,48 @@ export class CaptionPlayer {
     Debugger.log('warn', `[CaptionPlayer.Start()] caption ${name} not found`);
   }
 
+  /**
+   * Moves the caption currently playing to a time, such as the time of the audio it goes with. Unlike update(), this
+   * works while paused, and can go back.
+   *
+   * @param {number} time Time in milliseconds.
+   * @memberof CaptionPlayer
+   */
+  seek(time) {
+    const caption = this.activeCaption;
+
+    if (!caption) {
+      return;
+    }
+
+    if (time < caption.time) {
+      this.renderer.lineEnd();
+      caption.start(time, this.renderer);
+    } else {
+      caption.update((time - caption.time) / 1000);
+    }
+
+    if (caption.isFinished()) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Pauses the caption currently playing, and any started while paused, until resume() is called.
+   * @memberof CaptionPlayer
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Resumes updating captions.
+   * @memberof CaptionPlayer
+   */
+  resume() {
+    this.paused = false;
+  }
+
   /**
    * Stops any caption currently playing.
    * @memberof CaptionPlayer
@@ -100,6 +100,38 @@ describe('CaptionPlayer', function() {
     });
   });
 
+  describe('#pause()', function() {
+    it('should not update captions until resumed', function() {
+      const player = new CaptionPlayer(testData, tester);
+      player.start('HelloWorld');
+
+      player.pause();
+      player.update(3000);
+      expect(tester.stopCalled).to.equal(false);
+
+      player.resume();
+      player.update(3000);
+      expect(tester.stopCalled).to.equal(true);
+    });
+  });
+
+  describe('#seek()', function() {
+    it('should move the caption forward and back, even while paused', function() {
+      const player = new CaptionPlayer(testData, tester);
+      player.start('HelloWorld');
+      player.pause();
+
+      player.seek(1400);
+      expect(tester.content).to.equal('world');
+
+      player.seek(100);
+      expect(tester.content).to.equal('hello');
+
+      player.seek(3000);
+      expect(tester.stopCalled).to.equal(true);
+    });
+  });
+
   describe('Template Renderer', () => {
     it('Should be able to replace placeholders with variables', () => {
       const testString = 'Johnny {{fruit}}seed';
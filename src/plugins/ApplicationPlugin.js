@@ -8,6 +8,11 @@ export class ApplicationPlugin {
    * Creates a new Application plugin with a given name and other required plugins
    * @param {Object} [options={}] The configuration options to the plugin
    * @param {String} [options.name] The name of the plugin. Used by other plugins to specify a dependency on the plugin
+   * @param {String[]} [options.required=[]] Names of plugins that must load before this plugin. If any of them are
+   * missing or fail to preload, this plugin is skipped
+   * @param {String[]} [options.optional=[]] Names of plugins that should load before this plugin if they are registered
+   * @param {Number} [options.preloadTimeout] Time in milliseconds the preload may take before the plugin is marked as
+   * failed. Defaults to the preloadTimeout of the Application. 0 disables the timeout
    */
   constructor(options = {}) {
     if (options.name === undefined) {
@@ -15,6 +20,9 @@ export class ApplicationPlugin {
     }
 
     this.name = options.name;
+    this.required = options.required || [];
+    this.optional = options.optional || [];
+    this.preloadTimeout = options.preloadTimeout;
   }
 
   /**
@@ -37,4 +45,10 @@ export class ApplicationPlugin {
    * After all plugins inits has completed
    */
   start() {}
+
+  /**
+   * A destroy method for the plugin. Called when the Application is destroyed, in the reverse order of start.
+   * Used to remove any listeners, timers or other resources the plugin added
+   */
+  destroy() {}
 }
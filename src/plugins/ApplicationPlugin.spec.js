@@ -11,4 +11,20 @@ describe('ApplicationPlugin', () => {
     const plugin = new ApplicationPlugin({ name: 'test' });
     expect(plugin.name).to.equal('test');
   });
+
+  it('should default required and optional plugins to empty lists', () => {
+    const plugin = new ApplicationPlugin({ name: 'test' });
+    expect(plugin.required).to.deep.equal([]);
+    expect(plugin.optional).to.deep.equal([]);
+  });
+
+  it('should attach the configured required and optional plugins', () => {
+    const plugin = new ApplicationPlugin({
+      name: 'test',
+      required: ['sound'],
+      optional: ['captions']
+    });
+    expect(plugin.required).to.deep.equal(['sound']);
+    expect(plugin.optional).to.deep.equal(['captions']);
+  });
 });
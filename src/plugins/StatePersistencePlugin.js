@@ -0,0 +1,218 @@
+import { ApplicationPlugin } from './ApplicationPlugin';
+import { UserData } from '../state/UserData';
+import { BellhopSingleton } from '../communication/BellhopSingleton';
+import { Debugger } from '../debug/Debugger';
+import { PLAYER_SETTINGS } from '../state/PlayerSettings';
+
+/**
+ * Saves changes to Application state properties and restores them the next time the game is launched.
+ * Settings are stored through UserData, which falls back to localStorage when the container isn't connected.
+ * Values sent by the container take precedence over saved values, which take precedence over the defaults.
+ * @class StatePersistencePlugin
+ * @extends ApplicationPlugin
+ */
+export class StatePersistencePlugin extends ApplicationPlugin {
+  /**
+   * Creates an instance of StatePersistencePlugin.
+   * @param {object} [options={}]
+   * @param {string[]} [options.properties] The keys of the state properties to save. Defaults to the player settings.
+   * @param {string} [options.key='springrollSettings'] The name the settings are stored under.
+   * @param {number} [options.connectTimeout=1000] Time in milliseconds to wait for the container to connect before
+   * loading settings from the UserData fallback storage.
+   * @param {number} [options.saveDelay=250] Time in milliseconds to wait after a change before saving, so a quick
+   * series of changes is saved once.
+   * @memberof StatePersistencePlugin
+   */
+  constructor({
+    properties = PLAYER_SETTINGS,
+    key = 'springrollSettings',
+    connectTimeout = 1000,
+    saveDelay = 250
+  } = {}) {
+    super({ name: 'statePersistence' });
+
+    this.properties = properties;
+    this.key = key;
+    this.connectTimeout = connectTimeout;
+    this.saveDelay = saveDelay;
+
+    this.values = {};
+    this.subscriptions = [];
+    this.saveTimer = null;
+    this.onReady = null;
+  }
+
+  /**
+   * Loads the saved settings. Never rejects, a failed load is logged and the game starts without saved settings.
+   * @return {Promise<void>}
+   * @memberof StatePersistencePlugin
+   */
+  preload() {
+    return this.waitForConnection()
+      .then(() => this.load())
+      .then(values => {
+        this.values = values && 'object' === typeof values ? values : {};
+      })
+      .catch(error => {
+        this.values = {};
+        Debugger.log(
+          'warn',
+          '[StatePersistencePlugin] Could not load saved settings:',
+          error
+        );
+      });
+  }
+
+  /**
+   * Restores saved settings to state properties that the container hasn't already set.
+   * @param {Application} app
+   * @memberof StatePersistencePlugin
+   */
+  init(app) {
+    for (let i = 0; i < this.properties.length; i++) {
+      const key = this.properties[i];
+      const property = app.state[key];
+
+      if (
+        property &&
+        undefined === property.value &&
+        undefined !== this.values[key]
+      ) {
+        property.value = this.values[key];
+      }
+    }
+  }
+
+  /**
+   * Starts saving changes once the application is ready, so the defaults set while loading aren't saved.
+   * @param {Application} app
+   * @memberof StatePersistencePlugin
+   */
+  start(app) {
+    this.onReady = isReady => {
+      if (isReady && !this.subscriptions.length) {
+        this.track(app);
+      }
+    };
+
+    app.state.ready.subscribe(this.onReady);
+  }
+
+  /**
+   * Stops saving changes, saving any change that is still waiting to be saved.
+   * @param {Application} app
+   * @memberof StatePersistencePlugin
+   */
+  destroy(app) {
+    if (this.onReady) {
+      app.state.ready.unsubscribe(this.onReady);
+      this.onReady = null;
+    }
+
+    for (let i = 0; i < this.subscriptions.length; i++) {
+      const { property, listener } = this.subscriptions[i];
+      property.unsubscribe(listener);
+    }
+    this.subscriptions.length = 0;
+
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.save().catch(this.onSaveError);
+    }
+  }
+
+  /**
+   * Subscribes to every persisted state property.
+   * @param {Application} app
+   * @private
+   * @memberof StatePersistencePlugin
+   */
+  track(app) {
+    for (let i = 0; i < this.properties.length; i++) {
+      const key = this.properties[i];
+      const property = app.state[key];
+
+      if (!property) {
+        continue;
+      }
+
+      const listener = value => {
+        this.values[key] = value;
+        this.scheduleSave();
+      };
+
+      property.subscribe(listener);
+      this.subscriptions.push({ property, listener });
+    }
+  }
+
+  /**
+   * Saves the settings after saveDelay, restarting the delay if a save is already waiting.
+   * @private
+   * @memberof StatePersistencePlugin
+   */
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(this.onSaveError);
+    }, this.saveDelay);
+  }
+
+  /**
+   * Waits for the container to connect, up to connectTimeout. Resolves immediately if the game isn't in an iframe.
+   * @return {Promise<void>}
+   * @private
+   * @memberof StatePersistencePlugin
+   */
+  waitForConnection() {
+    if (BellhopSingleton.connected || window.parent === window) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        BellhopSingleton.off('connected', done);
+        resolve();
+      };
+
+      const timer = setTimeout(done, this.connectTimeout);
+      BellhopSingleton.on('connected', done);
+    });
+  }
+
+  /**
+   * Reads the saved settings, from the container or from the UserData fallback storage if it isn't connected.
+   * @return {Promise<object>}
+   * @memberof StatePersistencePlugin
+   */
+  load() {
+    return UserData.read(this.key);
+  }
+
+  /**
+   * Writes the settings, to the container or to the UserData fallback storage if it isn't connected, in which case they
+   * are sent to the container once it connects.
+   * @return {Promise}
+   * @memberof StatePersistencePlugin
+   */
+  save() {
+    return UserData.write(this.key, this.values);
+  }
+
+  /**
+   * Logs a failed save.
+   * @param {*} error
+   * @private
+   * @memberof StatePersistencePlugin
+   */
+  onSaveError(error) {
+    Debugger.log(
+      'warn',
+      '[StatePersistencePlugin] Could not save settings:',
+      error
+    );
+  }
+}
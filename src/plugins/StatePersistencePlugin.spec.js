@@ -0,0 +1,119 @@
+import { StatePersistencePlugin } from './StatePersistencePlugin';
+import { Application } from '../Application';
+import { BellhopSingleton } from '../communication/BellhopSingleton';
+
+const key = 'statePersistenceTest';
+
+// where UserData stores the settings while the container isn't connected
+const stored = `springroll.userData.${key}`;
+
+const apps = [];
+
+const createApp = (options = {}) => {
+  const app = new Application({
+    plugins: [
+      new StatePersistencePlugin(
+        Object.assign({ key, connectTimeout: 0, saveDelay: 0 }, options)
+      )
+    ]
+  });
+
+  apps.push(app);
+  return app;
+};
+
+describe('StatePersistencePlugin', () => {
+  beforeEach(() => {
+    Application._plugins = [];
+    localStorage.removeItem(stored);
+  });
+
+  afterEach(() => {
+    // apps of earlier specs would otherwise keep saving container changes
+    apps.forEach(app => app.destroy());
+    apps.length = 0;
+    localStorage.removeItem(stored);
+  });
+
+  it('should restore saved settings before the application is ready', done => {
+    localStorage.setItem(stored, JSON.stringify({ soundVolume: 0.3 }));
+
+    const app = createApp();
+    app.state.ready.subscribe(() => {
+      expect(app.state.soundVolume.value).to.equal(0.3);
+      expect(app.state.musicVolume.value).to.equal(1);
+      done();
+    });
+  });
+
+  it('should prefer values sent by the container over saved settings', done => {
+    localStorage.setItem(stored, JSON.stringify({ soundVolume: 0.3 }));
+
+    const app = createApp();
+    BellhopSingleton.trigger({ type: 'soundVolume', data: 0.8 });
+
+    app.state.ready.subscribe(() => {
+      expect(app.state.soundVolume.value).to.equal(0.8);
+      done();
+    });
+  });
+
+  it('should only restore the configured properties', done => {
+    localStorage.setItem(stored, JSON.stringify({ soundVolume: 0.3, health: 1 }));
+
+    const app = createApp({ properties: ['health'] });
+    app.state.ready.subscribe(() => {
+      expect(app.state.soundVolume.value).to.equal(1);
+      expect(app.state.health.value).to.equal(1);
+      done();
+    });
+  });
+
+  it('should save changes made after the application is ready', done => {
+    const app = createApp();
+    app.state.ready.subscribe(() => {
+      setTimeout(() => {
+        expect(localStorage.getItem(stored)).to.equal(null);
+
+        app.state.colorVision.value = 'Protanopia';
+
+        setTimeout(() => {
+          expect(JSON.parse(localStorage.getItem(stored))).to.deep.equal({
+            colorVision: 'Protanopia'
+          });
+          done();
+        }, 10);
+      });
+    });
+  });
+
+  it('should save pending changes when destroyed', done => {
+    const app = createApp({ saveDelay: 10000 });
+    app.state.ready.subscribe(() => {
+      setTimeout(() => {
+        app.state.voVolume.value = 0;
+        app.destroy();
+
+        setTimeout(() => {
+          expect(JSON.parse(localStorage.getItem(stored))).to.deep.equal({
+            voVolume: 0
+          });
+          done();
+        }, 10);
+      });
+    });
+  });
+
+  it('should still load the application if the saved settings are corrupt', done => {
+    localStorage.setItem(stored, '{not json');
+
+    const app = createApp();
+    app.state.ready.subscribe(() => {
+      expect(app.getPlugin('statePersistence')).to.be.instanceOf(
+        StatePersistencePlugin
+      );
+      expect(app.state.soundVolume.value).to.equal(1);
+      done();
+    });
+  });
+});
@@ -0,0 +1,317 @@
+import { ApplicationPlugin } from './ApplicationPlugin';
+import { ContainerTransport } from './TrackingTransports';
+import { Debugger } from '../debug/Debugger';
+
+/**
+ * Creates an id that is very unlikely to be used by another session.
+ * @return {string}
+ * @private
+ */
+function createSessionId() {
+  return (
+    Date.now().toString(36) +
+    '-' +
+    Math.random()
+      .toString(36)
+      .slice(2, 10)
+  );
+}
+
+/**
+ * Tracks what happens in a game, sending events in batches through a transport, to the container by default. Events are
+ * queued while the transport isn't ready. Once the application is ready, its ready, pause, playHelp and setting changes
+ * are tracked automatically.
+ * @class TrackingPlugin
+ * @extends ApplicationPlugin
+ * @property {string} sessionId the id of this session, sent with every event
+ * @property {TrackingEvent[]} queue the events waiting to be sent
+ */
+export class TrackingPlugin extends ApplicationPlugin {
+  /**
+   * Creates an instance of TrackingPlugin.
+   * @param {object} [options={}]
+   * @param {{ ready: boolean, send: function(TrackingEvent[]): Promise }} [options.transport=new ContainerTransport()]
+   * Where the events are sent, such as a ContainerTransport, ConsoleTransport or MemoryTransport.
+   * @param {string} [options.gameId=null] The id of the game, sent with every event.
+   * @param {number} [options.batchSize=10] How many events are sent at once. A batch is sent as soon as it is full.
+   * @param {number} [options.flushInterval=1000] Time in milliseconds to wait after an event before sending the events
+   * queued, if the batch isn't full before then.
+   * @param {number} [options.maxQueueSize=1000] The most events kept while the transport isn't ready. The oldest events
+   * are dropped past this.
+   * @param {boolean} [options.automaticEvents=true] Whether to track the ready, pause, playHelp and settingChanged
+   * events.
+   * @param {number} [options.drainTimeout=5000] Time in milliseconds the queued events are tried for when the plugin is
+   * destroyed. Events still queued after this are dropped.
+   * @memberof TrackingPlugin
+   */
+  constructor({
+    transport = new ContainerTransport(),
+    gameId = null,
+    batchSize = 10,
+    flushInterval = 1000,
+    maxQueueSize = 1000,
+    automaticEvents = true,
+    drainTimeout = 5000
+  } = {}) {
+    super({ name: 'tracking' });
+
+    this.transport = transport;
+    this.gameId = gameId;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.maxQueueSize = maxQueueSize;
+    this.automaticEvents = automaticEvents;
+    this.drainTimeout = drainTimeout;
+
+    this.sessionId = createSessionId();
+    this.sequence = 0;
+    this.queue = [];
+    this.flushTimer = null;
+    this.sending = null;
+    this.subscriptions = [];
+    this.onPlayHelp = null;
+    this.destroyed = false;
+  }
+
+  /**
+   * Starts tracking the automatic events once the application is ready.
+   * @param {Application} app
+   * @memberof TrackingPlugin
+   */
+  start(app) {
+    if (!this.automaticEvents) {
+      return;
+    }
+
+    this.subscribe(app.state.ready, isReady => {
+      if (isReady && !this.onPlayHelp) {
+        this.track('ready');
+        this.trackApplication(app);
+      }
+    });
+  }
+
+  /**
+   * Stops tracking, and sends every event still queued, waiting for the transport if it isn't ready, for up to
+   * drainTimeout.
+   * @param {Application} app
+   * @return {Promise} Resolves once every queued event has been sent, or dropped after drainTimeout.
+   * @memberof TrackingPlugin
+   */
+  destroy(app) {
+    for (let i = 0; i < this.subscriptions.length; i++) {
+      const { property, listener } = this.subscriptions[i];
+      property.unsubscribe(listener);
+    }
+    this.subscriptions.length = 0;
+
+    if (this.onPlayHelp) {
+      app.protocol.off('playHelp', this.onPlayHelp);
+      this.onPlayHelp = null;
+    }
+
+    // nothing is scheduled after this, the queue is drained instead
+    this.destroyed = true;
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    return this.drain();
+  }
+
+  /**
+   * Tracks an event.
+   * @param {string} name What happened, such as levelStart
+   * @param {object} [data={}] Details of the event. Must be an object that can be sent as JSON
+   * @return {boolean} Whether the event was tracked, false if the name or data is invalid, or the plugin is destroyed
+   * @memberof TrackingPlugin
+   */
+  track(name, data = {}) {
+    if (this.destroyed) {
+      Debugger.log('warn', `[TrackingPlugin] Ignored ${name} event, the plugin is destroyed`);
+      return false;
+    }
+
+    if ('string' !== typeof name || !name) {
+      Debugger.log('warn', '[TrackingPlugin] Ignored event without a name:', name);
+      return false;
+    }
+
+    if (!data || 'object' !== typeof data || Array.isArray(data)) {
+      Debugger.log(
+        'warn',
+        `[TrackingPlugin] Ignored ${name} event, its data should be an object:`,
+        data
+      );
+      return false;
+    }
+
+    this.queue.push({
+      name,
+      data,
+      sessionId: this.sessionId,
+      gameId: this.gameId,
+      timestamp: Date.now(),
+      sequence: ++this.sequence
+    });
+
+    if (this.queue.length > this.maxQueueSize) {
+      const dropped = this.queue.splice(0, this.queue.length - this.maxQueueSize);
+      Debugger.log(
+        'warn',
+        `[TrackingPlugin] Dropped ${dropped.length} events, the queue is full`
+      );
+    }
+
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    } else {
+      this.scheduleFlush();
+    }
+
+    return true;
+  }
+
+  /**
+   * Sends the queued events in batches of batchSize. Events stay queued if the transport isn't ready, or fails to send
+   * them, and are sent on a later flush.
+   * @return {Promise} Resolves once the events have been sent, or left queued.
+   * @memberof TrackingPlugin
+   */
+  flush() {
+    if (this.sending) {
+      return this.sending;
+    }
+
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (!this.queue.length) {
+      return Promise.resolve();
+    }
+
+    if (!this.transport.ready) {
+      this.scheduleFlush();
+      return Promise.resolve();
+    }
+
+    const batch = this.queue.splice(0, this.batchSize);
+
+    this.sending = Promise.resolve()
+      .then(() => this.transport.send(batch))
+      .then(
+        () => {
+          this.sending = null;
+
+          // a full batch is sent straight away, anything less waits for more events
+          if (this.queue.length >= this.batchSize) {
+            return this.flush();
+          }
+          this.scheduleFlush();
+        },
+        error => {
+          this.sending = null;
+          this.queue.unshift(...batch);
+          this.scheduleFlush();
+          Debugger.log('warn', '[TrackingPlugin] Could not send events:', error);
+        }
+      );
+
+    return this.sending;
+  }
+
+  /**
+   * Sends batches until the queue is empty, once the send in progress is done. While the transport isn't ready, or
+   * fails to send, it is tried again after flushInterval, until the deadline. Events still queued then are dropped.
+   * @param {number} [deadline=Date.now() + this.drainTimeout] When to stop trying, in milliseconds since the epoch.
+   * @return {Promise} Resolves once the queue is empty.
+   * @private
+   * @memberof TrackingPlugin
+   */
+  drain(deadline = Date.now() + this.drainTimeout) {
+    return Promise.resolve(this.sending).then(() => {
+      const remaining = this.queue.length;
+
+      if (!remaining) {
+        return;
+      }
+
+      const timeLeft = deadline - Date.now();
+      if (timeLeft <= 0) {
+        this.queue.length = 0;
+        Debugger.log(
+          'warn',
+          `[TrackingPlugin] Dropped ${remaining} events that could not be sent before the plugin was destroyed`
+        );
+        return;
+      }
+
+      const sent = this.transport.ready ? this.flush() : Promise.resolve();
+
+      return sent.then(() => {
+        if (this.queue.length < remaining) {
+          return this.drain(deadline);
+        }
+
+        return new Promise(resolve =>
+          setTimeout(resolve, Math.min(this.flushInterval, timeLeft))
+        ).then(() => this.drain(deadline));
+      });
+    });
+  }
+
+  /**
+   * Tracks the pause, playHelp and setting changes of an application.
+   * @param {Application} app
+   * @private
+   * @memberof TrackingPlugin
+   */
+  trackApplication(app) {
+    this.subscribe(app.state.pause, paused => this.track('pause', { paused }));
+
+    this.onPlayHelp = () => this.track('playHelp');
+    app.protocol.on('playHelp', this.onPlayHelp);
+
+    // features can share state, such as sound and soundVolume
+    const tracked = {};
+    for (let i = 0; i < app.featureDefinitions.length; i++) {
+      const setting = app.featureDefinitions[i].state;
+
+      if (tracked[setting] || !app.state[setting]) {
+        continue;
+      }
+      tracked[setting] = true;
+
+      this.subscribe(app.state[setting], (value, previousValue) =>
+        this.track('settingChanged', { setting, value, previousValue })
+      );
+    }
+  }
+
+  /**
+   * Subscribes to a state property, until the plugin is destroyed.
+   * @param {Property} property
+   * @param {function(*, *)} listener
+   * @private
+   * @memberof TrackingPlugin
+   */
+  subscribe(property, listener) {
+    property.subscribe(listener);
+    this.subscriptions.push({ property, listener });
+  }
+
+  /**
+   * Flushes the queue after flushInterval, if a flush isn't already waiting.
+   * @private
+   * @memberof TrackingPlugin
+   */
+  scheduleFlush() {
+    if (this.flushTimer || this.destroyed || !this.queue.length) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushInterval);
+  }
+}
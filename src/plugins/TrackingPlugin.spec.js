@@ -0,0 +1,241 @@
+import { TrackingPlugin } from './TrackingPlugin';
+import {
+  ContainerTransport,
+  ConsoleTransport,
+  MemoryTransport
+} from './TrackingTransports';
+import { Application } from '../Application';
+import { ContainerProtocol } from '../communication/ContainerProtocol';
+import { BellhopSingleton } from '../communication/BellhopSingleton';
+import Sinon from 'sinon';
+
+const apps = [];
+
+const createApp = plugin => {
+  const app = new Application({ plugins: [plugin] });
+  apps.push(app);
+  return app;
+};
+
+describe('TrackingPlugin', () => {
+  let transport;
+  let plugin;
+
+  beforeEach(() => {
+    Application._plugins = [];
+    transport = new MemoryTransport();
+    plugin = new TrackingPlugin({
+      transport,
+      gameId: 'test-game',
+      batchSize: 2,
+      flushInterval: 10000
+    });
+  });
+
+  afterEach(() => {
+    apps.forEach(app => app.destroy());
+    apps.length = 0;
+    plugin.destroyed = true;
+    clearTimeout(plugin.flushTimer);
+  });
+
+  it('should send events with the session and game ids', () => {
+    plugin.track('levelStart', { level: 1 });
+
+    return plugin.flush().then(() => {
+      const event = transport.events[0];
+
+      expect(event.name).to.equal('levelStart');
+      expect(event.data).to.deep.equal({ level: 1 });
+      expect(event.sessionId).to.equal(plugin.sessionId);
+      expect(event.gameId).to.equal('test-game');
+      expect(event.sequence).to.equal(1);
+      expect(event.timestamp).to.be.a('number');
+    });
+  });
+
+  it('should send a batch as soon as it is full', () => {
+    plugin.track('a');
+    plugin.track('b');
+    plugin.track('c');
+
+    return plugin.sending.then(() => {
+      expect(transport.batches).to.equal(1);
+      expect(transport.events.map(event => event.name)).to.deep.equal(['a', 'b']);
+      expect(plugin.queue.length).to.equal(1);
+    });
+  });
+
+  it('should queue events until the transport is ready', () => {
+    transport.ready = false;
+    plugin.track('a');
+
+    return plugin
+      .flush()
+      .then(() => {
+        expect(transport.events.length).to.equal(0);
+        expect(plugin.queue.length).to.equal(1);
+
+        transport.ready = true;
+        return plugin.flush();
+      })
+      .then(() => expect(transport.events.length).to.equal(1));
+  });
+
+  it('should queue events again if they fail to send', () => {
+    transport.send = Sinon.fake.rejects(new Error('offline'));
+    plugin.track('a');
+
+    return plugin.flush().then(() => {
+      expect(plugin.queue.map(event => event.name)).to.deep.equal(['a']);
+    });
+  });
+
+  it('should ignore invalid events', () => {
+    expect(plugin.track('')).to.be.false;
+    expect(plugin.track('a', 'b')).to.be.false;
+    expect(plugin.queue.length).to.equal(0);
+  });
+
+  it('should drop the oldest events when the queue is full', () => {
+    plugin.maxQueueSize = 2;
+    plugin.batchSize = 10;
+    transport.ready = false;
+
+    plugin.track('a');
+    plugin.track('b');
+    plugin.track('c');
+
+    expect(plugin.queue.map(event => event.name)).to.deep.equal(['b', 'c']);
+  });
+
+  it('should track the ready, pause, playHelp and setting changes of the application', done => {
+    const app = createApp(plugin);
+
+    // the plugin starts tracking in its own ready listener, which is added after this one
+    app.state.ready.subscribe(() => Promise.resolve().then(() => {
+      BellhopSingleton.trigger({ type: 'pause', data: true });
+      BellhopSingleton.trigger('playHelp');
+      app.state.soundVolume.value = 0.5;
+
+      return plugin.flush().then(() => plugin.flush()).then(() => {
+        expect(transport.eventsNamed('ready').length).to.equal(1);
+        expect(transport.eventsNamed('pause')[0].data).to.deep.equal({ paused: true });
+        expect(transport.eventsNamed('playHelp').length).to.equal(1);
+        expect(transport.eventsNamed('settingChanged')[0].data).to.deep.equal({
+          setting: 'soundVolume',
+          value: 0.5,
+          previousValue: 1
+        });
+      });
+    }).then(done, done));
+  });
+
+  it('should stop tracking the application when destroyed', done => {
+    const app = createApp(plugin);
+
+    app.state.ready.subscribe(() => Promise.resolve().then(() => {
+      app.destroy();
+      app.state.soundVolume.value = 0.5;
+
+      expect(plugin.queue.some(event => event.name === 'settingChanged')).to.be
+        .false;
+    }).then(done, done));
+  });
+
+  it('should send every queued event when destroyed, after the send in progress', () => {
+    const app = { protocol: { off: Sinon.fake() } };
+    for (let i = 0; i < plugin.batchSize + 3; i++) {
+      plugin.track(`event${i}`);
+    }
+
+    expect(plugin.sending).to.not.be.null;
+
+    return plugin.destroy(app).then(() => {
+      expect(plugin.queue.length).to.equal(0);
+      expect(transport.events.map(event => event.name)).to.deep.equal([
+        'event0',
+        'event1',
+        'event2',
+        'event3',
+        'event4'
+      ]);
+      expect(transport.batches).to.equal(3);
+    });
+  });
+
+  it('should wait for the transport to be ready to send the queued events when destroyed', () => {
+    const app = { protocol: { off: Sinon.fake() } };
+    plugin.flushInterval = 1;
+    transport.ready = false;
+    plugin.track('a');
+
+    const destroyed = plugin.destroy(app);
+    setTimeout(() => (transport.ready = true), 5);
+
+    return destroyed.then(() => {
+      expect(transport.events.map(event => event.name)).to.deep.equal(['a']);
+      expect(plugin.queue.length).to.equal(0);
+    });
+  });
+
+  it('should drop the queued events if the transport is not ready before drainTimeout', () => {
+    const app = { protocol: { off: Sinon.fake() } };
+    const clock = Sinon.useFakeTimers();
+    plugin.flushInterval = 100;
+    plugin.drainTimeout = 250;
+    transport.ready = false;
+    plugin.track('a');
+
+    const destroyed = plugin.destroy(app);
+    const tick = () => Promise.resolve().then(() => clock.tick(100));
+
+    return tick()
+      .then(tick)
+      .then(tick)
+      .then(() => destroyed)
+      .then(() => {
+        expect(plugin.queue.length).to.equal(0);
+        expect(transport.events.length).to.equal(0);
+        expect(clock.countTimers()).to.equal(0);
+      })
+      .then(() => clock.restore(), error => {
+        clock.restore();
+        throw error;
+      });
+  });
+
+  it('should not track events once destroyed', () => {
+    const app = { protocol: { off: Sinon.fake() } };
+
+    return plugin.destroy(app).then(() => {
+      expect(plugin.track('late')).to.be.false;
+      expect(plugin.queue.length).to.equal(0);
+    });
+  });
+
+  describe('transports', () => {
+    it('should send events to the container', () => {
+      const bellhop = { connected: true, send: Sinon.fake() };
+      const container = new ContainerTransport({
+        protocol: new ContainerProtocol({ bellhop })
+      });
+      const events = [{ name: 'a' }];
+
+      expect(container.ready).to.be.true;
+      return container.send(events).then(() => {
+        expect(bellhop.send.calledWith('trackEvents', events)).to.be.true;
+      });
+    });
+
+    it('should log events', () => {
+      const logger = { log: Sinon.fake() };
+
+      return new ConsoleTransport({ logger })
+        .send([{ name: 'a', data: { b: 1 } }])
+        .then(() => {
+          expect(logger.log.calledWith('[Tracking]', 'a', { b: 1 })).to.be.true;
+        });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { ContainerProtocolSingleton } from '../communication/ContainerProtocol';
+
+/**
+ * @typedef {object} TrackingEvent
+ * @property {string} name What happened, such as ready or levelStart
+ * @property {object} data Details of the event
+ * @property {string} sessionId The id of the session the event happened in
+ * @property {string | null} gameId The id of the game
+ * @property {number} timestamp When the event happened, in milliseconds since the epoch
+ * @property {number} sequence The order of the event in its session, starting at 1
+ */
+
+/**
+ * Sends tracking events to the container, as trackEvents messages.
+ * @class ContainerTransport
+ * @property {ContainerProtocol} protocol the protocol the events are sent through
+ */
+export class ContainerTransport {
+  /**
+   * Creates a new ContainerTransport.
+   * @param {object} [options={}]
+   * @param {ContainerProtocol} [options.protocol=ContainerProtocolSingleton] The protocol to send the events through.
+   */
+  constructor({ protocol = ContainerProtocolSingleton } = {}) {
+    this.protocol = protocol;
+  }
+
+  /**
+   * Whether the container is connected.
+   * @type {boolean}
+   * @memberof ContainerTransport
+   */
+  get ready() {
+    return this.protocol.bellhop.connected;
+  }
+
+  /**
+   * Sends a batch of events to the container.
+   * @param {TrackingEvent[]} events
+   * @return {Promise} Rejects if the events couldn't be sent.
+   * @memberof ContainerTransport
+   */
+  send(events) {
+    return this.protocol.send('trackEvents', events)
+      ? Promise.resolve()
+      : Promise.reject(new Error('Could not send trackEvents'));
+  }
+}
+
+/**
+ * Logs tracking events, for checking what a game tracks while developing it.
+ * @class ConsoleTransport
+ * @property {boolean} ready always true
+ */
+export class ConsoleTransport {
+  /**
+   * Creates a new ConsoleTransport.
+   * @param {object} [options={}]
+   * @param {{ log: function }} [options.logger=console] Where the events are logged.
+   */
+  constructor({ logger = console } = {}) {
+    this.logger = logger;
+    this.ready = true;
+  }
+
+  /**
+   * Logs a batch of events, one line each.
+   * @param {TrackingEvent[]} events
+   * @return {Promise}
+   * @memberof ConsoleTransport
+   */
+  send(events) {
+    for (let i = 0; i < events.length; i++) {
+      this.logger.log('[Tracking]', events[i].name, events[i].data);
+    }
+
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Keeps tracking events in memory, for tests.
+ * @class MemoryTransport
+ * @property {TrackingEvent[]} events every event sent, in order
+ * @property {number} batches how many batches were sent
+ * @property {boolean} ready whether events can be sent, set it to false to have them queued
+ */
+export class MemoryTransport {
+  /**
+   * Creates a new MemoryTransport.
+   */
+  constructor() {
+    this.events = [];
+    this.batches = 0;
+    this.ready = true;
+  }
+
+  /**
+   * Stores a batch of events.
+   * @param {TrackingEvent[]} events
+   * @return {Promise}
+   * @memberof MemoryTransport
+   */
+  send(events) {
+    this.events.push(...events);
+    this.batches++;
+    return Promise.resolve();
+  }
+
+  /**
+   * Gets the events with a name.
+   * @param {string} name
+   * @return {TrackingEvent[]}
+   * @memberof MemoryTransport
+   */
+  eventsNamed(name) {
+    return this.events.filter(event => event.name === name);
+  }
+
+  /**
+   * Forgets the events sent so far.
+   * @memberof MemoryTransport
+   */
+  clear() {
+    this.events.length = 0;
+    this.batches = 0;
+  }
+}
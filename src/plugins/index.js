@@ -1 +1,4 @@
 export * from './ApplicationPlugin';
+export * from './StatePersistencePlugin';
+export * from './TrackingTransports';
+export * from './TrackingPlugin';
@@ -39,7 +39,8 @@ export class ResizeHelper {
     this.resizeCallback = resizeCallback;
 
     // Setup a listener for the 'resize' event from the window's event system.
-    window.addEventListener('resize', this.onWindowResize.bind(this));
+    this.onWindowResize = this.onWindowResize.bind(this);
+    window.addEventListener('resize', this.onWindowResize);
 
     // Defaulted to needing a resize loop on iOS devices due to a potential bug where
     // the window resize event isn't dispatched at the correct time.
@@ -64,10 +65,25 @@ export class ResizeHelper {
       this.resizeTick();
 
       // Check for aspect ratio change every 50 milliseconds.
-      setInterval(this.resizeTick.bind(this), 50);
+      this.resizeInterval = setInterval(this.resizeTick.bind(this), 50);
     }
   }
 
+  /**
+   * Removes the window resize listener and stops the resize loop, if one was started.
+   * @memberof ResizeHelper
+   */
+  destroy() {
+    window.removeEventListener('resize', this.onWindowResize);
+
+    if (this.resizeInterval) {
+      clearInterval(this.resizeInterval);
+      this.resizeInterval = null;
+    }
+
+    this._enabled = false;
+  }
+
   /**
    * For older browsers, specifically for IE11, starts a loop making sure resize events are fired.
    * @memberof ResizeHelper
@@ -195,4 +195,12 @@ export class SafeScaleManager {
   disable() {
     this.resizer.enabled = false;
   }
+
+  /**
+   * Disables the scale manager and removes its window listeners. The scale manager can't be enabled again.
+   * @memberof SafeScaleManager
+   */
+  destroy() {
+    this.resizer.destroy();
+  }
 }
@@ -57,4 +57,11 @@ export class ScaleManager {
   disable() {
     this.resizer.enabled = false;
   }
+
+  /**
+   * Disables the scale manager and removes its window listeners. The scale manager can't be enabled again.
+   */
+  destroy() {
+    this.resizer.destroy();
+  }
 }
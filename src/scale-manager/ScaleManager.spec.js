@@ -33,4 +33,15 @@ describe('Scale Manager', () => {
     
     expect(sm.callback.callCount).to.equal(0);
   });
+
+  it('Should not call the resize callback once destroyed', () => {
+    const callback = Sinon.fake();
+    const manager = new ScaleManager(callback);
+    callback.resetHistory();
+
+    manager.destroy();
+    window.dispatchEvent(newEvent('resize'));
+
+    expect(callback.callCount).to.equal(0);
+  });
 });
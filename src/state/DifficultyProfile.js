@@ -0,0 +1,243 @@
+import { Property } from './Property';
+import { Debugger } from '../debug/Debugger';
+
+/**
+ * @typedef {object} DifficultyScale
+ * @property {number} [min=0] The game value for a scale value of 0. It can be greater than max, for values that go down
+ * as the scale goes up
+ * @property {number} [max=1] The game value for a scale value of 1
+ * @property {'linear' | 'stepped' | 'exponential' | function(number, DifficultyScale): number} [curve='linear'] How
+ * the game value goes from min to max. Linear changes evenly, stepped changes in a number of equal steps, exponential
+ * changes by the same ratio for each equal change of the scale and needs min and max with the same sign, and a function
+ * is given the scale value and the scale, and returns the game value
+ * @property {number} [steps] The number of different values a stepped curve has, at least 2
+ * @property {'floor' | 'ceil' | 'round' | number} [round] How the game value is rounded, to an integer with a Math
+ * function, or to the nearest multiple of a number. Not rounded by default
+ */
+
+// the value of the difficulty scales before the container or the application sets them
+const defaultScaleValue = 0.5;
+
+const curves = {
+  linear: (t, { min, max }) => min + (max - min) * t,
+  stepped: (t, { min, max, steps }) =>
+    min + ((max - min) * Math.min(steps - 1, Math.floor(t * steps))) / (steps - 1),
+  exponential: (t, { min, max }) => min * Math.pow(max / min, t)
+};
+
+/**
+ * Checks a scale definition, and fills in its defaults.
+ * @param {string} key
+ * @param {DifficultyScale} scale
+ * @return {DifficultyScale}
+ * @throws {Error} If the definition can't be used.
+ * @private
+ */
+function normalizeScale(key, scale) {
+  const normalized = Object.assign({ min: 0, max: 1, curve: 'linear' }, scale);
+  const { min, max, curve, steps } = normalized;
+
+  if ('function' !== typeof curve && !curves[curve]) {
+    throw new Error(`Difficulty scale ${key} has an unknown curve ${curve}`);
+  }
+
+  if ('stepped' === curve && !(Number.isInteger(steps) && steps >= 2)) {
+    throw new Error(`Difficulty scale ${key} needs at least 2 steps`);
+  }
+
+  if ('exponential' === curve && !(min * max > 0)) {
+    throw new Error(
+      `Difficulty scale ${key} needs a min and max with the same sign for an exponential curve`
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Rounds a game value.
+ * @param {number} value
+ * @param {'floor' | 'ceil' | 'round' | number} [round]
+ * @return {number}
+ * @private
+ */
+function roundValue(value, round) {
+  if ('number' === typeof round && round > 0) {
+    return Math.round(value / round) * round;
+  }
+
+  if ('floor' === round || 'ceil' === round || 'round' === round) {
+    return Math[round](value);
+  }
+
+  return value;
+}
+
+/**
+ * Turns the difficulty scales of an Application, such as health, objectCount and timersScale, into the values a game
+ * uses, such as a number of lives. Each scale is a value between 0 and 1 that the player sets through the container, and
+ * the profile maps it onto a range with a curve, then rounds it. Presets are named sets of scale values, such as easy and
+ * hard.
+ * @class DifficultyProfile
+ * @property {Object<string, Property>} properties the scale properties, by key
+ * @property {Object<string, DifficultyScale>} scales the definition of each scale, by key
+ * @property {Object<string, Object<string, number>>} presets the scale values of each preset, by name
+ */
+export class DifficultyProfile {
+  /**
+   * Creates a new DifficultyProfile.
+   * @param {Object<string, Property>} properties The properties holding the scales, usually Application.state.
+   * @param {object} options
+   * @param {Object<string, DifficultyScale>} options.scales The definition of each scale the game uses, by key.
+   * @param {Object<string, Object<string, number>>} [options.presets={}] The scale values of each preset, by name.
+   * Scales missing from a preset are left as they are when it is applied.
+   * @throws {Error} If a scale definition can't be used.
+   */
+  constructor(properties, { scales = {}, presets = {} } = {}) {
+    this.properties = {};
+    this.scales = {};
+    this.presets = Object.assign({}, presets);
+    this.computed = {};
+
+    for (const key in scales) {
+      if (!(properties[key] instanceof Property)) {
+        Debugger.log(
+          'warn',
+          `[DifficultyProfile] There is no ${key} property, the scale is ignored`
+        );
+        continue;
+      }
+
+      this.properties[key] = properties[key];
+      this.scales[key] = normalizeScale(key, scales[key]);
+    }
+  }
+
+  /**
+   * Gets the game value of a scale for a scale value, such as to show the player what a setting means.
+   * @param {string} key
+   * @param {number} scaleValue A value between 0 and 1. Other numbers are clamped, and anything else is treated as the
+   * default of 0.5.
+   * @return {number | undefined} The game value, or undefined if there is no such scale.
+   * @memberof DifficultyProfile
+   */
+  toValue(key, scaleValue) {
+    const scale = this.scales[key];
+
+    if (!scale) {
+      return undefined;
+    }
+
+    const t =
+      'number' === typeof scaleValue && !isNaN(scaleValue)
+        ? Math.max(0, Math.min(1, scaleValue))
+        : defaultScaleValue;
+    const curve = 'function' === typeof scale.curve ? scale.curve : curves[scale.curve];
+
+    return roundValue(curve(t, scale), scale.round);
+  }
+
+  /**
+   * Gets the current game value of a scale.
+   * @param {string} key
+   * @return {number | undefined} The game value, or undefined if there is no such scale.
+   * @memberof DifficultyProfile
+   */
+  value(key) {
+    return this.properties[key]
+      ? this.toValue(key, this.properties[key].value)
+      : undefined;
+  }
+
+  /**
+   * Gets the current game value of every scale.
+   * @return {Object<string, number>} The game values, by key.
+   * @memberof DifficultyProfile
+   */
+  values() {
+    const values = {};
+    for (const key in this.scales) {
+      values[key] = this.value(key);
+    }
+    return values;
+  }
+
+  /**
+   * Gets a read-only property holding the game value of a scale, which changes along with the scale, such as when the
+   * container changes it.
+   * @param {string} key
+   * @return {ComputedProperty | undefined} The property, or undefined if there is no such scale.
+   * @memberof DifficultyProfile
+   */
+  property(key) {
+    if (!this.scales[key]) {
+      Debugger.log('warn', `[DifficultyProfile] There is no ${key} scale`);
+      return undefined;
+    }
+
+    if (!this.computed[key]) {
+      this.computed[key] = this.properties[key].map(scaleValue =>
+        this.toValue(key, scaleValue)
+      );
+    }
+
+    return this.computed[key];
+  }
+
+  /**
+   * Adds a preset, or replaces one.
+   * @param {string} name
+   * @param {Object<string, number>} scaleValues The value of each scale, between 0 and 1, by key.
+   * @return {DifficultyProfile} This profile, so presets can be chained.
+   * @memberof DifficultyProfile
+   */
+  definePreset(name, scaleValues) {
+    this.presets[name] = scaleValues;
+    return this;
+  }
+
+  /**
+   * Sets the scales to the values of a preset. Each changed scale notifies its listeners once, after every value has
+   * been set.
+   * @param {string} name
+   * @return {boolean} Whether the preset was applied, false if there is no such preset.
+   * @memberof DifficultyProfile
+   */
+  applyPreset(name) {
+    const preset = this.presets[name];
+
+    if (!preset) {
+      Debugger.log('warn', `[DifficultyProfile] There is no ${name} preset`);
+      return false;
+    }
+
+    Property.batch(() => {
+      for (const key in preset) {
+        if (this.properties[key]) {
+          this.properties[key].value = preset[key];
+        }
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Finds the preset the scales are currently set to.
+   * @return {string | null} The name of the first preset whose values all match the scales, or null if none do.
+   * @memberof DifficultyProfile
+   */
+  currentPreset() {
+    for (const name in this.presets) {
+      const preset = this.presets[name];
+      const matches = Object.keys(preset).every(
+        key => !this.properties[key] || this.properties[key].value === preset[key]
+      );
+
+      if (matches) {
+        return name;
+      }
+    }
+
+    return null;
+  }
+}
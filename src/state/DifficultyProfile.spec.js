@@ -0,0 +1,106 @@
+import { DifficultyProfile } from './DifficultyProfile';
+import { Property } from './Property';
+import Sinon from 'sinon';
+
+describe('DifficultyProfile', () => {
+  let state;
+  let profile;
+
+  beforeEach(() => {
+    state = {
+      health: new Property(0.5),
+      objectCount: new Property(0.5),
+      timersScale: new Property(0.5)
+    };
+    profile = new DifficultyProfile(state, {
+      scales: {
+        health: { min: 1, max: 5, curve: 'stepped', steps: 5 },
+        objectCount: { min: 20, max: 5, round: 'round' },
+        timersScale: { min: 0.5, max: 2, curve: 'exponential', round: 0.25 }
+      },
+      presets: {
+        easy: { health: 1, objectCount: 0, timersScale: 1 },
+        hard: { health: 0, objectCount: 1, timersScale: 0 }
+      }
+    });
+  });
+
+  it('should map scale values onto linear curves, including reversed ranges', () => {
+    expect(profile.toValue('objectCount', 0)).to.equal(20);
+    expect(profile.toValue('objectCount', 0.5)).to.equal(13);
+    expect(profile.toValue('objectCount', 1)).to.equal(5);
+  });
+
+  it('should map scale values onto stepped curves', () => {
+    expect(profile.toValue('health', 0)).to.equal(1);
+    expect(profile.toValue('health', 0.19)).to.equal(1);
+    expect(profile.toValue('health', 0.2)).to.equal(2);
+    expect(profile.toValue('health', 0.5)).to.equal(3);
+    expect(profile.toValue('health', 1)).to.equal(5);
+  });
+
+  it('should map scale values onto exponential curves, rounding to a multiple', () => {
+    expect(profile.toValue('timersScale', 0)).to.equal(0.5);
+    expect(profile.toValue('timersScale', 0.5)).to.equal(1);
+    expect(profile.toValue('timersScale', 0.75)).to.equal(1.5);
+    expect(profile.toValue('timersScale', 1)).to.equal(2);
+  });
+
+  it('should accept custom curves, and clamp or default invalid scale values', () => {
+    state.objectCount.value = 0.2;
+    profile = new DifficultyProfile(state, {
+      scales: { objectCount: { min: 0, max: 10, curve: (t, { max }) => max * t * t } }
+    });
+
+    expect(profile.value('objectCount')).to.be.closeTo(0.4, 1e-9);
+    expect(profile.toValue('objectCount', 2)).to.equal(10);
+    expect(profile.toValue('objectCount', undefined)).to.equal(2.5);
+    expect(profile.toValue('unknown', 0.5)).to.be.undefined;
+  });
+
+  it('should throw for scales that cannot be used', () => {
+    expect(() => new DifficultyProfile(state, { scales: { health: { curve: 'bumpy' } } })).to.throw();
+    expect(() => new DifficultyProfile(state, { scales: { health: { curve: 'stepped' } } })).to.throw();
+    expect(
+      () => new DifficultyProfile(state, { scales: { health: { min: 0, max: 1, curve: 'exponential' } } })
+    ).to.throw();
+  });
+
+  it('should give the current value of every scale', () => {
+    expect(profile.values()).to.deep.equal({ health: 3, objectCount: 13, timersScale: 1 });
+  });
+
+  it('should update value properties when the scales change', () => {
+    const lives = profile.property('health');
+    const callback = Sinon.fake();
+    lives.subscribe(callback);
+
+    state.health.value = 1;
+
+    expect(lives.value).to.equal(5);
+    expect(callback.calledOnceWith(5, 3)).to.be.true;
+    expect(profile.property('health')).to.equal(lives);
+    expect(profile.property('unknown')).to.be.undefined;
+  });
+
+  it('should apply presets, notifying after every scale is set', () => {
+    const seen = [];
+    state.health.subscribe(() => seen.push(profile.values()));
+
+    expect(profile.applyPreset('easy')).to.be.true;
+    expect(seen).to.deep.equal([{ health: 5, objectCount: 20, timersScale: 2 }]);
+    expect(profile.currentPreset()).to.equal('easy');
+
+    state.health.value = 0.5;
+    expect(profile.currentPreset()).to.be.null;
+
+    expect(profile.applyPreset('impossible')).to.be.false;
+  });
+
+  it('should define presets that only set some scales', () => {
+    profile.definePreset('fragile', { health: 0 }).applyPreset('fragile');
+
+    expect(profile.values()).to.deep.equal({ health: 1, objectCount: 13, timersScale: 1 });
+    expect(profile.currentPreset()).to.equal('fragile');
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * The keys of the Application state properties that hold the player's settings, the state of the built in features.
+ * Unlike ready or loadProgress, these can be saved and restored.
+ * @type {string[]}
+ */
+export const PLAYER_SETTINGS = [
+  'captionsMuted',
+  'captionsStyles',
+  'soundVolume',
+  'musicVolume',
+  'voVolume',
+  'sfxVolume',
+  'pointerSize',
+  'controlSensitivity',
+  'buttonSize',
+  'removableLayers',
+  'hudPosition',
+  'keyBinding',
+  'colorVision',
+  'hitAreaScale',
+  'dragThresholdScale',
+  'health',
+  'objectCount',
+  'completionPercentage',
+  'speedScale',
+  'timersScale',
+  'inputCount'
+];
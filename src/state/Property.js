@@ -1,19 +1,30 @@
+import { Debugger } from '../debug/Debugger';
+
+// how many Property.batch calls are running, and the value each property changed in them had before they started
+let batchDepth = 0;
+let batchedChanges = new Map();
+
 /**
  * A class for representing changeable/subscribable properties.
  * @class Property
  * @property {*} _value the value of the property
  * @property {[]} listeners all the objects listening to this property
+ * @property {function | null} validator checks values before they are set
  */
 export class Property {
   /**
    * Creates a new property with an initial value.
    * @param {*} initialValue The initial value of this property.
    * @param {boolean} alwaysNotify Determines if the property will notify a value change regardless if it's a new value or not.
+   * @param {function(*): (ValidationResult | boolean)} [validator] Checks each value set on this property, see Validators.
+   * Returning false or an invalid result rejects the value, and returning a result with a different value sets that value
+   * instead. The initial value isn't checked.
    */
-  constructor(initialValue, alwaysNotify = false) {
+  constructor(initialValue, alwaysNotify = false, validator = null) {
     this._value = initialValue;
     this.listeners = [];
     this.alwaysNotify = alwaysNotify;
+    this.validator = validator;
   }
 
   /**
@@ -32,15 +43,66 @@ export class Property {
    * @memberof Property
    */
   set value(value) {
-    if (this.value === value && !this.alwaysNotify) {
+    const result = this.validate(value);
+
+    if (!result.valid) {
+      Debugger.log(
+        'warn',
+        `[Property] rejected invalid value (${result.message}):`,
+        value
+      );
+      return;
+    }
+
+    if (this.value === result.value && !this.alwaysNotify) {
       return;
     }
 
     const prevValue = this._value;
-    this._value = value;
+    this._value = result.value;
+
+    this.notifyChange(prevValue);
+  }
 
-    for (let i = 0; i < this.listeners.length; i++) {
-      this.listeners[i](this._value, prevValue);
+  /**
+   * Checks a value against the validator of this property without setting it.
+   * @param {*} value the value to check
+   * @return {ValidationResult} whether the value is valid, and the value that would be set
+   * @memberof Property
+   */
+  validate(value) {
+    if (!this.validator) {
+      return { valid: true, value };
+    }
+
+    const result = this.validator(value);
+
+    // validators can also be simple predicates
+    if ('boolean' === typeof result) {
+      return { valid: result, value, message: result ? undefined : 'invalid value' };
+    }
+
+    return result;
+  }
+
+  /**
+   * Notifies all listeners of the current value, or once the current batch ends if called during Property.batch.
+   * @param {*} prevValue the value of the property before the change
+   * @memberof Property
+   */
+  notifyChange(prevValue) {
+    if (batchDepth > 0) {
+      if (!batchedChanges.has(this)) {
+        batchedChanges.set(this, prevValue);
+      }
+      return;
+    }
+
+    // listeners may unsubscribe while being notified, which replaces the listeners array
+    const listeners = this.listeners;
+
+    for (let i = 0; i < listeners.length; i++) {
+      listeners[i](this._value, prevValue);
     }
   }
 
@@ -67,4 +129,221 @@ export class Property {
   get hasListeners() {
     return this.listeners.length > 0;
   }
+
+  /**
+   * Creates a read-only property whose value is this property's value passed through a function.
+   * @param {function(*): *} fn Maps the value of this property to the value of the new property.
+   * @return {ComputedProperty}
+   * @memberof Property
+   */
+  map(fn) {
+    return new ComputedProperty([this], fn);
+  }
+
+  /**
+   * Creates a read-only property that only takes on the values of this property that pass a test. It keeps the last
+   * value that passed, and is undefined until a value passes.
+   * @param {function(*): boolean} predicate Returns true for values the new property should take on.
+   * @return {ComputedProperty}
+   * @memberof Property
+   */
+  filter(predicate) {
+    let lastValue;
+
+    return new ComputedProperty([this], value => {
+      if (predicate(value)) {
+        lastValue = value;
+      }
+
+      return lastValue;
+    });
+  }
+
+  /**
+   * Creates a read-only property whose value is computed from the values of other properties. The value is only
+   * computed again when the value of one of the dependencies changes.
+   * @param {Property[]} dependencies The properties the value is computed from.
+   * @param {function(...*): *} fn Computes the value, called with the value of each dependency in order.
+   * @return {ComputedProperty}
+   * @static
+   * @memberof Property
+   */
+  static computed(dependencies, fn) {
+    return new ComputedProperty(dependencies, fn);
+  }
+
+  /**
+   * Runs a function that changes several properties, notifying listeners once it returns. Each changed property notifies
+   * its listeners once, with the value it had before the batch as the previous value, and properties that end up with
+   * the value they started with don't notify at all. Batches can be nested, listeners are notified when the outermost
+   * batch ends.
+   * @param {function(): *} fn Changes the properties.
+   * @return {*} The value returned by fn.
+   * @static
+   * @memberof Property
+   */
+  static batch(fn) {
+    batchDepth++;
+
+    try {
+      return fn();
+    } finally {
+      batchDepth--;
+
+      if (batchDepth === 0) {
+        const changes = batchedChanges;
+        batchedChanges = new Map();
+
+        changes.forEach((prevValue, property) => {
+          if (property._value !== prevValue || property.alwaysNotify) {
+            property.notifyChange(prevValue);
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Creates a read-only property holding the values of several properties. Passing an array of properties gives an
+   * array of values, and passing an object of properties gives an object of values with the same keys.
+   * @param {Property[] | Object<string, Property>} properties The properties to combine.
+   * @return {ComputedProperty}
+   * @static
+   * @memberof Property
+   */
+  static combine(properties) {
+    if (Array.isArray(properties)) {
+      return new ComputedProperty(properties, (...values) => values);
+    }
+
+    const keys = Object.keys(properties);
+    return new ComputedProperty(keys.map(key => properties[key]), (...values) => {
+      const combined = {};
+      for (let i = 0; i < keys.length; i++) {
+        combined[keys[i]] = values[i];
+      }
+      return combined;
+    });
+  }
+}
+
+/**
+ * A read-only property whose value is computed from other properties. It only subscribes to its dependencies while it
+ * has listeners of its own, so it never keeps them alive or counts as one of their listeners once it is unused.
+ * @class ComputedProperty
+ * @extends Property
+ */
+export class ComputedProperty extends Property {
+  /**
+   * Creates a new computed property.
+   * @param {Property[]} dependencies The properties the value is computed from.
+   * @param {function(...*): *} compute Computes the value, called with the value of each dependency in order.
+   */
+  constructor(dependencies, compute) {
+    super(undefined);
+    this.dependencies = dependencies;
+    this.compute = compute;
+    this.dependencyValues = null;
+    this.onDependencyChange = this.onDependencyChange.bind(this);
+  }
+
+  /**
+   * returns the current value of the property, computing it again if a dependency has changed
+   * @readonly
+   * @returns {*}
+   * @memberof ComputedProperty
+   */
+  get value() {
+    // dependencies are only tracked while subscribed, otherwise check them now
+    if (!this.hasListeners) {
+      this.refresh();
+    }
+
+    return this._value;
+  }
+
+  /**
+   * Computed properties are read-only, setting the value logs a warning and does nothing.
+   * @param {*} value
+   * @memberof ComputedProperty
+   */
+  set value(value) {
+    Debugger.log(
+      'warn',
+      '[ComputedProperty] computed properties are read-only, ignored value:',
+      value
+    );
+  }
+
+  /**
+   * Adds a subscriber to this property, subscribing to the dependencies if this is the first subscriber.
+   * @param {function} callback The callback to call whenever the property changes.
+   * @memberof ComputedProperty
+   */
+  subscribe(callback) {
+    if (!this.hasListeners) {
+      this.refresh();
+
+      for (let i = 0; i < this.dependencies.length; i++) {
+        this.dependencies[i].subscribe(this.onDependencyChange);
+      }
+    }
+
+    super.subscribe(callback);
+  }
+
+  /**
+   * Unsubscribes a listener from this property, unsubscribing from the dependencies if it was the last listener.
+   * @param {function} callback The callback to unsubscribe.
+   * @memberof ComputedProperty
+   */
+  unsubscribe(callback) {
+    if (!this.hasListeners) {
+      return;
+    }
+
+    super.unsubscribe(callback);
+
+    if (!this.hasListeners) {
+      for (let i = 0; i < this.dependencies.length; i++) {
+        this.dependencies[i].unsubscribe(this.onDependencyChange);
+      }
+    }
+  }
+
+  /**
+   * Called when any dependency changes.
+   * @private
+   * @memberof ComputedProperty
+   */
+  onDependencyChange() {
+    this.refresh();
+  }
+
+  /**
+   * Computes the value again if any dependency value has changed since it was last computed, notifying listeners if the
+   * value changed.
+   * @private
+   * @memberof ComputedProperty
+   */
+  refresh() {
+    const values = this.dependencies.map(dependency => dependency.value);
+    const previousValues = this.dependencyValues;
+
+    if (
+      previousValues &&
+      values.every((value, i) => value === previousValues[i])
+    ) {
+      return;
+    }
+
+    this.dependencyValues = values;
+
+    const prevValue = this._value;
+    this._value = this.compute(...values);
+
+    if (this._value !== prevValue || this.alwaysNotify) {
+      this.notifyChange(prevValue);
+    }
+  }
 }
@@ -1,4 +1,6 @@
 import { Property } from './Property';
+import { Validators } from './Validators';
+import { Debugger } from '../debug/Debugger';
 import Sinon from 'sinon';
 
 describe('Property', () => {
@@ -47,6 +49,18 @@ describe('Property', () => {
       expect(callback.callCount).to.equal(0);
       expect(property.value).to.equal(0);
     });
+
+    it('should notify every listener when one unsubscribes while being notified', () => {
+      const callback = Sinon.fake();
+      const property = new Property(1);
+      const once = () => property.unsubscribe(once);
+
+      property.subscribe(once);
+      property.subscribe(callback);
+      property.value = 2;
+
+      expect(callback.callCount).to.equal(1);
+    });
   });
 
   describe('hasListeners', () => {
@@ -61,4 +75,277 @@ describe('Property', () => {
       expect(property.hasListeners).to.equal(false);
     });
   });
+
+  describe('validator', () => {
+    it('should reject invalid values', () => {
+      const log = Sinon.stub(Debugger, 'log');
+      const callback = Sinon.fake();
+      const property = new Property('none', false, Validators.oneOf(['none', 'Protanopia']));
+
+      property.subscribe(callback);
+      property.value = 'sepia';
+      log.restore();
+
+      expect(property.value).to.equal('none');
+      expect(callback.callCount).to.equal(0);
+      expect(log.calledWith('warn')).to.equal(true);
+    });
+
+    it('should set corrected values', () => {
+      const property = new Property(0, false, Validators.number({ min: 0, max: 1 }));
+
+      property.value = 5;
+      expect(property.value).to.equal(1);
+    });
+
+    it('should accept validators returning a boolean', () => {
+      const property = new Property(1, false, value => value > 0);
+
+      expect(property.validate(-1).valid).to.equal(false);
+      expect(property.validate(2)).to.deep.include({ valid: true, value: 2 });
+    });
+  });
+
+  describe('batch', () => {
+    it('should notify listeners once the batch ends', () => {
+      const callback = Sinon.fake();
+      const property = new Property(0);
+      property.subscribe(callback);
+
+      Property.batch(() => {
+        property.value = 1;
+        expect(callback.callCount).to.equal(0);
+      });
+
+      expect(callback.callCount).to.equal(1);
+    });
+
+    it('should notify each property once with its original previous value', () => {
+      const volume = new Property(1);
+      const muted = new Property(false);
+      const volumeCallback = Sinon.fake();
+      const mutedCallback = Sinon.fake();
+      volume.subscribe(volumeCallback);
+      muted.subscribe(mutedCallback);
+
+      Property.batch(() => {
+        volume.value = 0.5;
+        volume.value = 0;
+        muted.value = true;
+      });
+
+      expect(volumeCallback.callCount).to.equal(1);
+      expect(volumeCallback.calledWith(0, 1)).to.equal(true);
+      expect(mutedCallback.calledWith(true, false)).to.equal(true);
+    });
+
+    it('should let listeners see every change made in the batch', () => {
+      const a = new Property(0);
+      const b = new Property(0);
+      const seen = [];
+      a.subscribe(() => seen.push([a.value, b.value]));
+      b.subscribe(() => seen.push([a.value, b.value]));
+
+      Property.batch(() => {
+        a.value = 1;
+        b.value = 2;
+      });
+
+      expect(seen).to.deep.equal([[1, 2], [1, 2]]);
+    });
+
+    it('should not notify properties that end up with their original value', () => {
+      const callback = Sinon.fake();
+      const property = new Property(0);
+      property.subscribe(callback);
+
+      Property.batch(() => {
+        property.value = 1;
+        property.value = 0;
+      });
+
+      expect(callback.callCount).to.equal(0);
+    });
+
+    it('should only notify once the outermost batch ends', () => {
+      const callback = Sinon.fake();
+      const property = new Property(0);
+      property.subscribe(callback);
+
+      Property.batch(() => {
+        Property.batch(() => (property.value = 1));
+        expect(callback.callCount).to.equal(0);
+      });
+
+      expect(callback.callCount).to.equal(1);
+    });
+
+    it('should notify listeners and rethrow if the batch throws', () => {
+      const callback = Sinon.fake();
+      const property = new Property(0);
+      property.subscribe(callback);
+
+      expect(() =>
+        Property.batch(() => {
+          property.value = 1;
+          throw new Error('failed');
+        })
+      ).to.throw('failed');
+
+      expect(callback.callCount).to.equal(1);
+    });
+
+    it('should update computed properties once', () => {
+      const callback = Sinon.fake();
+      const width = new Property(1);
+      const height = new Property(1);
+      const area = Property.computed([width, height], (w, h) => w * h);
+      area.subscribe(callback);
+
+      Property.batch(() => {
+        width.value = 2;
+        height.value = 3;
+      });
+
+      expect(callback.callCount).to.equal(1);
+      expect(callback.calledWith(6, 1)).to.equal(true);
+    });
+  });
+
+  describe('computed', () => {
+    it('should compute the value from its dependencies', () => {
+      const width = new Property(4);
+      const height = new Property(3);
+      const area = Property.computed([width, height], (w, h) => w * h);
+
+      expect(area.value).to.equal(12);
+
+      width.value = 5;
+      expect(area.value).to.equal(15);
+    });
+
+    it('should notify listeners when a dependency changes the value', () => {
+      const callback = Sinon.fake();
+      const width = new Property(4);
+      const height = new Property(3);
+      const area = Property.computed([width, height], (w, h) => w * h);
+
+      area.subscribe(callback);
+      height.value = 2;
+
+      expect(callback.callCount).to.equal(1);
+      expect(callback.calledWith(8, 12)).to.equal(true);
+    });
+
+    it('should only compute the value again when a dependency changes', () => {
+      const compute = Sinon.fake(value => value * 2);
+      const source = new Property(1);
+      const doubled = Property.computed([source], compute);
+
+      doubled.value;
+      doubled.value;
+      doubled.subscribe(() => {});
+      expect(compute.callCount).to.equal(1);
+
+      source.value = 1;
+      source.value = 2;
+      expect(compute.callCount).to.equal(2);
+      expect(doubled.value).to.equal(4);
+    });
+
+    it('should not notify listeners if the computed value is the same', () => {
+      const callback = Sinon.fake();
+      const source = new Property(1);
+      const isPositive = source.map(value => value > 0);
+
+      isPositive.subscribe(callback);
+      source.value = 2;
+
+      expect(callback.callCount).to.equal(0);
+    });
+
+    it('should only subscribe to its dependencies while it has listeners', () => {
+      const callback = Sinon.fake();
+      const source = new Property(1);
+      const doubled = source.map(value => value * 2);
+
+      expect(source.hasListeners).to.equal(false);
+
+      doubled.subscribe(callback);
+      expect(source.hasListeners).to.equal(true);
+
+      doubled.unsubscribe(callback);
+      expect(source.hasListeners).to.equal(false);
+
+      source.value = 2;
+      expect(callback.callCount).to.equal(0);
+      expect(doubled.value).to.equal(4);
+    });
+
+    it('should ignore values set on it', () => {
+      const log = Sinon.stub(Debugger, 'log');
+      const source = new Property(1);
+      const doubled = source.map(value => value * 2);
+
+      doubled.value = 10;
+      log.restore();
+
+      expect(doubled.value).to.equal(2);
+      expect(log.calledWith('warn')).to.equal(true);
+    });
+
+    it('should update properties computed from other computed properties', () => {
+      const callback = Sinon.fake();
+      const source = new Property(1);
+      const label = source
+        .map(value => value * 2)
+        .map(value => `x${value}`);
+
+      label.subscribe(callback);
+      source.value = 3;
+
+      expect(callback.calledWith('x6', 'x2')).to.equal(true);
+    });
+  });
+
+  describe('filter', () => {
+    it('should keep the last value that passed the test', () => {
+      const source = new Property(-1);
+      const positive = source.filter(value => value > 0);
+
+      expect(positive.value).to.equal(undefined);
+
+      source.value = 5;
+      expect(positive.value).to.equal(5);
+
+      source.value = -3;
+      expect(positive.value).to.equal(5);
+    });
+  });
+
+  describe('combine', () => {
+    it('should combine an array of properties into an array of values', () => {
+      const a = new Property(1);
+      const b = new Property(2);
+      const combined = Property.combine([a, b]);
+
+      expect(combined.value).to.deep.equal([1, 2]);
+
+      b.value = 3;
+      expect(combined.value).to.deep.equal([1, 3]);
+    });
+
+    it('should combine an object of properties into an object of values', () => {
+      const callback = Sinon.fake();
+      const muted = new Property(false);
+      const volume = new Property(1);
+      const combined = Property.combine({ muted, volume });
+
+      combined.subscribe(callback);
+      muted.value = true;
+
+      expect(combined.value).to.deep.equal({ muted: true, volume: 1 });
+      expect(callback.callCount).to.equal(1);
+    });
+  });
 });
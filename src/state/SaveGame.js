@@ -0,0 +1,228 @@
+import { UserData } from './UserData';
+import { Debugger } from '../debug/Debugger';
+import { SaveGameVersionError } from './SaveGameErrors';
+
+/**
+ * Copies a JSON value, so the defaults can't be changed through the data loaded from them.
+ * @param {*} value
+ * @return {*}
+ * @private
+ */
+function copy(value) {
+  return undefined === value ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Whether a value is a save stored by SaveGame, along with its version.
+ * @param {*} saved
+ * @return {boolean}
+ * @private
+ */
+function isVersioned(saved) {
+  return isObject(saved) && 'number' === typeof saved.version && 'data' in saved;
+}
+
+/**
+ * Whether a value is a plain object, and not null or an array.
+ * @param {*} value
+ * @return {boolean}
+ * @private
+ */
+function isObject(value) {
+  return !!value && 'object' === typeof value && !Array.isArray(value);
+}
+
+/**
+ * Saves and loads a game's progress through UserData, along with the version of its schema. When an older save is
+ * loaded it is brought up to date by the migrations registered for each version after it, then checked by the
+ * validator. Saves that can't be migrated or validated are replaced by the defaults. Saves made by a newer version of
+ * the game are kept as they are, and the SaveGame refuses to overwrite them.
+ * @class SaveGame
+ * @property {string} name the name the save is stored under
+ * @property {number} version the current schema version
+ * @property {Object<number, function(*): *>} migrations the migration to each version, by version
+ * @property {SaveGameVersionError | null} newerSave the error load() rejected with if the save is from a newer
+ * version, in which case save() rejects with it too, until clear() is called
+ */
+export class SaveGame {
+  /**
+   * Creates a new SaveGame.
+   * @param {object} options
+   * @param {string} options.name The name the save is stored under.
+   * @param {number} [options.version=1] The current schema version. Increase it whenever the shape of the data changes,
+   * and register a migration to the new version.
+   * @param {*} [options.defaults={}] The data of a new game, also used when a save is corrupt.
+   * @param {Object<number, function(*): *>} [options.migrations={}] Migration functions by the version they migrate to.
+   * Each one is given the data of the version before it, and returns the data of its version.
+   * @param {function(*): (ValidationResult | boolean)} [options.validator] Checks the loaded data, see Validators.
+   * @param {{ read: function, write: function, delete: function }} [options.storage=UserData] Where the save is stored,
+   * such as a namespaced UserData instance.
+   */
+  constructor({
+    name,
+    version = 1,
+    defaults = {},
+    migrations = {},
+    validator = null,
+    storage = UserData
+  } = {}) {
+    if (!name) {
+      throw new Error('SaveGame requires a name');
+    }
+
+    this.name = name;
+    this.version = version;
+    this.defaults = defaults;
+    this.migrations = Object.assign({}, migrations);
+    this.validator = validator;
+    this.storage = storage;
+    this.newerSave = null;
+  }
+
+  /**
+   * Registers the migration to a version.
+   * @param {number} version The version the migration brings the data to.
+   * @param {function(*): *} migration Given the data of the version before, returns the data of this version.
+   * @return {SaveGame} This SaveGame, so migrations can be chained.
+   * @memberof SaveGame
+   */
+  migrate(version, migration) {
+    this.migrations[version] = migration;
+    return this;
+  }
+
+  /**
+   * Loads the save, migrated to the current version. Resolves with a copy of the defaults if there is no save or it is
+   * corrupt.
+   * @return {Promise<*>} Rejects if the save couldn't be read, such as when the container doesn't respond, or with a
+   * SaveGameVersionError if the save is from a newer version.
+   * @memberof SaveGame
+   */
+  load() {
+    return this.storage.read(this.name).then(saved => {
+      this.newerSave = null;
+
+      if (undefined === saved || null === saved) {
+        return copy(this.defaults);
+      }
+
+      if (isVersioned(saved) && saved.version > this.version) {
+        this.newerSave = new SaveGameVersionError({
+          saveName: this.name,
+          version: saved.version,
+          currentVersion: this.version,
+          saved
+        });
+        Debugger.log(
+          'error',
+          `[SaveGame] ${this.newerSave.message}, it won't be overwritten`
+        );
+        throw this.newerSave;
+      }
+
+      try {
+        return this.upgrade(saved);
+      } catch (error) {
+        Debugger.log(
+          'warn',
+          `[SaveGame] ${this.name} is corrupt, using the defaults instead:`,
+          error.message
+        );
+        return copy(this.defaults);
+      }
+    });
+  }
+
+  /**
+   * Saves data of the current version.
+   * @param {*} data
+   * @return {Promise} Rejects without saving if the validator rejects the data, or with a SaveGameVersionError if the
+   * last save loaded is from a newer version.
+   * @memberof SaveGame
+   */
+  save(data) {
+    if (this.newerSave) {
+      return Promise.reject(this.newerSave);
+    }
+
+    const result = this.validate(data);
+
+    if (!result.valid) {
+      return Promise.reject(
+        new Error(`Could not save ${this.name}, ${result.message}`)
+      );
+    }
+
+    return this.storage.write(this.name, {
+      version: this.version,
+      data: result.value
+    });
+  }
+
+  /**
+   * Deletes the save, including one from a newer version.
+   * @return {Promise}
+   * @memberof SaveGame
+   */
+  clear() {
+    return this.storage.delete(this.name).then(() => {
+      this.newerSave = null;
+    });
+  }
+
+  /**
+   * Migrates a save to the current version and validates it.
+   * @param {*} saved The stored save. Data saved without a version, from before the game used SaveGame, is version 0,
+   * and is taken as it is for version 1 if there is no migration to version 1.
+   * @return {*} The data of the current version.
+   * @throws {Error} If the save can't be brought up to date or is invalid.
+   * @private
+   * @memberof SaveGame
+   */
+  upgrade(saved) {
+    const versioned = isVersioned(saved);
+    let version = versioned ? saved.version : 0;
+    let data = versioned ? saved.data : saved;
+
+    for (version++; version <= this.version; version++) {
+      if (this.migrations[version]) {
+        data = this.migrations[version](data);
+      } else if (version > 1) {
+        throw new Error(`there is no migration to version ${version}`);
+      }
+    }
+
+    // fields added to the defaults since the save was made start at their default value
+    if (isObject(data) && isObject(this.defaults)) {
+      data = Object.assign(copy(this.defaults), data);
+    }
+
+    const result = this.validate(data);
+    if (!result.valid) {
+      throw new Error(result.message);
+    }
+
+    return result.value;
+  }
+
+  /**
+   * Checks data against the validator.
+   * @param {*} data
+   * @return {ValidationResult}
+   * @private
+   * @memberof SaveGame
+   */
+  validate(data) {
+    if (!this.validator) {
+      return { valid: true, value: data };
+    }
+
+    const result = this.validator(data);
+
+    if ('boolean' === typeof result) {
+      return { valid: result, value: data, message: 'invalid data' };
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,187 @@
+import { SaveGame } from './SaveGame';
+import { SaveGameVersionError } from './SaveGameErrors';
+import { MemoryStorageAdapter } from './StorageAdapters';
+import { Validators } from './Validators';
+import { Debugger } from '../debug/Debugger';
+import Sinon from 'sinon';
+
+describe('SaveGame', () => {
+  let storage;
+  let log;
+
+  const createSave = (options = {}) =>
+    new SaveGame(
+      Object.assign(
+        {
+          name: 'progress',
+          version: 3,
+          defaults: { level: 1, coins: 0, hat: 'none' },
+          migrations: {
+            1: data => ({ level: data }),
+            2: data => Object.assign({ coins: 0 }, data),
+            3: data => Object.assign({}, data, { level: data.level + 1 })
+          },
+          validator: Validators.shape({
+            level: Validators.number({ min: 1 }),
+            coins: Validators.number({ min: 0 }),
+            hat: Validators.string()
+          }),
+          storage
+        },
+        options
+      )
+    );
+
+  beforeEach(() => {
+    storage = new MemoryStorageAdapter();
+    log = Sinon.stub(Debugger, 'log');
+  });
+
+  afterEach(() => log.restore());
+
+  it('should require a name', () => {
+    expect(() => new SaveGame()).to.throw();
+  });
+
+  it('should load the defaults if there is no save', () => {
+    const save = createSave();
+
+    return save.load().then(data => {
+      expect(data).to.deep.equal({ level: 1, coins: 0, hat: 'none' });
+      expect(data).to.not.equal(save.defaults);
+    });
+  });
+
+  it('should save the data with its version', () => {
+    const save = createSave();
+
+    return save.save({ level: 4, coins: 2, hat: 'cap' }).then(() => {
+      expect(storage.values.progress).to.deep.equal({
+        version: 3,
+        data: { level: 4, coins: 2, hat: 'cap' }
+      });
+    });
+  });
+
+  it('should load a save of the current version as it is', () => {
+    const save = createSave();
+
+    return save
+      .save({ level: 4, coins: 2, hat: 'cap' })
+      .then(() => save.load())
+      .then(data => expect(data).to.deep.equal({ level: 4, coins: 2, hat: 'cap' }));
+  });
+
+  it('should run the migrations after the saved version in order', () => {
+    storage.values.progress = { version: 1, data: { level: 2 } };
+
+    return createSave()
+      .load()
+      .then(data => expect(data).to.deep.equal({ level: 3, coins: 0, hat: 'none' }));
+  });
+
+  it('should migrate data saved without a version from version 0', () => {
+    storage.values.progress = 5;
+
+    return createSave()
+      .load()
+      .then(data => expect(data.level).to.equal(6));
+  });
+
+  it('should accept migrations registered later', () => {
+    storage.values.progress = { version: 3, data: { level: 2, coins: 0, hat: 'none' } };
+    const save = createSave({ version: 4 }).migrate(4, data =>
+      Object.assign({}, data, { coins: 100 })
+    );
+
+    return save.load().then(data => expect(data.coins).to.equal(100));
+  });
+
+  it('should load the defaults if a save is invalid', () => {
+    storage.values.progress = { version: 3, data: { level: 'ten' } };
+
+    return createSave()
+      .load()
+      .then(data => {
+        expect(data).to.deep.equal({ level: 1, coins: 0, hat: 'none' });
+        expect(log.calledWith('warn')).to.be.true;
+      });
+  });
+
+  it('should load the defaults if a migration fails', () => {
+    storage.values.progress = { version: 2, data: null };
+
+    return createSave()
+      .load()
+      .then(data => expect(data.level).to.equal(1));
+  });
+
+  it('should keep a save from a newer version, refusing to overwrite it', () => {
+    const newer = { version: 9, data: { level: 20 } };
+    storage.values.progress = newer;
+    const save = createSave();
+
+    return save
+      .load()
+      .then(
+        () => expect.fail('load should reject'),
+        error => {
+          expect(error).to.be.instanceOf(SaveGameVersionError);
+          expect(error.version).to.equal(9);
+          expect(error.saved).to.deep.equal(newer);
+          return save.save({ level: 1, coins: 0, hat: 'none' });
+        }
+      )
+      .then(
+        () => expect.fail('save should reject'),
+        error => {
+          expect(error).to.be.instanceOf(SaveGameVersionError);
+          expect(storage.values.progress).to.deep.equal(newer);
+          return save.clear();
+        }
+      )
+      .then(() => save.save({ level: 1, coins: 0, hat: 'none' }))
+      .then(() => expect(storage.values.progress.version).to.equal(3));
+  });
+
+  it('should take data saved without a version as version 1 if there is no migration to version 1', () => {
+    storage.values.progress = { level: 2 };
+    const migrations = {
+      2: data => Object.assign({ coins: 5 }, data),
+      3: data => data
+    };
+
+    return createSave({ migrations })
+      .load()
+      .then(data => expect(data).to.deep.equal({ level: 2, coins: 5, hat: 'none' }));
+  });
+
+  it('should reject if the save can not be read', () => {
+    storage.read = () => Promise.reject(new Error('timed out'));
+
+    return createSave()
+      .load()
+      .then(
+        () => expect.fail('load should reject'),
+        error => expect(error.message).to.equal('timed out')
+      );
+  });
+
+  it('should not save invalid data', () => {
+    return createSave()
+      .save({ level: 0, coins: 'lots' })
+      .then(
+        () => expect.fail('save should reject'),
+        () => expect(storage.values.progress).to.be.undefined
+      );
+  });
+
+  it('should clear the save', () => {
+    const save = createSave();
+
+    return save
+      .save({ level: 4, coins: 2, hat: 'cap' })
+      .then(() => save.clear())
+      .then(() => expect(storage.values.progress).to.be.undefined);
+  });
+});
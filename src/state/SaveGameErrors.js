@@ -0,0 +1,30 @@
+/**
+ * The error a SaveGame rejects with when the save was made by a newer version of the game. The save is kept as it is,
+ * and the SaveGame won't overwrite it until it is cleared.
+ * @class SaveGameVersionError
+ * @extends Error
+ * @property {string} saveName the name the save is stored under
+ * @property {number} version the version of the save
+ * @property {number} currentVersion the schema version of the SaveGame
+ * @property {*} saved the save as it is stored
+ */
+export class SaveGameVersionError extends Error {
+  /**
+   * Creates a new SaveGameVersionError.
+   * @param {object} details
+   * @param {string} details.saveName
+   * @param {number} details.version
+   * @param {number} details.currentVersion
+   * @param {*} details.saved
+   */
+  constructor({ saveName, version, currentVersion, saved }) {
+    super(
+      `${saveName} was saved by version ${version}, newer than the current version ${currentVersion}`
+    );
+    this.name = 'SaveGameVersionError';
+    this.saveName = saveName;
+    this.version = version;
+    this.currentVersion = currentVersion;
+    this.saved = saved;
+  }
+}
@@ -0,0 +1,146 @@
+import { Property, ComputedProperty } from './Property';
+import { PLAYER_SETTINGS } from './PlayerSettings';
+
+/**
+ * Captures and restores the values of a group of properties, such as the settings shown in a menu, with a bounded undo
+ * and redo history. Values are stored as they are, so objects like captionsStyles should be replaced rather than changed
+ * in place for their previous values to be restored.
+ * @class StateSnapshot
+ * @property {Object<string, Property>} properties the properties captured, by key
+ * @property {Array<Object<string, *>>} undoStack snapshots undo() restores, the most recent last
+ * @property {Array<Object<string, *>>} redoStack snapshots redo() restores, the most recent last
+ */
+export class StateSnapshot {
+  /**
+   * Creates a new StateSnapshot.
+   * @param {Object<string, Property>} properties The properties to capture, such as Application.state or part of it.
+   * @param {object} [options={}]
+   * @param {string[]} [options.keys=PLAYER_SETTINGS] The keys of the properties to capture. Defaults to the player
+   * settings, the state of the built in features, leaving out lifecycle state such as ready and loadProgress. The state
+   * of the application's customFeatures isn't captured unless its keys are added, such as with
+   * `PLAYER_SETTINGS.concat('reducedMotion')`. Computed properties are never captured, since they can't be set.
+   * @param {number} [options.limit=50] The most undo steps kept, the oldest are dropped first.
+   */
+  constructor(properties, { keys = PLAYER_SETTINGS, limit = 50 } = {}) {
+    this.properties = {};
+    for (let i = 0; i < keys.length; i++) {
+      const property = properties[keys[i]];
+
+      if (property instanceof Property && !(property instanceof ComputedProperty)) {
+        this.properties[keys[i]] = property;
+      }
+    }
+
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Returns the current value of every property.
+   * @return {Object<string, *>} The values, by property key.
+   * @memberof StateSnapshot
+   */
+  capture() {
+    const snapshot = {};
+    for (const key in this.properties) {
+      snapshot[key] = this.properties[key].value;
+    }
+    return snapshot;
+  }
+
+  /**
+   * Sets the properties to the values of a snapshot. Keys missing from the snapshot are left as they are, so a partial
+   * snapshot such as a set of default values can be restored. Each changed property notifies its listeners once, after
+   * every value has been restored.
+   * @param {Object<string, *>} snapshot The values to restore, by property key.
+   * @memberof StateSnapshot
+   */
+  restore(snapshot) {
+    Property.batch(() => {
+      for (const key in snapshot) {
+        if (this.properties[key]) {
+          this.properties[key].value = snapshot[key];
+        }
+      }
+    });
+  }
+
+  /**
+   * Records the current values as an undo step. Call it before making a change that should be undoable. Clears the redo
+   * history.
+   * @memberof StateSnapshot
+   */
+  checkpoint() {
+    this.pushUndo(this.capture());
+    this.redoStack.length = 0;
+  }
+
+  /**
+   * Restores the values recorded by the last checkpoint.
+   * @return {boolean} False if there was nothing to undo.
+   * @memberof StateSnapshot
+   */
+  undo() {
+    if (!this.canUndo) {
+      return false;
+    }
+
+    this.redoStack.push(this.capture());
+    this.restore(this.undoStack.pop());
+    return true;
+  }
+
+  /**
+   * Restores the values last undone.
+   * @return {boolean} False if there was nothing to redo.
+   * @memberof StateSnapshot
+   */
+  redo() {
+    if (!this.canRedo) {
+      return false;
+    }
+
+    this.pushUndo(this.capture());
+    this.restore(this.redoStack.pop());
+    return true;
+  }
+
+  /**
+   * Clears the undo and redo history.
+   * @memberof StateSnapshot
+   */
+  clearHistory() {
+    this.undoStack.length = 0;
+    this.redoStack.length = 0;
+  }
+
+  /**
+   * Adds an undo step, dropping the oldest past the limit.
+   * @param {Object<string, *>} snapshot
+   * @private
+   * @memberof StateSnapshot
+   */
+  pushUndo(snapshot) {
+    this.undoStack.push(snapshot);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+  }
+
+  /**
+   * Whether there is a checkpoint to undo.
+   * @return {boolean}
+   */
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Whether there is an undone change to redo.
+   * @return {boolean}
+   */
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+}
@@ -0,0 +1,125 @@
+import { StateSnapshot } from './StateSnapshot';
+import { Property } from './Property';
+import { PLAYER_SETTINGS } from './PlayerSettings';
+import { Application } from '../Application';
+import Sinon from 'sinon';
+
+describe('StateSnapshot', () => {
+  let state;
+  let snapshot;
+
+  beforeEach(() => {
+    state = {
+      hudPosition: new Property('top'),
+      colorVision: new Property('none'),
+      ready: new Property(true)
+    };
+    snapshot = new StateSnapshot(state, { keys: ['hudPosition', 'colorVision'], limit: 2 });
+  });
+
+  it('should capture the value of each property', () => {
+    expect(snapshot.capture()).to.deep.equal({ hudPosition: 'top', colorVision: 'none' });
+  });
+
+  it('should restore a snapshot notifying each changed property once', () => {
+    const saved = snapshot.capture();
+    const seen = [];
+    state.hudPosition.subscribe(() => seen.push(snapshot.capture()));
+    state.colorVision.subscribe(() => seen.push(snapshot.capture()));
+
+    state.hudPosition.value = 'left';
+    state.colorVision.value = 'Protanopia';
+    seen.length = 0;
+
+    snapshot.restore(saved);
+
+    expect(snapshot.capture()).to.deep.equal(saved);
+    expect(seen).to.deep.equal([saved, saved]);
+  });
+
+  it('should only restore the keys in the snapshot', () => {
+    const callback = Sinon.fake();
+    state.colorVision.subscribe(callback);
+
+    snapshot.restore({ hudPosition: 'bottom', ready: false });
+
+    expect(state.hudPosition.value).to.equal('bottom');
+    expect(state.ready.value).to.be.true;
+    expect(callback.callCount).to.equal(0);
+  });
+
+  it('should undo and redo changes made after a checkpoint', () => {
+    snapshot.checkpoint();
+    state.hudPosition.value = 'left';
+
+    expect(snapshot.undo()).to.be.true;
+    expect(state.hudPosition.value).to.equal('top');
+    expect(snapshot.canUndo).to.be.false;
+
+    expect(snapshot.redo()).to.be.true;
+    expect(state.hudPosition.value).to.equal('left');
+    expect(snapshot.canRedo).to.be.false;
+  });
+
+  it('should clear the redo history on a new checkpoint', () => {
+    snapshot.checkpoint();
+    state.hudPosition.value = 'left';
+    snapshot.undo();
+
+    snapshot.checkpoint();
+    expect(snapshot.canRedo).to.be.false;
+    expect(snapshot.redo()).to.be.false;
+  });
+
+  it('should drop the oldest undo steps past the limit', () => {
+    ['left', 'right', 'bottom'].forEach(position => {
+      snapshot.checkpoint();
+      state.hudPosition.value = position;
+    });
+
+    snapshot.undo();
+    snapshot.undo();
+    expect(state.hudPosition.value).to.equal('left');
+    expect(snapshot.undo()).to.be.false;
+  });
+
+  it('should keep the undo steps within the limit on redo', () => {
+    ['left', 'right'].forEach(position => {
+      snapshot.checkpoint();
+      state.hudPosition.value = position;
+    });
+    snapshot.undo();
+    snapshot.limit = 1;
+
+    snapshot.redo();
+    expect(snapshot.undoStack.length).to.equal(1);
+  });
+
+  it('should only capture the player settings by default, and never computed properties', () => {
+    const app = new Application({ pauseOnBlur: false });
+    app.state.doubleVolume = app.state.soundVolume.map(volume => volume * 2);
+    const settings = new StateSnapshot(app.state, { keys: ['hudPosition', 'doubleVolume'] });
+    const defaults = new StateSnapshot(app.state);
+
+    expect(Object.keys(settings.properties)).to.deep.equal(['hudPosition']);
+    expect(defaults.properties.keyBinding).to.equal(app.state.keyBinding);
+    expect(defaults.properties.ready).to.be.undefined;
+    expect(defaults.properties.loadProgress).to.be.undefined;
+    app.destroy();
+  });
+
+  it('should capture the state of custom features only when their keys are added', () => {
+    const app = new Application({
+      pauseOnBlur: false,
+      customFeatures: [{ name: 'reducedMotion', defaultValue: false }]
+    });
+    const defaults = new StateSnapshot(app.state);
+    const settings = new StateSnapshot(app.state, {
+      keys: PLAYER_SETTINGS.concat('reducedMotion')
+    });
+
+    expect(defaults.properties.reducedMotion).to.be.undefined;
+    expect(settings.properties.reducedMotion).to.equal(app.state.reducedMotion);
+    app.destroy();
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Stores UserData in the browser's localStorage, as JSON under a prefixed name.
+ * @class LocalStorageAdapter
+ * @property {string} prefix added to each name before it is stored
+ */
+export class LocalStorageAdapter {
+  /**
+   * Creates a new LocalStorageAdapter.
+   * @param {object} [options={}]
+   * @param {string} [options.prefix='springroll.userData.'] Added to each name before it is stored.
+   */
+  constructor({ prefix = 'springroll.userData.' } = {}) {
+    this.prefix = prefix;
+  }
+
+  /**
+   * Gets a stored value.
+   * @param {string} name
+   * @return {Promise<*>} The value, or undefined if there isn't one.
+   * @memberof LocalStorageAdapter
+   */
+  read(name) {
+    // the executor catches localStorage being blocked or the value not being JSON
+    return new Promise(resolve => {
+      const value = localStorage.getItem(this.prefix + name);
+      resolve(null === value ? undefined : JSON.parse(value));
+    });
+  }
+
+  /**
+   * Stores a value.
+   * @param {string} name
+   * @param {*} value
+   * @return {Promise} Rejects if localStorage is blocked or full.
+   * @memberof LocalStorageAdapter
+   */
+  write(name, value) {
+    return new Promise(resolve => {
+      localStorage.setItem(this.prefix + name, JSON.stringify(value));
+      resolve();
+    });
+  }
+
+  /**
+   * Removes a stored value.
+   * @param {string} name
+   * @return {Promise}
+   * @memberof LocalStorageAdapter
+   */
+  delete(name) {
+    return new Promise(resolve => {
+      localStorage.removeItem(this.prefix + name);
+      resolve();
+    });
+  }
+}
+
+/**
+ * Stores UserData in memory, for when no other storage is available. The data is lost when the page is closed.
+ * @class MemoryStorageAdapter
+ * @property {Object<string, *>} values the stored values, by name
+ */
+export class MemoryStorageAdapter {
+  /**
+   * Creates a new MemoryStorageAdapter.
+   */
+  constructor() {
+    this.values = {};
+  }
+
+  /**
+   * Gets a stored value.
+   * @param {string} name
+   * @return {Promise<*>} The value, or undefined if there isn't one.
+   * @memberof MemoryStorageAdapter
+   */
+  read(name) {
+    return Promise.resolve(this.values[name]);
+  }
+
+  /**
+   * Stores a value.
+   * @param {string} name
+   * @param {*} value
+   * @return {Promise}
+   * @memberof MemoryStorageAdapter
+   */
+  write(name, value) {
+    this.values[name] = value;
+    return Promise.resolve();
+  }
+
+  /**
+   * Removes a stored value.
+   * @param {string} name
+   * @return {Promise}
+   * @memberof MemoryStorageAdapter
+   */
+  delete(name) {
+    delete this.values[name];
+    return Promise.resolve();
+  }
+}
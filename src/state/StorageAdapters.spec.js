@@ -0,0 +1,48 @@
+import { LocalStorageAdapter, MemoryStorageAdapter } from './StorageAdapters';
+
+describe('StorageAdapters', () => {
+  describe('LocalStorageAdapter', () => {
+    const storage = new LocalStorageAdapter({ prefix: 'test.' });
+
+    afterEach(() => localStorage.removeItem('test.score'));
+
+    it('should store values as JSON under the prefixed name', () => {
+      return storage
+        .write('score', { value: 10 })
+        .then(() => {
+          expect(localStorage.getItem('test.score')).to.equal('{"value":10}');
+          return storage.read('score');
+        })
+        .then(value => expect(value).to.deep.equal({ value: 10 }));
+    });
+
+    it('should read missing values as undefined', () => {
+      return storage.read('score').then(value => expect(value).to.be.undefined);
+    });
+
+    it('should reject values that are not JSON', () => {
+      localStorage.setItem('test.score', '{not json');
+
+      return storage.read('score').then(
+        () => expect.fail('read should reject'),
+        error => expect(error).to.be.instanceOf(Error)
+      );
+    });
+  });
+
+  describe('MemoryStorageAdapter', () => {
+    it('should store and delete values', () => {
+      const storage = new MemoryStorageAdapter();
+
+      return storage
+        .write('score', 10)
+        .then(() => storage.read('score'))
+        .then(value => {
+          expect(value).to.equal(10);
+          return storage.delete('score');
+        })
+        .then(() => storage.read('score'))
+        .then(value => expect(value).to.be.undefined);
+    });
+  });
+});
@@ -1,59 +1,547 @@
 import { BellhopSingleton } from '../communication/BellhopSingleton';
+import { ContainerProtocolSingleton } from '../communication/ContainerProtocol';
+import { LocalStorageAdapter, MemoryStorageAdapter } from './StorageAdapters';
+import { Debugger } from '../debug/Debugger';
+import { UserDataTimeoutError, UserDataDisconnectedError } from './UserDataErrors';
 const onReturn = Symbol('onReturn');
 const READ = 'userDataRead';
 const WRITE = 'userDataWrite';
 const DELETE = 'userDataRemove';
+const ACTIONS = { [READ]: 'read', [WRITE]: 'write', [DELETE]: 'delete' };
+
+let nextRequestId = 1;
+
+// requests waiting on a response, in the order they were sent, by message type
+const awaitingResponse = {};
+
+/**
+ * Finds the request a response answers. With UserData.requestIds, a response echoing an id answers the request with
+ * that id. Otherwise the container answers in the order it receives requests, so a response answers the oldest request
+ * of its type still waiting.
+ * @param {string} type The Bellhop message type
+ * @param {*} response The data of the response
+ * @return {{ request: (object | undefined), value: * }} The request, and the value the response carries.
+ * @private
+ */
+function findRequest(type, response) {
+  const waiting = awaitingResponse[type];
+
+  if (
+    UserData.requestIds &&
+    response &&
+    'object' === typeof response &&
+    undefined !== response.id
+  ) {
+    return {
+      request: waiting.find(request => request.id === response.id),
+      value: response.value
+    };
+  }
+
+  return { request: waiting[0], value: response };
+}
+
+/**
+ * Starts matching the responses to a type of request, if not already.
+ * @param {string} type The Bellhop message type
+ * @private
+ */
+function listenForResponses(type) {
+  if (awaitingResponse[type]) {
+    return;
+  }
+
+  awaitingResponse[type] = [];
+  forgetTimedOutOnConnect();
+  ContainerProtocolSingleton.on(type, event => {
+    const { request, value } = findRequest(type, event.data);
+
+    if (request) {
+      request.resolve(value);
+    }
+  });
+}
+
+/**
+ * Keeps the place of a request that timed out, so that if the container answers it late, the answer is thrown away
+ * instead of being taken for the answer to the next request of the same type. Places are kept until the container
+ * answers, or Bellhop connects again.
+ * @param {string} type The Bellhop message type
+ * @param {object} request
+ * @private
+ */
+function keepPlace(type, request) {
+  request.resolve = () => forgetRequest(type, request);
+  request.timedOut = true;
+}
+
+let listeningForReconnect = false;
+
+/**
+ * Forgets the places of the requests that timed out once Bellhop connects again, since they won't be answered then.
+ * @private
+ */
+function forgetTimedOutOnConnect() {
+  if (listeningForReconnect) {
+    return;
+  }
+
+  listeningForReconnect = true;
+  BellhopSingleton.on('connected', () => {
+    for (const type in awaitingResponse) {
+      awaitingResponse[type] = awaitingResponse[type].filter(
+        request => !request.timedOut
+      );
+    }
+  });
+}
+
+/**
+ * Stops waiting on responses to a request.
+ * @param {string} type The Bellhop message type
+ * @param {object} request
+ * @private
+ */
+function forgetRequest(type, request) {
+  awaitingResponse[type] = awaitingResponse[type].filter(
+    waiting => waiting !== request
+  );
+}
+
+/**
+ * Calls a function returning a promise for each item, waiting for each promise before the next call.
+ * @param {Array<*>} items
+ * @param {function(*): Promise} fn
+ * @return {Promise}
+ * @private
+ */
+function sequence(items, fn) {
+  return items.reduce(
+    (previous, item) => previous.then(() => fn(item)),
+    Promise.resolve()
+  );
+}
+
+/**
+ * Whether two values would be stored the same way.
+ * @param {*} a
+ * @param {*} b
+ * @return {boolean}
+ * @private
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Reads a value from the first fallback storage that has one.
+ * @param {string} name
+ * @return {Promise<*>}
+ * @private
+ */
+function readFallback(name) {
+  return UserData.fallbackStorage.reduce(
+    (previous, storage) =>
+      previous.then(value =>
+        undefined !== value ? value : storage.read(name).catch(() => undefined)
+      ),
+    Promise.resolve(undefined)
+  );
+}
+
+/**
+ * Writes a value to the first fallback storage that accepts it.
+ * @param {string} name
+ * @param {*} value
+ * @return {Promise} Rejects if no fallback storage accepted the value.
+ * @private
+ */
+function writeFallback(name, value) {
+  return UserData.fallbackStorage.reduce(
+    (previous, storage) => previous.catch(() => storage.write(name, value)),
+    Promise.reject(new Error('No fallback storage available'))
+  );
+}
+
+/**
+ * Removes a value from every fallback storage.
+ * @param {string} name
+ * @return {Promise}
+ * @private
+ */
+function deleteFallback(name) {
+  return Promise.all(
+    UserData.fallbackStorage.map(storage =>
+      storage.delete(name).catch(() => {})
+    )
+  );
+}
+
+let listeningForConnection = false;
+
+/**
+ * Queues a change made while disconnected, to be sent to the container once it connects. Only the last change to each
+ * name is kept.
+ * @param {string} name
+ * @param {{ value: *, deleted: boolean }} change
+ * @private
+ */
+function queueChange(name, change) {
+  UserData.pendingChanges.delete(name);
+  UserData.pendingChanges.set(name, change);
+
+  if (!listeningForConnection) {
+    listeningForConnection = true;
+    BellhopSingleton.on('connected', () => UserData.sync());
+  }
+}
+
+/**
+ * Runs a container request once any sync in progress is done, so it isn't overwritten by an older queued change.
+ * @param {function(): Promise} request
+ * @return {Promise}
+ * @private
+ */
+function afterSync(request) {
+  return UserData.syncing ? UserData.syncing.then(request) : request();
+}
+
+/**
+ * Sends a change queued while disconnected to the container. If the container holds a different value, the value kept
+ * is decided by UserData.resolveConflict, and the fallback storage is updated to match.
+ * @param {string} name
+ * @param {{ value: *, deleted: boolean }} change
+ * @return {Promise}
+ * @private
+ */
+function sendChange(name, { value, deleted }) {
+  const localValue = deleted ? undefined : value;
+
+  return UserData[onReturn](READ, name).then(data => {
+    const hasValue = undefined !== data && null !== data;
+
+    if (hasValue && isEqual(data, localValue)) {
+      return;
+    }
+
+    const resolved = hasValue
+      ? UserData.resolveConflict(name, localValue, data)
+      : localValue;
+
+    let updateFallback = Promise.resolve();
+    if (resolved !== localValue) {
+      updateFallback =
+        undefined === resolved
+          ? deleteFallback(name)
+          : writeFallback(name, resolved);
+    }
+
+    return updateFallback.then(() => {
+      if (hasValue ? isEqual(resolved, data) : undefined === resolved) {
+        return;
+      }
+
+      return undefined === resolved
+        ? UserData[onReturn](DELETE, name)
+        : UserData[onReturn](WRITE, { name, value: resolved });
+    });
+  });
+}
+
 /**
  *
- * Manages data between SpringRoll Container and SpringRoll
+ * Manages data between SpringRoll Container and SpringRoll.
+ * The static methods use names as they are, while instances keep the data of a game under a namespace, and track the
+ * names written so they can be listed and cleared.
  * @export
  * @class UserData
+ * @property {string} namespace the prefix of every name used by this instance
  */
 export class UserData {
   /**
-   * Handles return
+   * Creates a UserData instance storing data under a namespace.
+   * @param {object} options
+   * @param {string} options.namespace The namespace of the data, such as the name of the game. Names are stored as
+   * `namespace.name`, and the list of names written is stored as `namespace#keys`, apart from the values.
+   */
+  constructor({ namespace } = {}) {
+    if (!namespace) {
+      throw new Error('UserData requires a namespace');
+    }
+
+    this.namespace = namespace;
+    this.keyIndex = `${namespace}#keys`;
+    this.keyUpdate = Promise.resolve();
+  }
+
+  /**
+   * Gets the name a value of this namespace is stored under in the container.
+   * @param {string} name
+   * @return {string}
+   * @memberof UserData
+   */
+  key(name) {
+    return `${this.namespace}.${name}`;
+  }
+
+  /**
+   * Gets data of this namespace from SpringRoll Container
+   * @param {string} name
+   * @return {Promise}
+   * @memberof UserData
+   */
+  read(name) {
+    return UserData.read(this.key(name));
+  }
+
+  /**
+   * Sends data of this namespace to SpringRoll Container
+   * @param {string} name
+   * @param {*} value
+   * @return {Promise}
+   * @memberof UserData
+   */
+  write(name, value) {
+    return UserData.write(this.key(name), value).then(() =>
+      this.addKeys([name])
+    );
+  }
+
+  /**
+   * Removes data of this namespace from SpringRoll Container
+   * @param {string} name
+   * @return {Promise}
+   * @memberof UserData
+   */
+  delete(name) {
+    return UserData.delete(this.key(name)).then(() =>
+      this.removeKeys([name])
+    );
+  }
+
+  /**
+   * Lists the names of the data written to this namespace.
+   * @return {Promise<string[]>}
+   * @memberof UserData
+   */
+  keys() {
+    return this.keyUpdate.then(
+      () => this.readKeys(),
+      () => this.readKeys()
+    );
+  }
+
+  /**
+   * Gets several values of this namespace from SpringRoll Container.
+   * @param {string[]} names
+   * @return {Promise<Object<string, *>>} The values, by name.
+   * @memberof UserData
+   */
+  readMany(names) {
+    const values = {};
+
+    return Promise.all(
+      names.map(name => this.read(name).then(value => (values[name] = value)))
+    ).then(() => values);
+  }
+
+  /**
+   * Sends several values of this namespace to SpringRoll Container.
+   * @param {Object<string, *>} values The values to write, by name.
+   * @return {Promise}
+   * @memberof UserData
+   */
+  writeMany(values) {
+    const names = Object.keys(values);
+
+    return Promise.all(
+      names.map(name => UserData.write(this.key(name), values[name]))
+    ).then(() => this.addKeys(names));
+  }
+
+  /**
+   * Removes all data of this namespace from SpringRoll Container.
+   * @return {Promise}
+   * @memberof UserData
+   */
+  clear() {
+    return this.keys().then(names =>
+      Promise.all(names.map(name => UserData.delete(this.key(name)))).then(
+        () => this.removeKeys(names)
+      )
+    );
+  }
+
+  /**
+   * Reads the list of names written to this namespace.
+   * @return {Promise<string[]>}
+   * @private
+   * @memberof UserData
+   */
+  readKeys() {
+    return UserData.read(this.keyIndex).then(keys =>
+      Array.isArray(keys) ? keys : []
+    );
+  }
+
+  /**
+   * Adds names to the list of names written to this namespace.
+   * @param {string[]} names
+   * @return {Promise}
+   * @private
+   * @memberof UserData
+   */
+  addKeys(names) {
+    return this.updateKeys(keys =>
+      keys.concat(
+        names.filter(
+          (name, i) => keys.indexOf(name) === -1 && names.indexOf(name) === i
+        )
+      )
+    );
+  }
+
+  /**
+   * Removes names from the list of names written to this namespace.
+   * @param {string[]} names
+   * @return {Promise}
+   * @private
+   * @memberof UserData
+   */
+  removeKeys(names) {
+    return this.updateKeys(keys =>
+      keys.filter(key => names.indexOf(key) === -1)
+    );
+  }
+
+  /**
+   * Changes the list of names written to this namespace. Changes are made one after another, so that they don't
+   * overwrite each other.
+   * @param {function(string[]): string[]} update Returns the new list of names from the current one.
+   * @return {Promise}
+   * @private
+   * @memberof UserData
+   */
+  updateKeys(update) {
+    const write = () =>
+      this.readKeys().then(keys => {
+        const updated = update(keys);
+
+        if (
+          updated.length === keys.length &&
+          updated.every((key, i) => key === keys[i])
+        ) {
+          return;
+        }
+
+        return UserData.write(this.keyIndex, updated);
+      });
+
+    this.keyUpdate = this.keyUpdate.then(write, write);
+    return this.keyUpdate;
+  }
+
+  /**
+   * Sends a request to the container and waits for its response. The request is sent as SpringRoll Container expects,
+   * the name of the data, or the name and value of a write, and the container answers with a message of the same type,
+   * in the order it received the requests.
+   *
+   * With UserData.requestIds, each request also carries an id, `{ name, id }` plus the `value` of a write, and
+   * responses echoing the id, `{ id, name, value }`, are matched to their request by id, so they can arrive in any
+   * order. The request is then sent again if there is no response, waiting retryDelay before the first resend and
+   * twice as long before each one after that, up to maxRetries times. Without ids, requests aren't sent again, since an
+   * answer to a resend would be taken for the answer to the next request.
    * @function
    * @memberof UserData
    * @name onReturn
-   * @param {*} data
-   * @param {number} [attempts=3]
-   * @param {string} METHOD
+   * @param {string} METHOD The Bellhop message type
+   * @param {string | { name: string, value: * }} data The name, or the name and value of a write
    * @private
-   * @returns
+   * @returns {Promise<*>} Resolves with the value of the response. Rejects with a UserDataTimeoutError if there is no
+   * response within UserData.timeout, or a UserDataDisconnectedError if Bellhop disconnects before then.
    * @static
    */
-  static [onReturn](METHOD, data, attempts = 3) {
+  static [onReturn](METHOD, data) {
+    listenForResponses(METHOD);
+
     return new Promise((resolve, reject) => {
-      let success = false;
-      let count = 0;
+      const key = 'object' === typeof data && null !== data ? data.name : data;
+      const timeout = this.timeout;
+      const request = { id: nextRequestId++, resolve: null };
+      const tagged = this.requestIds;
+      const payload = !tagged
+        ? data
+        : Object.assign({}, 'object' === typeof data ? data : { name: data }, {
+          id: request.id
+        });
+      const maxRetries = tagged ? this.maxRetries : 0;
+      let attempts = 0;
+      let retryTimer = null;
+      let settled = false;
+
+      const settle = () => {
+        settled = true;
+        clearTimeout(retryTimer);
+        clearTimeout(timeoutTimer);
+        forgetRequest(METHOD, request);
+      };
 
-      const onReturn = event => {
-        BellhopSingleton.off(METHOD, onReturn);
-        success = true;
-        resolve(event);
+      const fail = error => {
+        settle();
+        reject(error);
       };
-      BellhopSingleton.on(METHOD, onReturn);
 
-      BellhopSingleton.send(METHOD, data);
+      const timeOut = error => {
+        settled = true;
+        clearTimeout(retryTimer);
+        keepPlace(METHOD, request);
+        reject(error);
+      };
 
-      const interval = setInterval(() => {
-        if (success) {
-          clearInterval(interval);
+      request.resolve = response => {
+        settle();
+        resolve(response);
+      };
+
+      const send = () => {
+        if (!BellhopSingleton.connected) {
+          fail(new UserDataDisconnectedError(ACTIONS[METHOD], key));
           return;
         }
 
-        if (count >= attempts) {
-          clearInterval(interval);
-          BellhopSingleton.off(METHOD, onReturn);
-          reject('No Response');
+        attempts++;
+        ContainerProtocolSingleton.send(METHOD, payload);
+
+        // the container may have answered already
+        if (!settled && attempts <= maxRetries) {
+          retryTimer = setTimeout(
+            send,
+            this.retryDelay * Math.pow(2, attempts - 1)
+          );
         }
-        count++;
-      }, 100);
+      };
+
+      const timeoutTimer = setTimeout(
+        () =>
+          timeOut(
+            new UserDataTimeoutError({
+              type: METHOD,
+              key,
+              requestId: request.id,
+              attempts,
+              timeout
+            })
+          ),
+        timeout
+      );
+
+      awaitingResponse[METHOD].push(request);
+      send();
     });
   }
 
   /**
-   * Gets data from SpringRoll Container
+   * Gets data from SpringRoll Container. While Bellhop isn't connected, the data is read from the fallback storage.
    * @memberof UserData
    * @param {string} name
    * @return {Promise}
@@ -61,18 +549,19 @@ export class UserData {
    */
   static read(name) {
     if (!BellhopSingleton.connected) {
-      const warning = `Could not complete read action for ${name}. Bellhop is not connected.`;
-      return Promise.reject(warning);
+      if (!this.fallbackStorage.length) {
+        return Promise.reject(new UserDataDisconnectedError('read', name));
+      }
+
+      return readFallback(name);
     }
 
-    return this[onReturn](READ, name)
-      .then(({ data }) => {
-        return data;
-      });
+    return afterSync(() => this[onReturn](READ, name));
   }
 
   /**
-   * Sends data to SpringRoll Container
+   * Sends data to SpringRoll Container. While Bellhop isn't connected, the data is written to the fallback storage and
+   * sent to the container once it connects.
    * @memberof UserData
    * @param {*} value
    * @param {string} name
@@ -80,25 +569,140 @@ export class UserData {
    * @static
    */
   static write(name, value) {
-    const warning = `Could not complete write action for ${name} with value ${value}. Bellhop is not connected.`;
-    return BellhopSingleton.connected
-      ? this[onReturn](WRITE, { name, value })
-      : new Promise((_, reject) => reject(warning));
+    if (!BellhopSingleton.connected) {
+      return writeFallback(name, value).then(
+        () => queueChange(name, { value, deleted: false }),
+        () => Promise.reject(new UserDataDisconnectedError('write', name))
+      );
+    }
+
+    return afterSync(() => this[onReturn](WRITE, { name, value }));
   }
 
   /**
-   * Removes data from SpringRoll Container
+   * Removes data from SpringRoll Container. While Bellhop isn't connected, the data is removed from the fallback storage
+   * and from the container once it connects.
    * @memberof UserData
    * @param {string} name
    * @static
    */
   static delete(name) {
     if (!BellhopSingleton.connected) {
-      const warning = `Could not complete read action for ${name}. Bellhop is not connected.`;
-      return Promise.reject(warning);
+      if (!this.fallbackStorage.length) {
+        return Promise.reject(new UserDataDisconnectedError('delete', name));
+      }
+
+      return deleteFallback(name).then(() =>
+        queueChange(name, { value: undefined, deleted: true })
+      );
+    }
+
+    return afterSync(() => this[onReturn](DELETE, name));
+  }
+
+  /**
+   * Sends the changes made while Bellhop wasn't connected to the container. This is called automatically when Bellhop
+   * connects. Changes that fail to send are queued again, to be sent the next time sync is called.
+   * @memberof UserData
+   * @return {Promise} Resolves once every queued change has been sent or queued again.
+   * @static
+   */
+  static sync() {
+    if (this.syncing) {
+      return this.syncing;
     }
 
-    return this[onReturn](DELETE, name);
+    if (!BellhopSingleton.connected || !this.pendingChanges.size) {
+      return Promise.resolve();
+    }
+
+    const changes = [];
+    this.pendingChanges.forEach((change, name) => changes.push({ name, change }));
+    this.pendingChanges.clear();
+
+    this.syncing = sequence(changes, ({ name, change }) =>
+      sendChange(name, change).catch(error => {
+        // keep newer changes made since the sync started
+        if (!this.pendingChanges.has(name)) {
+          this.pendingChanges.set(name, change);
+        }
+
+        Debugger.log('warn', `[UserData] Could not sync ${name}:`, error);
+      })
+    ).then(() => {
+      this.syncing = null;
+    });
+
+    return this.syncing;
   }
 }
+
+/**
+ * Where data is read from and written to while Bellhop isn't connected, in order of preference. Reads use the first
+ * storage holding a value, and writes use the first storage that accepts the value. An empty list makes reads and
+ * writes reject while Bellhop isn't connected.
+ * @type {Array<{ read: function, write: function, delete: function }>}
+ * @static
+ */
+UserData.fallbackStorage = [
+  new LocalStorageAdapter(),
+  new MemoryStorageAdapter()
+];
+
+/**
+ * Time in milliseconds a request to the container waits for a response before rejecting with a UserDataTimeoutError.
+ * @type {number}
+ * @static
+ */
+UserData.timeout = 1000;
+
+/**
+ * Time in milliseconds to wait for a response before sending a request again. The wait doubles after each resend.
+ * @type {number}
+ * @static
+ */
+UserData.retryDelay = 100;
+
+/**
+ * The most times a request is sent again, while there is still time before it times out. Requests are only sent again
+ * with requestIds.
+ * @type {number}
+ * @static
+ */
+UserData.maxRetries = 3;
+
+/**
+ * Whether to send an id with each request, for containers that echo it in their responses, so that responses can be
+ * matched to requests in any order and requests can be sent again. Off by default, since SpringRoll Container takes
+ * the name of the data as is, and answers in the order it receives requests.
+ * @type {boolean}
+ * @static
+ */
+UserData.requestIds = false;
+
+/**
+ * Changes made while Bellhop wasn't connected that haven't been sent to the container yet, by name.
+ * @type {Map<string, { value: *, deleted: boolean }>}
+ * @static
+ */
+UserData.pendingChanges = new Map();
+
+/**
+ * The sync in progress, if any.
+ * @type {Promise | null}
+ * @static
+ */
+UserData.syncing = null;
+
+/**
+ * Decides which value to keep when a change made while disconnected is synced, and the container already holds a
+ * different value. By default the change made while disconnected is kept, since it is the most recent.
+ * @param {string} name The name of the data
+ * @param {*} localValue The value written while disconnected, undefined if it was deleted
+ * @param {*} containerValue The value the container holds
+ * @return {*} The value to keep, or undefined to delete it
+ * @static
+ */
+UserData.resolveConflict = (name, localValue) => localValue;
+
 export default UserData;
@@ -1,6 +1,8 @@
 import sinon from 'sinon';
 
 import { UserData } from './UserData';
+import { MemoryStorageAdapter } from './StorageAdapters';
+import { UserDataTimeoutError, UserDataDisconnectedError } from './UserDataErrors';
 import container from '../communication/BellhopSingleton';
 
 document.body.addEventListener('message', t => {
@@ -18,18 +20,39 @@ const assertThrows = async (F) => {
   expect(didThrow).to.equal(true);
 }
 
+// answers each request from a store the way the container would
+const answerFrom = store => (type, data) => {
+  if (type === 'userDataRead') {
+    container.trigger({ type, data: store[data] });
+  } else if (type === 'userDataWrite') {
+    store[data.name] = data.value;
+    container.trigger(type);
+  } else if (type === 'userDataRemove') {
+    delete store[data];
+    container.trigger(type);
+  }
+};
+
 describe('UserData', () => {
+  const fallbackStorage = UserData.fallbackStorage;
+
   beforeEach(() => {
     container.connected = true;
+    // forgets requests timed out by earlier tests, which are never answered, without syncing changes queued by other
+    // specs
+    UserData.pendingChanges.clear();
+    container.trigger('connected');
   });
 
   afterEach(() => {
     container.connected = false;
+    UserData.fallbackStorage = fallbackStorage;
   });
 
   describe('read', () => {
-    it('Should reject if Bellhop is not connected', async () => {
+    it('Should reject if Bellhop is not connected and there is no fallback storage', async () => {
       container.connected = false;
+      UserData.fallbackStorage = [];
       await assertThrows(() => UserData.read('value'));
     });
 
@@ -69,8 +92,9 @@ describe('UserData', () => {
   });
 
   describe('write', () => {
-    it('Should reject if Bellhop is not connected', async () => {
+    it('Should reject if Bellhop is not connected and there is no fallback storage', async () => {
       container.connected = false;
+      UserData.fallbackStorage = [];
       await assertThrows(() => UserData.write('value', { foo: 'bar' }));
     });
 
@@ -80,8 +104,9 @@ describe('UserData', () => {
   });
 
   describe('delete', () => {
-    it('should reject if Bellhop is not connected', async () => {
+    it('should reject if Bellhop is not connected and there is no fallback storage', async () => {
       container.connected = false;
+      UserData.fallbackStorage = [];
       await assertThrows(() => UserData.delete('value'));
     });
 
@@ -104,4 +129,331 @@ describe('UserData', () => {
       });
     })
   });
+
+  describe('namespaced instance', () => {
+    let store;
+
+    beforeEach(() => {
+      store = {};
+
+      sinon.stub(container, 'send').callsFake(answerFrom(store));
+    });
+
+    afterEach(() => container.send.restore());
+
+    it('should require a namespace', () => {
+      expect(() => new UserData()).to.throw();
+    });
+
+    it('should store values under the namespace', async () => {
+      const data = new UserData({ namespace: 'game' });
+
+      await data.write('score', 10);
+
+      expect(store['game.score']).to.equal(10);
+      expect(await data.read('score')).to.equal(10);
+    });
+
+    it('should list the names written', async () => {
+      const data = new UserData({ namespace: 'game' });
+
+      await data.write('score', 10);
+      await data.write('level', 2);
+      await data.write('score', 12);
+      await data.delete('level');
+
+      expect(await data.keys()).to.deep.equal(['score']);
+    });
+
+    it('should read and write several values', async () => {
+      const data = new UserData({ namespace: 'game' });
+
+      await data.writeMany({ score: 10, level: 2 });
+
+      expect(await data.readMany(['score', 'level'])).to.deep.equal({ score: 10, level: 2 });
+      expect(await data.keys()).to.deep.equal(['score', 'level']);
+    });
+
+    it('should clear only the data of its namespace', async () => {
+      const data = new UserData({ namespace: 'game' });
+      store['other.score'] = 5;
+
+      await data.writeMany({ score: 10, level: 2 });
+      await data.clear();
+
+      expect(await data.keys()).to.deep.equal([]);
+      expect(store['game.score']).to.be.undefined;
+      expect(store['other.score']).to.equal(5);
+    });
+
+    it('should not store the list of names where another namespace stores a value', async () => {
+      const outer = new UserData({ namespace: 'a' });
+      const inner = new UserData({ namespace: 'a.b' });
+
+      await outer.write('b', 5);
+      await inner.write('c', 6);
+
+      expect(await outer.read('b')).to.equal(5);
+      expect(await outer.keys()).to.deep.equal(['b']);
+      expect(await inner.keys()).to.deep.equal(['c']);
+      expect(store['a#keys']).to.deep.equal(['b']);
+    });
+
+    it('should not lose names written at the same time', async () => {
+      const data = new UserData({ namespace: 'game' });
+
+      await Promise.all([data.write('score', 10), data.write('level', 2)]);
+
+      expect((await data.keys()).sort()).to.deep.equal(['level', 'score']);
+    });
+  });
+
+  describe('offline fallback', () => {
+    const resolveConflict = UserData.resolveConflict;
+    let memory;
+    let store;
+
+    beforeEach(() => {
+      container.connected = false;
+      memory = new MemoryStorageAdapter();
+      UserData.fallbackStorage = [memory];
+      store = {};
+
+      sinon.stub(container, 'send').callsFake(answerFrom(store));
+    });
+
+    afterEach(() => {
+      container.send.restore();
+      UserData.pendingChanges.clear();
+      UserData.resolveConflict = resolveConflict;
+    });
+
+    const connect = () => {
+      container.connected = true;
+      container.trigger('connected');
+      return UserData.sync();
+    };
+
+    it('should use the fallback storage while disconnected', async () => {
+      await UserData.write('score', 10);
+
+      expect(memory.values.score).to.equal(10);
+      expect(await UserData.read('score')).to.equal(10);
+      expect(container.send.called).to.be.false;
+    });
+
+    it('should use the next storage if one fails', async () => {
+      const broken = {
+        read: () => Promise.reject(new Error('blocked')),
+        write: () => Promise.reject(new Error('full')),
+        delete: () => Promise.reject(new Error('blocked'))
+      };
+      UserData.fallbackStorage = [broken, memory];
+
+      await UserData.write('score', 10);
+      expect(await UserData.read('score')).to.equal(10);
+    });
+
+    it('should send changes made while disconnected once connected', async () => {
+      store.level = 1;
+
+      await UserData.write('score', 10);
+      await UserData.write('score', 12);
+      await UserData.delete('level');
+      await connect();
+
+      expect(store).to.deep.equal({ score: 12 });
+      expect(UserData.pendingChanges.size).to.equal(0);
+    });
+
+    it('should keep the offline change by default when the container has another value', async () => {
+      store.score = 50;
+
+      await UserData.write('score', 10);
+      await connect();
+
+      expect(store.score).to.equal(10);
+    });
+
+    it('should resolve conflicts with resolveConflict', async () => {
+      store.score = 50;
+      UserData.resolveConflict = sinon.fake((name, local, remote) => Math.max(local, remote));
+
+      await UserData.write('score', 10);
+      await connect();
+
+      expect(UserData.resolveConflict.calledWith('score', 10, 50)).to.be.true;
+      expect(store.score).to.equal(50);
+      expect(memory.values.score).to.equal(50);
+    });
+
+    it('should queue changes again if they fail to send', async () => {
+      container.send.restore();
+      sinon.stub(container, 'send');
+
+      await UserData.write('score', 10);
+      await connect();
+
+      expect(UserData.pendingChanges.get('score')).to.deep.equal({ value: 10, deleted: false });
+    });
+  });
+
+  describe('requests', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      sinon.stub(container, 'send');
+    });
+
+    afterEach(() => {
+      container.send.restore();
+      clock.restore();
+      UserData.requestIds = false;
+    });
+
+    const respond = data => container.trigger({ type: 'userDataRead', data });
+    const idOf = call => container.send.getCall(call).args[1].id;
+
+    it('should match responses to requests in the order they were sent', async () => {
+      const first = UserData.read('first');
+      const second = UserData.read('second');
+
+      respond(1);
+      respond({ id: 2, value: 2 });
+
+      expect(await first).to.equal(1);
+      expect(await second).to.deep.equal({ id: 2, value: 2 });
+    });
+
+    it('should throw away the late answer to a request that timed out', async () => {
+      const first = UserData.read('first').then(() => null, error => error);
+      clock.tick(1000);
+      expect(await first).to.be.instanceOf(UserDataTimeoutError);
+
+      const second = UserData.read('second');
+      respond(1); // the late answer to the first read
+      respond(2);
+
+      expect(await second).to.equal(2);
+    });
+
+    it('should not resend requests without ids', async () => {
+      const rejection = UserData.read('value').then(() => null, error => error);
+
+      clock.tick(1000);
+      const error = await rejection;
+
+      expect(container.send.callCount).to.equal(1);
+      expect(error).to.be.instanceOf(UserDataTimeoutError);
+      expect(error.attempts).to.equal(1);
+    });
+
+    describe('with request ids', () => {
+      beforeEach(() => {
+        UserData.requestIds = true;
+      });
+
+      it('should match each response to its own request', async () => {
+        const first = UserData.read('first');
+        const second = UserData.read('second');
+
+        expect(container.send.firstCall.args[1]).to.deep.equal({ name: 'first', id: idOf(0) });
+        expect(idOf(0)).to.not.equal(idOf(1));
+        respond({ id: idOf(0), name: 'first', value: 1 });
+        respond({ id: idOf(1), name: 'second', value: 2 });
+
+        expect(await first).to.equal(1);
+        expect(await second).to.equal(2);
+      });
+
+      it('should match responses answered out of order, and resend requests whose response was dropped', async () => {
+        const first = UserData.read('first');
+        const second = UserData.read('second');
+        const third = UserData.read('third');
+
+        // the response to the first read is dropped
+        respond({ id: idOf(2), name: 'third', value: 3 });
+        respond({ id: idOf(1), name: 'second', value: 2 });
+        expect(await third).to.equal(3);
+        expect(await second).to.equal(2);
+
+        clock.tick(100);
+        expect(container.send.callCount).to.equal(4);
+        expect(container.send.lastCall.args[1]).to.deep.equal({ name: 'first', id: idOf(0) });
+
+        respond({ id: idOf(0), name: 'first', value: 1 });
+        expect(await first).to.equal(1);
+      });
+
+      it('should match responses in order if the container does not echo the id', async () => {
+        const first = UserData.read('first');
+        const second = UserData.read('second');
+
+        respond(1);
+        respond(2);
+
+        expect(await first).to.equal(1);
+        expect(await second).to.equal(2);
+      });
+
+      it('should resend requests with an exponential backoff, then time out', async () => {
+        const rejection = UserData.read('value').then(() => null, error => error);
+
+        expect(container.send.callCount).to.equal(1);
+        clock.tick(100);
+        expect(container.send.callCount).to.equal(2);
+        clock.tick(199);
+        expect(container.send.callCount).to.equal(2);
+        clock.tick(1);
+        expect(container.send.callCount).to.equal(3);
+        clock.tick(400);
+        expect(container.send.callCount).to.equal(4);
+        clock.tick(300);
+        const error = await rejection;
+
+        expect(container.send.callCount).to.equal(4);
+        expect(error).to.be.instanceOf(UserDataTimeoutError);
+        expect(error.attempts).to.equal(4);
+        expect(error.key).to.equal('value');
+      });
+
+      it('should not give the answer to a resend to the next request', async () => {
+        const first = UserData.read('first');
+        clock.tick(100);
+        respond({ id: idOf(0), name: 'first', value: 1 });
+        expect(await first).to.equal(1);
+
+        const second = UserData.read('second');
+        respond({ id: idOf(0), name: 'first', value: 1 }); // the answer to the resend of the first request
+        respond({ id: idOf(2), name: 'second', value: 2 });
+        expect(await second).to.equal(2);
+      });
+
+      it('should reject with a UserDataDisconnectedError if Bellhop disconnects', async () => {
+        const rejection = UserData.read('value').then(() => null, error => error);
+
+        container.connected = false;
+        clock.tick(100);
+        const error = await rejection;
+
+        expect(error).to.be.instanceOf(UserDataDisconnectedError);
+        expect(error.action).to.equal('read');
+      });
+    });
+
+    it('should use the configured timeout', async () => {
+      const timeout = UserData.timeout;
+      UserData.timeout = 50;
+
+      const rejection = UserData.read('value').then(() => null, error => error);
+      UserData.timeout = timeout;
+
+      clock.tick(50);
+      const error = await rejection;
+
+      expect(error).to.be.instanceOf(UserDataTimeoutError);
+      expect(container.send.callCount).to.equal(1);
+    });
+  });
 });
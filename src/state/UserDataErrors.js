@@ -0,0 +1,54 @@
+/**
+ * The error a UserData request rejects with when the container doesn't respond in time.
+ * @class UserDataTimeoutError
+ * @extends Error
+ * @property {string} type the Bellhop message type of the request
+ * @property {string} key the name of the data requested
+ * @property {number} requestId the id of the request
+ * @property {number} attempts how many times the request was sent
+ * @property {number} timeout the time in milliseconds the request waited
+ */
+export class UserDataTimeoutError extends Error {
+  /**
+   * Creates a new UserDataTimeoutError.
+   * @param {object} details
+   * @param {string} details.type
+   * @param {string} details.key
+   * @param {number} details.requestId
+   * @param {number} details.attempts
+   * @param {number} details.timeout
+   */
+  constructor({ type, key, requestId, attempts, timeout }) {
+    super(
+      `No response to ${type} for ${key} after ${timeout}ms (sent ${attempts} times)`
+    );
+    this.name = 'UserDataTimeoutError';
+    this.type = type;
+    this.key = key;
+    this.requestId = requestId;
+    this.attempts = attempts;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The error a UserData request rejects with when Bellhop isn't connected, and there is no fallback storage to use
+ * instead.
+ * @class UserDataDisconnectedError
+ * @extends Error
+ * @property {string} action the action that failed, read, write or delete
+ * @property {string} key the name of the data
+ */
+export class UserDataDisconnectedError extends Error {
+  /**
+   * Creates a new UserDataDisconnectedError.
+   * @param {string} action
+   * @param {string} key
+   */
+  constructor(action, key) {
+    super(`Could not complete ${action} action for ${key}. Bellhop is not connected.`);
+    this.name = 'UserDataDisconnectedError';
+    this.action = action;
+    this.key = key;
+  }
+}
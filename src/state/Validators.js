@@ -0,0 +1,145 @@
+/**
+ * @typedef {object} ValidationResult
+ * @property {boolean} valid Whether the value can be used at all
+ * @property {*} value The value to use, which may be clamped or converted from the value given
+ * @property {string} [message] Why the value is invalid, or how it was corrected
+ */
+
+/**
+ * Validator factories for Property values. Each one returns a function taking a value and returning a
+ * ValidationResult, which can be passed to a Property or used as the validator of an Application feature.
+ */
+export const Validators = {
+  /**
+   * Accepts numbers, and strings holding a number. Values outside of the range are clamped to it, or rejected if clamp
+   * is false.
+   * @param {object} [options={}]
+   * @param {number} [options.min=-Infinity] The smallest value allowed
+   * @param {number} [options.max=Infinity] The largest value allowed
+   * @param {boolean} [options.clamp=true] Whether values outside of the range are clamped or rejected
+   * @return {function(*): ValidationResult}
+   */
+  number({ min = -Infinity, max = Infinity, clamp = true } = {}) {
+    return value => {
+      const number =
+        'string' === typeof value && value.trim() !== '' ? Number(value) : value;
+
+      if ('number' !== typeof number || !isFinite(number)) {
+        return { valid: false, value, message: 'expected a number' };
+      }
+
+      if (number >= min && number <= max) {
+        return {
+          valid: true,
+          value: number,
+          message: number !== value ? 'converted to a number' : undefined
+        };
+      }
+
+      const range = `between ${min} and ${max}`;
+      if (!clamp) {
+        return { valid: false, value, message: `expected a number ${range}` };
+      }
+
+      return {
+        valid: true,
+        value: Math.min(max, Math.max(min, number)),
+        message: `clamped to ${range}`
+      };
+    };
+  },
+
+  /**
+   * Accepts booleans, and the strings 'true' and 'false'.
+   * @return {function(*): ValidationResult}
+   */
+  boolean() {
+    return value => {
+      if ('boolean' === typeof value) {
+        return { valid: true, value };
+      }
+
+      if ('true' === value || 'false' === value) {
+        return {
+          valid: true,
+          value: 'true' === value,
+          message: 'converted to a boolean'
+        };
+      }
+
+      return { valid: false, value, message: 'expected a boolean' };
+    };
+  },
+
+  /**
+   * Accepts strings.
+   * @return {function(*): ValidationResult}
+   */
+  string() {
+    return value =>
+      'string' === typeof value
+        ? { valid: true, value }
+        : { valid: false, value, message: 'expected a string' };
+  },
+
+  /**
+   * Accepts only the values given.
+   * @param {Array<*>} values The allowed values
+   * @return {function(*): ValidationResult}
+   */
+  oneOf(values) {
+    return value =>
+      values.indexOf(value) !== -1
+        ? { valid: true, value }
+        : {
+          valid: false,
+          value,
+          message: `expected one of ${values.join(', ')}`
+        };
+  },
+
+  /**
+   * Accepts objects whose fields pass their validators. Fields that are undefined, or that have no validator, are
+   * kept as they are. If any field is corrected by its validator, a copy of the object with the corrected fields is
+   * used.
+   * @param {Object<string, function(*): (ValidationResult | boolean)>} fields The validator of each field
+   * @return {function(*): ValidationResult}
+   */
+  shape(fields) {
+    return value => {
+      if (!value || 'object' !== typeof value || Array.isArray(value)) {
+        return { valid: false, value, message: 'expected an object' };
+      }
+
+      let corrected = null;
+      const messages = [];
+
+      for (const key in fields) {
+        if (undefined === value[key]) {
+          continue;
+        }
+
+        let result = fields[key](value[key]);
+
+        // field validators can also be simple predicates
+        if ('boolean' === typeof result) {
+          result = { valid: result, value: value[key], message: 'is invalid' };
+        }
+
+        if (!result.valid) {
+          return { valid: false, value, message: `${key} ${result.message}` };
+        }
+
+        if (result.value !== value[key]) {
+          corrected = corrected || Object.assign({}, value);
+          corrected[key] = result.value;
+          messages.push(`${key} ${result.message}`);
+        }
+      }
+
+      return corrected
+        ? { valid: true, value: corrected, message: messages.join(', ') }
+        : { valid: true, value };
+    };
+  }
+};
@@ -0,0 +1,84 @@
+import { Validators } from './Validators';
+
+describe('Validators', () => {
+  describe('number', () => {
+    const volume = Validators.number({ min: 0, max: 1 });
+
+    it('should accept numbers in the range', () => {
+      expect(volume(0.5)).to.deep.include({ valid: true, value: 0.5 });
+    });
+
+    it('should clamp numbers outside of the range', () => {
+      expect(volume(2)).to.deep.include({ valid: true, value: 1 });
+      expect(volume(-1)).to.deep.include({ valid: true, value: 0 });
+    });
+
+    it('should reject numbers outside of the range if not clamping', () => {
+      const strict = Validators.number({ min: 0, max: 1, clamp: false });
+      expect(strict(2).valid).to.be.false;
+    });
+
+    it('should convert strings holding a number', () => {
+      expect(volume('0.25')).to.deep.include({ valid: true, value: 0.25 });
+    });
+
+    it('should reject anything else', () => {
+      expect(volume('loud').valid).to.be.false;
+      expect(volume('').valid).to.be.false;
+      expect(volume(NaN).valid).to.be.false;
+      expect(volume(null).valid).to.be.false;
+    });
+  });
+
+  describe('boolean', () => {
+    it('should accept booleans and convert boolean strings', () => {
+      const validator = Validators.boolean();
+
+      expect(validator(false)).to.deep.include({ valid: true, value: false });
+      expect(validator('true')).to.deep.include({ valid: true, value: true });
+      expect(validator(1).valid).to.be.false;
+    });
+  });
+
+  describe('oneOf', () => {
+    it('should only accept the values given', () => {
+      const validator = Validators.oneOf(['top', 'bottom']);
+
+      expect(validator('top').valid).to.be.true;
+      expect(validator('left').valid).to.be.false;
+    });
+  });
+
+  describe('shape', () => {
+    const validator = Validators.shape({
+      size: Validators.string(),
+      opacity: Validators.number({ min: 0, max: 1 })
+    });
+
+    it('should accept objects whose fields are valid', () => {
+      const value = { size: 'md', opacity: 1, extra: true };
+      expect(validator(value).value).to.equal(value);
+    });
+
+    it('should reject objects with an invalid field', () => {
+      const result = validator({ size: 12 });
+
+      expect(result.valid).to.be.false;
+      expect(result.message).to.contain('size');
+    });
+
+    it('should correct fields in a copy of the object', () => {
+      const value = { size: 'md', opacity: 3 };
+      const result = validator(value);
+
+      expect(result.value).to.deep.equal({ size: 'md', opacity: 1 });
+      expect(value.opacity).to.equal(3);
+    });
+
+    it('should reject values that are not objects', () => {
+      expect(validator('md').valid).to.be.false;
+      expect(validator(null).valid).to.be.false;
+      expect(validator([]).valid).to.be.false;
+    });
+  });
+});
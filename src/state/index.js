@@ -1,2 +1,10 @@
 export * from './Property';
 export * from './UserData';
+export * from './Validators';
+export * from './StateSnapshot';
+export * from './PlayerSettings';
+export * from './StorageAdapters';
+export * from './UserDataErrors';
+export * from './SaveGame';
+export * from './SaveGameErrors';
+export * from './DifficultyProfile';
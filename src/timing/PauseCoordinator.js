@@ -0,0 +1,229 @@
+import { Property } from '../state/Property';
+import { Debugger } from '../debug/Debugger';
+
+/**
+ * The reasons the PauseCoordinator of an Application pauses for on its own.
+ */
+export const PAUSE_REASON = {
+  STATE: 'state',
+  BLUR: 'blur'
+};
+
+/**
+ * Pauses and resumes every system registered with it, such as a CaptionPlayer, IdleTimer, SpeechSynth or game ticker.
+ * Systems are paused while there is any reason to be, and each reason is counted, so that resuming one reason doesn't
+ * resume systems paused for another, such as a menu and the window losing focus.
+ * @class PauseCoordinator
+ * @property {Property<boolean>} paused whether the registered systems are paused
+ * @property {Array<{ pause: function, resume: function }>} systems the registered systems
+ */
+export class PauseCoordinator {
+  /**
+   * Creates a new PauseCoordinator.
+   */
+  constructor() {
+    this.paused = new Property(false);
+    this.systems = [];
+
+    // how many times each reason has paused, by reason
+    this.reasons = new Map();
+
+    this.app = null;
+    this.pauseOnBlur = false;
+    this.onPauseState = null;
+    this.onWindowBlur = () => this.setReason(PAUSE_REASON.BLUR, true);
+    this.onWindowFocus = () => this.setReason(PAUSE_REASON.BLUR, false);
+  }
+
+  /**
+   * The reasons the systems are paused for.
+   * @type {string[]}
+   * @memberof PauseCoordinator
+   */
+  get pauseReasons() {
+    return Array.from(this.reasons.keys());
+  }
+
+  /**
+   * Adds a system to pause and resume. A system registered while paused is paused straight away.
+   * @param {{ pause: function, resume: function }} system
+   * @memberof PauseCoordinator
+   */
+  register(system) {
+    if (!system || 'function' !== typeof system.pause || 'function' !== typeof system.resume) {
+      Debugger.log(
+        'warn',
+        '[PauseCoordinator] Systems need pause() and resume() methods:',
+        system
+      );
+      return;
+    }
+
+    if (this.systems.indexOf(system) !== -1) {
+      return;
+    }
+
+    this.systems.push(system);
+    this.followPauseState();
+
+    if (this.paused.value) {
+      system.pause();
+    }
+  }
+
+  /**
+   * Stops pausing and resuming a system. The system is left as it is.
+   * @param {{ pause: function, resume: function }} system
+   * @memberof PauseCoordinator
+   */
+  unregister(system) {
+    this.systems = this.systems.filter(registered => registered !== system);
+  }
+
+  /**
+   * Pauses for a reason. Each call needs a matching call to resume() before the systems are resumed.
+   * @param {string} [reason='game'] Why the game is paused, such as menu
+   * @memberof PauseCoordinator
+   */
+  pause(reason = 'game') {
+    this.reasons.set(reason, (this.reasons.get(reason) || 0) + 1);
+    this.update();
+  }
+
+  /**
+   * Undoes one call to pause() for a reason. The systems resume once there is no reason left to be paused.
+   * @param {string} [reason='game']
+   * @memberof PauseCoordinator
+   */
+  resume(reason = 'game') {
+    const count = this.reasons.get(reason);
+
+    if (!count) {
+      Debugger.log('warn', `[PauseCoordinator] Not paused for ${reason}`);
+      return;
+    }
+
+    if (count > 1) {
+      this.reasons.set(reason, count - 1);
+    } else {
+      this.reasons.delete(reason);
+    }
+    this.update();
+  }
+
+  /**
+   * Whether there is a pause for a reason.
+   * @param {string} reason
+   * @return {boolean}
+   * @memberof PauseCoordinator
+   */
+  isPausedFor(reason) {
+    return this.reasons.has(reason);
+  }
+
+  /**
+   * Pauses while an application's pause state is true, and, if pauseOnBlur is true, while the window doesn't have
+   * focus. The pause state is followed once the first system is registered, since until then nothing handles it.
+   * @param {Application} app
+   * @param {object} [options={}]
+   * @param {boolean} [options.pauseOnBlur=true] Whether to pause while the window doesn't have focus.
+   * @memberof PauseCoordinator
+   */
+  attach(app, { pauseOnBlur = true } = {}) {
+    this.detach();
+
+    this.app = app;
+    this.pauseOnBlur = pauseOnBlur;
+
+    if (pauseOnBlur) {
+      window.addEventListener('blur', this.onWindowBlur);
+      window.addEventListener('focus', this.onWindowFocus);
+    }
+
+    if (this.systems.length) {
+      this.followPauseState();
+    }
+  }
+
+  /**
+   * Stops following the application attached with attach(), removing the pauses it caused.
+   * @memberof PauseCoordinator
+   */
+  detach() {
+    if (!this.app) {
+      return;
+    }
+
+    if (this.onPauseState) {
+      this.app.state.pause.unsubscribe(this.onPauseState);
+      this.onPauseState = null;
+    }
+
+    window.removeEventListener('blur', this.onWindowBlur);
+    window.removeEventListener('focus', this.onWindowFocus);
+
+    this.app = null;
+    this.reasons.delete(PAUSE_REASON.STATE);
+    this.reasons.delete(PAUSE_REASON.BLUR);
+    this.update();
+  }
+
+  /**
+   * Starts following the pause state of the attached application, if not already.
+   * @private
+   * @memberof PauseCoordinator
+   */
+  followPauseState() {
+    if (!this.app || this.onPauseState) {
+      return;
+    }
+
+    this.onPauseState = paused => this.setReason(PAUSE_REASON.STATE, paused);
+    this.app.state.pause.subscribe(this.onPauseState);
+    this.setReason(PAUSE_REASON.STATE, this.app.state.pause.value);
+  }
+
+  /**
+   * Adds or removes a reason the coordinator pauses for on its own. These reasons are never counted more than once.
+   * @param {string} reason
+   * @param {boolean} active
+   * @private
+   * @memberof PauseCoordinator
+   */
+  setReason(reason, active) {
+    if (!!active === this.reasons.has(reason)) {
+      return;
+    }
+
+    if (active) {
+      this.reasons.set(reason, 1);
+    } else {
+      this.reasons.delete(reason);
+    }
+    this.update();
+  }
+
+  /**
+   * Pauses or resumes the systems if whether there is a reason to be paused has changed.
+   * @private
+   * @memberof PauseCoordinator
+   */
+  update() {
+    const paused = this.reasons.size > 0;
+
+    if (paused === this.paused.value) {
+      return;
+    }
+
+    const systems = this.systems.slice();
+    for (let i = 0; i < systems.length; i++) {
+      if (paused) {
+        systems[i].pause();
+      } else {
+        systems[i].resume();
+      }
+    }
+
+    this.paused.value = paused;
+  }
+}
@@ -0,0 +1,138 @@
+import { PauseCoordinator, PAUSE_REASON } from './PauseCoordinator';
+import { Application } from '../Application';
+import { newEvent } from '../debug';
+import Sinon from 'sinon';
+
+const createSystem = () => ({ pause: Sinon.fake(), resume: Sinon.fake() });
+
+describe('PauseCoordinator', () => {
+  let coordinator;
+  let system;
+
+  beforeEach(() => {
+    coordinator = new PauseCoordinator();
+    system = createSystem();
+    coordinator.register(system);
+  });
+
+  afterEach(() => {
+    coordinator.detach();
+  });
+
+  it('should pause and resume registered systems', () => {
+    coordinator.pause();
+    expect(system.pause.callCount).to.equal(1);
+    expect(coordinator.paused.value).to.be.true;
+
+    coordinator.resume();
+    expect(system.resume.callCount).to.equal(1);
+    expect(coordinator.paused.value).to.be.false;
+  });
+
+  it('should stay paused until every reason is resumed', () => {
+    coordinator.pause('menu');
+    coordinator.pause('menu');
+    coordinator.pause('dialog');
+
+    coordinator.resume('menu');
+    coordinator.resume('dialog');
+    expect(coordinator.paused.value).to.be.true;
+    expect(coordinator.pauseReasons).to.deep.equal(['menu']);
+
+    coordinator.resume('menu');
+    expect(coordinator.paused.value).to.be.false;
+    expect(system.pause.callCount).to.equal(1);
+    expect(system.resume.callCount).to.equal(1);
+  });
+
+  it('should ignore resuming a reason that was not paused', () => {
+    coordinator.pause('menu');
+    coordinator.resume('dialog');
+
+    expect(coordinator.paused.value).to.be.true;
+  });
+
+  it('should pause systems registered while paused', () => {
+    coordinator.pause();
+    const late = createSystem();
+    coordinator.register(late);
+
+    expect(late.pause.callCount).to.equal(1);
+  });
+
+  it('should not register systems without pause and resume methods', () => {
+    coordinator.register({ pause: () => {} });
+    expect(coordinator.systems.length).to.equal(1);
+  });
+
+  it('should not pause unregistered systems', () => {
+    coordinator.unregister(system);
+    coordinator.pause();
+
+    expect(system.pause.callCount).to.equal(0);
+  });
+
+  describe('attached to an application', () => {
+    let app;
+
+    beforeEach(() => {
+      app = new Application({ pauseOnBlur: false });
+      coordinator.attach(app);
+    });
+
+    afterEach(() => {
+      app.destroy();
+    });
+
+    it('should pause with the pause state', () => {
+      app.state.pause.value = true;
+      expect(coordinator.isPausedFor(PAUSE_REASON.STATE)).to.be.true;
+      expect(system.pause.callCount).to.equal(1);
+
+      app.state.pause.value = false;
+      expect(system.resume.callCount).to.equal(1);
+    });
+
+    it('should keep a blur pause when the pause state is cleared', () => {
+      window.dispatchEvent(newEvent('blur'));
+      app.state.pause.value = true;
+      app.state.pause.value = false;
+
+      expect(coordinator.paused.value).to.be.true;
+
+      window.dispatchEvent(newEvent('focus'));
+      expect(coordinator.paused.value).to.be.false;
+    });
+
+    it('should not count as a game listener of the pause state', () => {
+      coordinator.detach();
+      app.pauseCoordinator.register(createSystem());
+
+      expect(app.state.pause.hasListeners).to.be.true;
+      expect(app.validateListeners()).to.deep.equal([
+        { feature: null, state: 'pause', missing: 'listener' }
+      ]);
+
+      app.state.pause.subscribe(() => {});
+      expect(app.validateListeners()).to.deep.equal([]);
+    });
+
+    it('should remove the pauses of the application when detached', () => {
+      app.state.pause.value = true;
+      coordinator.detach();
+
+      expect(coordinator.paused.value).to.be.false;
+      expect(app.state.pause.hasListeners).to.be.false;
+    });
+  });
+
+  it('should be created by every application', () => {
+    const app = new Application();
+    const tickers = createSystem();
+    app.pauseCoordinator.register(tickers);
+
+    app.state.pause.value = true;
+    expect(tickers.pause.callCount).to.equal(1);
+    app.destroy();
+  });
+});
@@ -0,0 +1,354 @@
+import { Debugger } from '../debug/Debugger';
+
+let nextTimerId = 1;
+
+/**
+ * Drives a game's updates with scaled game time and unscaled real time. Game time runs at the speed set by the
+ * speedScale state of an attached Application, and the timers started with after() and every() count game time, lasting
+ * longer or shorter with its timersScale state. Nothing advances while the ticker is paused, which an attached
+ * Application's pauseCoordinator does along with the rest of the game.
+ * @class Ticker
+ * @property {number} time the game time passed, in seconds
+ * @property {number} realTime the real time passed while not paused, in seconds
+ * @property {number} deltaTime the game time passed in the last tick, in seconds
+ * @property {number} realDeltaTime the real time passed in the last tick, in seconds
+ * @property {number} speedScale how many times faster than real time the game time runs
+ * @property {number} timersScale how many times longer than their duration the timers last
+ * @property {boolean} paused whether the ticker is paused
+ */
+export class Ticker {
+  /**
+   * Creates a new Ticker.
+   * @param {object} [options={}]
+   * @param {number} [options.minScale=0.5] The speedScale and timersScale for a state value of 0.
+   * @param {number} [options.maxScale=2] The speedScale and timersScale for a state value of 1. A state value of 0.5 is
+   * always normal speed.
+   * @param {number} [options.maxDeltaTime=0.25] The most real time in seconds a tick can advance, so the game doesn't
+   * jump ahead after the page was hidden.
+   */
+  constructor({ minScale = 0.5, maxScale = 2, maxDeltaTime = 0.25 } = {}) {
+    this.minScale = minScale;
+    this.maxScale = maxScale;
+    this.maxDeltaTime = maxDeltaTime;
+
+    this.time = 0;
+    this.realTime = 0;
+    this.deltaTime = 0;
+    this.realDeltaTime = 0;
+    this.speedScale = 1;
+    this.timersScale = 1;
+    this.paused = false;
+
+    this.listeners = [];
+    this.timers = [];
+    this.systems = [];
+
+    this.frame = null;
+    this.lastFrameTime = null;
+    this.onFrame = this.onFrame.bind(this);
+
+    this.app = null;
+    this.onSpeedScale = value => (this.speedScale = this.toScale(value));
+    this.onTimersScale = value => (this.timersScale = this.toScale(value));
+  }
+
+  /**
+   * Converts a speedScale or timersScale state value, between 0 and 1, to a scale between minScale and maxScale.
+   * @param {number} value
+   * @return {number}
+   * @memberof Ticker
+   */
+  toScale(value) {
+    if ('number' !== typeof value) {
+      return 1;
+    }
+
+    return this.minScale * Math.pow(this.maxScale / this.minScale, value);
+  }
+
+  /**
+   * Follows the speedScale and timersScale state of an application, and registers with its pauseCoordinator.
+   * @param {Application} app
+   * @memberof Ticker
+   */
+  attach(app) {
+    this.detach();
+    this.app = app;
+
+    app.state.speedScale.subscribe(this.onSpeedScale);
+    app.state.timersScale.subscribe(this.onTimersScale);
+    this.onSpeedScale(app.state.speedScale.value);
+    this.onTimersScale(app.state.timersScale.value);
+
+    app.pauseCoordinator.register(this);
+  }
+
+  /**
+   * Stops following the application attached with attach(), going back to normal speed.
+   * @memberof Ticker
+   */
+  detach() {
+    if (!this.app) {
+      return;
+    }
+
+    this.app.state.speedScale.unsubscribe(this.onSpeedScale);
+    this.app.state.timersScale.unsubscribe(this.onTimersScale);
+    this.app.pauseCoordinator.unregister(this);
+    this.app = null;
+
+    this.speedScale = 1;
+    this.timersScale = 1;
+    this.resume();
+  }
+
+  /**
+   * Starts ticking every animation frame. Games with their own loop can call tick() from it instead.
+   * @memberof Ticker
+   */
+  start() {
+    if (null !== this.frame) {
+      return;
+    }
+
+    this.lastFrameTime = null;
+    this.frame = requestAnimationFrame(this.onFrame);
+  }
+
+  /**
+   * Stops ticking every animation frame.
+   * @memberof Ticker
+   */
+  stop() {
+    if (null !== this.frame) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Stops game time, real time and the timers until resume() is called.
+   * @memberof Ticker
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Resumes a paused ticker. The time spent paused isn't counted.
+   * @memberof Ticker
+   */
+  resume() {
+    this.paused = false;
+    this.lastFrameTime = null;
+  }
+
+  /**
+   * Advances time, fires the timers that are due, then calls the listeners. Does nothing while paused.
+   * @param {number} realDeltaTime The real time passed since the last tick, in seconds.
+   * @memberof Ticker
+   */
+  tick(realDeltaTime) {
+    if (this.paused) {
+      return;
+    }
+
+    this.realDeltaTime = Math.max(0, Math.min(realDeltaTime, this.maxDeltaTime));
+    this.deltaTime = this.realDeltaTime * this.speedScale;
+    this.realTime += this.realDeltaTime;
+    this.time += this.deltaTime;
+
+    this.updateTimers(this.deltaTime * 1000);
+
+    const listeners = this.listeners.slice();
+    for (let i = 0; i < listeners.length; i++) {
+      const { callback, realTime } = listeners[i];
+      callback(realTime ? this.realDeltaTime : this.deltaTime, this);
+    }
+  }
+
+  /**
+   * Adds a function to call every tick.
+   * @param {function(number, Ticker)} callback Called with the time passed in seconds, and the ticker.
+   * @param {object} [options={}]
+   * @param {boolean} [options.realTime=false] Whether the callback is given real time instead of game time.
+   * @memberof Ticker
+   */
+  subscribe(callback, { realTime = false } = {}) {
+    this.listeners.push({ callback, realTime });
+  }
+
+  /**
+   * Removes a function added with subscribe().
+   * @param {function(number, Ticker)} callback
+   * @memberof Ticker
+   */
+  unsubscribe(callback) {
+    this.listeners = this.listeners.filter(
+      listener => listener.callback !== callback
+    );
+  }
+
+  /**
+   * Updates a Controller every tick, so its buttons act at the speed of the game.
+   * @param {Controller} controller
+   * @memberof Ticker
+   */
+  addController(controller) {
+    this.addSystem(controller, () => controller.update(), false);
+  }
+
+  /**
+   * Updates a CaptionPlayer every tick with real time, so captions keep in time with the audio they go with.
+   * @param {CaptionPlayer} captionPlayer
+   * @memberof Ticker
+   */
+  addCaptionPlayer(captionPlayer) {
+    this.addSystem(
+      captionPlayer,
+      deltaTime => captionPlayer.update(deltaTime),
+      true
+    );
+  }
+
+  /**
+   * Stops updating a Controller or CaptionPlayer.
+   * @param {Controller | CaptionPlayer} system
+   * @memberof Ticker
+   */
+  removeSystem(system) {
+    const added = this.systems.find(entry => entry.system === system);
+
+    if (added) {
+      this.unsubscribe(added.callback);
+      this.systems.splice(this.systems.indexOf(added), 1);
+    }
+  }
+
+  /**
+   * Calls a function once, after a time in game time, lengthened or shortened by the timersScale.
+   * @param {number} duration Time in milliseconds.
+   * @param {function} callback
+   * @return {number} The id of the timer, for cancel().
+   * @memberof Ticker
+   */
+  after(duration, callback) {
+    return this.addTimer(duration, callback, false);
+  }
+
+  /**
+   * Calls a function repeatedly, every time in game time, lengthened or shortened by the timersScale.
+   * @param {number} duration Time in milliseconds between calls. Must be greater than 0.
+   * @param {function} callback
+   * @return {number} The id of the timer, for cancel(), or 0 if the duration is invalid.
+   * @memberof Ticker
+   */
+  every(duration, callback) {
+    if (!(duration > 0)) {
+      Debugger.log('warn', '[Ticker.every()] duration must be greater than 0');
+      return 0;
+    }
+
+    return this.addTimer(duration, callback, true);
+  }
+
+  /**
+   * Stops a timer started with after() or every().
+   * @param {number} id
+   * @memberof Ticker
+   */
+  cancel(id) {
+    this.timers = this.timers.filter(timer => timer.id !== id);
+  }
+
+  /**
+   * Stops ticking, cancels every timer, removes every listener and detaches from the application.
+   * @memberof Ticker
+   */
+  destroy() {
+    this.stop();
+    this.detach();
+    this.timers.length = 0;
+    this.listeners.length = 0;
+    this.systems.length = 0;
+  }
+
+  /**
+   * Ticks with the time since the last animation frame.
+   * @param {number} frameTime The time of the frame, in milliseconds.
+   * @private
+   * @memberof Ticker
+   */
+  onFrame(frameTime) {
+    this.frame = requestAnimationFrame(this.onFrame);
+
+    if (null !== this.lastFrameTime) {
+      this.tick((frameTime - this.lastFrameTime) / 1000);
+    }
+    this.lastFrameTime = frameTime;
+  }
+
+  /**
+   * Updates a system every tick.
+   * @param {Controller | CaptionPlayer} system
+   * @param {function(number)} callback
+   * @param {boolean} realTime
+   * @private
+   * @memberof Ticker
+   */
+  addSystem(system, callback, realTime) {
+    this.removeSystem(system);
+    this.systems.push({ system, callback });
+    this.subscribe(callback, { realTime });
+  }
+
+  /**
+   * Starts a timer.
+   * @param {number} duration
+   * @param {function} callback
+   * @param {boolean} repeat
+   * @return {number}
+   * @private
+   * @memberof Ticker
+   */
+  addTimer(duration, callback, repeat) {
+    const id = nextTimerId++;
+    this.timers.push({ id, duration, callback, repeat, elapsed: 0 });
+    return id;
+  }
+
+  /**
+   * Advances every timer, calling the ones that are due. The timersScale is applied as time passes, so changing it
+   * affects the timers already started.
+   * @param {number} elapsed Game time passed in milliseconds.
+   * @private
+   * @memberof Ticker
+   */
+  updateTimers(elapsed) {
+    // timers started or cancelled by a callback take effect from the next tick
+    const timers = this.timers.slice();
+
+    for (let i = 0; i < timers.length; i++) {
+      const timer = timers[i];
+
+      if (this.timers.indexOf(timer) === -1) {
+        continue;
+      }
+
+      timer.elapsed += elapsed;
+      const length = timer.duration * this.timersScale;
+
+      if (timer.elapsed < length) {
+        continue;
+      }
+
+      if (timer.repeat) {
+        timer.elapsed -= length;
+      } else {
+        this.cancel(timer.id);
+      }
+
+      timer.callback();
+    }
+  }
+}
@@ -0,0 +1,187 @@
+import { Ticker } from './Ticker';
+import { Application } from '../Application';
+import Sinon from 'sinon';
+
+describe('Ticker', () => {
+  let ticker;
+
+  beforeEach(() => {
+    ticker = new Ticker();
+  });
+
+  afterEach(() => {
+    ticker.destroy();
+  });
+
+  describe('tick', () => {
+    it('should advance game time and real time', () => {
+      ticker.speedScale = 2;
+      ticker.tick(0.1);
+
+      expect(ticker.realTime).to.equal(0.1);
+      expect(ticker.time).to.equal(0.2);
+      expect(ticker.deltaTime).to.equal(0.2);
+    });
+
+    it('should limit how far a tick advances', () => {
+      ticker.tick(5);
+      expect(ticker.realTime).to.equal(0.25);
+    });
+
+    it('should call listeners with game time or real time', () => {
+      const game = Sinon.fake();
+      const real = Sinon.fake();
+      ticker.speedScale = 2;
+
+      ticker.subscribe(game);
+      ticker.subscribe(real, { realTime: true });
+      ticker.tick(0.1);
+      ticker.unsubscribe(game);
+      ticker.tick(0.1);
+
+      expect(game.callCount).to.equal(1);
+      expect(game.args[0][0]).to.equal(0.2);
+      expect(real.args[0][0]).to.equal(0.1);
+    });
+
+    it('should not advance while paused', () => {
+      const listener = Sinon.fake();
+      ticker.subscribe(listener);
+
+      ticker.pause();
+      ticker.tick(0.1);
+      ticker.resume();
+      ticker.tick(0.1);
+
+      expect(ticker.realTime).to.equal(0.1);
+      expect(listener.callCount).to.equal(1);
+    });
+  });
+
+  describe('timers', () => {
+    it('should call after() once the time has passed', () => {
+      const callback = Sinon.fake();
+      ticker.after(150, callback);
+
+      ticker.tick(0.1);
+      expect(callback.callCount).to.equal(0);
+      ticker.tick(0.1);
+      ticker.tick(0.1);
+      expect(callback.callCount).to.equal(1);
+    });
+
+    it('should call every() repeatedly until cancelled', () => {
+      const callback = Sinon.fake();
+      const id = ticker.every(100, callback);
+
+      ticker.tick(0.1);
+      ticker.tick(0.1);
+      ticker.cancel(id);
+      ticker.tick(0.1);
+
+      expect(callback.callCount).to.equal(2);
+    });
+
+    it('should count game time, scaled by the timersScale', () => {
+      const callback = Sinon.fake();
+      ticker.speedScale = 2;
+      ticker.timersScale = 4;
+      // 100ms lasts 400ms of game time, which passes in 200ms of real time
+      ticker.after(100, callback);
+
+      ticker.tick(0.1);
+      expect(callback.callCount).to.equal(0);
+      ticker.tick(0.1);
+      expect(callback.callCount).to.equal(1);
+    });
+
+    it('should not start timers that repeat without a duration', () => {
+      expect(ticker.every(0, () => {})).to.equal(0);
+      expect(ticker.timers.length).to.equal(0);
+    });
+  });
+
+  describe('systems', () => {
+    it('should update controllers with game time and caption players with real time', () => {
+      const controller = { update: Sinon.fake() };
+      const captions = { update: Sinon.fake() };
+      ticker.speedScale = 2;
+
+      ticker.addController(controller);
+      ticker.addCaptionPlayer(captions);
+      ticker.tick(0.1);
+      ticker.removeSystem(controller);
+      ticker.tick(0.1);
+
+      expect(controller.update.callCount).to.equal(1);
+      expect(captions.update.args[0][0]).to.equal(0.1);
+    });
+  });
+
+  describe('animation frames', () => {
+    let raf;
+    let caf;
+
+    beforeEach(() => {
+      raf = window.requestAnimationFrame;
+      caf = window.cancelAnimationFrame;
+      window.requestAnimationFrame = Sinon.fake.returns(1);
+      window.cancelAnimationFrame = Sinon.fake();
+    });
+
+    afterEach(() => {
+      window.requestAnimationFrame = raf;
+      window.cancelAnimationFrame = caf;
+    });
+
+    it('should tick with the time between frames', () => {
+      ticker.start();
+      ticker.onFrame(1000);
+      ticker.onFrame(1100);
+      ticker.stop();
+
+      expect(ticker.realTime).to.be.closeTo(0.1, 0.0001);
+      expect(window.cancelAnimationFrame.calledWith(1)).to.be.true;
+    });
+  });
+
+  describe('attached to an application', () => {
+    let app;
+
+    beforeEach(() => {
+      app = new Application({ pauseOnBlur: false });
+      ticker.attach(app);
+    });
+
+    afterEach(() => {
+      app.destroy();
+    });
+
+    it('should follow the speedScale and timersScale state', () => {
+      app.state.speedScale.value = 1;
+      app.state.timersScale.value = 0;
+
+      expect(ticker.speedScale).to.equal(2);
+      expect(ticker.timersScale).to.equal(0.5);
+
+      app.state.speedScale.value = 0.5;
+      expect(ticker.speedScale).to.equal(1);
+    });
+
+    it('should pause with the application', () => {
+      app.state.pause.value = true;
+      expect(ticker.paused).to.be.true;
+
+      app.state.pause.value = false;
+      expect(ticker.paused).to.be.false;
+    });
+
+    it('should go back to normal speed when detached', () => {
+      app.state.speedScale.value = 1;
+      ticker.detach();
+
+      expect(ticker.speedScale).to.equal(1);
+      expect(app.state.speedScale.hasListeners).to.be.false;
+    });
+  });
+});
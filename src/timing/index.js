@@ -0,0 +1,2 @@
+export * from './PauseCoordinator';
+export * from './Ticker';
@@ -1,5 +1,6 @@
 /// <reference types="bellhop-iframe" />
 import { IHintPlayer } from "./Hint";
+import { PauseCoordinator } from "./Timing";
 
 export type ApplicationFeatures = {
   captions?: boolean,
@@ -27,8 +28,18 @@ export type ApplicationFeatures = {
   inputCount?: boolean
   keyBinding?: boolean,
   colorVision?: boolean,
+  [feature:string]: boolean | undefined
 };
 
+export type FeatureDefinition = {
+  name: string,
+  state?: string,
+  defaultValue?: any,
+  event?: string,
+  validator?: Validator,
+  requiresListener?: boolean
+}
+
 export type CaptionStyle = {
   color: string,
   edge: string,
@@ -43,20 +54,40 @@ export type KeyBinding = {
   [key:string]: string
 }
 
+export type ApplicationPluginEntry = ApplicationPlugin | (new () => ApplicationPlugin) | (() => ApplicationPlugin);
+
 export type ApplicationConfig = {
   features?: ApplicationFeatures,
-  hintPlayer?: IHintPlayer
+  hintPlayer?: IHintPlayer,
+  plugins?: ApplicationPluginEntry[],
+  preloadTimeout?: number,
+  strict?: boolean,
+  customFeatures?: FeatureDefinition[],
+  pauseOnBlur?: boolean
+}
+
+export type ValidationProblem = {
+  feature: string | null,
+  state: string,
+  missing: 'listener' | 'state'
 }
 
 export class Application {
   constructor(config: ApplicationConfig);
-  validateListeners(): void;
+  validateListeners(): ValidationProblem[];
+  validationReport: ValidationProblem[];
+  strict: boolean;
   state: {
     ready: Property<boolean>,
     pause: Property<boolean>,
     captionsMuted: Property<boolean>,
     captionsStyles: Property<CaptionStyle>,
     playOptions: Property<object>,
+    loadProgress: Property<number>,
+    gameEnded: Property<boolean>,
+    endReason: Property<string | null>,
+    progress: Property<number>,
+    checkpoint: Property<string | null>,
     soundVolume: Property<number>,
     musicVolume: Property<number>,
     voVolume: Property<number>,
@@ -80,42 +111,363 @@ export class Application {
   }
   hints: IHintPlayer;
   features: ApplicationFeatures;
+  featureDefinitions: FeatureDefinition[];
+  setStateDefaults(): void;
   container: BellhopIframe.Bellhop;
+  protocol: ContainerProtocol;
+  pauseCoordinator: PauseCoordinator;
+  plugins: ApplicationPlugin[];
+  preloadTimeout: number;
+  destroyed?: boolean;
   setupPlugins(): Promise<void>;
+  destroy(): void;
   getPlugin(name: string): ApplicationPlugin | undefined
-  static _plugins: ApplicationPlugin[];
+  endGame(reason?: string): boolean;
+  reportProgress(percent: number, checkpoint?: string): boolean;
+  requestRestart(): boolean;
+  requestClose(): boolean;
+  static _plugins: ApplicationPluginEntry[];
   static getPlugin(name: string): ApplicationPlugin | undefined
-  static uses(plugin: ApplicationPlugin): void
+  static uses(plugin: ApplicationPluginEntry): void
+  static sortPlugins(plugins: ApplicationPlugin[]): ApplicationPlugin[]
 }
 
 export interface ApplicationPluginOptions {
   name: string;
+  required?: string[];
+  optional?: string[];
+  preloadTimeout?: number;
 }
 
 export class ApplicationPlugin {
   constructor(options: ApplicationPluginOptions)
   name: string;
+  required: string[];
+  optional: string[];
+  preloadTimeout?: number;
   start(app: Application): void;
   preload(app: Application): Promise<any>;
   init(app: Application): void;
+  destroy(app: Application): void;
+}
+
+
+export interface StatePersistencePluginOptions {
+  properties?: string[];
+  key?: string;
+  connectTimeout?: number;
+  saveDelay?: number;
+}
+
+export class StatePersistencePlugin extends ApplicationPlugin {
+  constructor(options?: StatePersistencePluginOptions);
+  properties: string[];
+  key: string;
+  connectTimeout: number;
+  saveDelay: number;
+  values: { [key: string]: any };
+  load(): Promise<object>;
+  save(): Promise<any>;
 }
 
+export type TrackingEvent = {
+  name: string,
+  data: object,
+  sessionId: string,
+  gameId: string | null,
+  timestamp: number,
+  sequence: number
+};
+
+export interface TrackingTransport {
+  ready: boolean;
+  send(events: TrackingEvent[]): Promise<any>;
+}
+
+export interface TrackingPluginOptions {
+  transport?: TrackingTransport;
+  gameId?: string;
+  batchSize?: number;
+  flushInterval?: number;
+  maxQueueSize?: number;
+  automaticEvents?: boolean;
+  drainTimeout?: number;
+}
+
+export class TrackingPlugin extends ApplicationPlugin {
+  constructor(options?: TrackingPluginOptions);
+  transport: TrackingTransport;
+  gameId: string | null;
+  batchSize: number;
+  flushInterval: number;
+  maxQueueSize: number;
+  automaticEvents: boolean;
+  drainTimeout: number;
+  sessionId: string;
+  queue: TrackingEvent[];
+  track(name: string, data?: object): boolean;
+  flush(): Promise<void>;
+  destroy(app: Application): Promise<void>;
+}
+
+export class ContainerTransport implements TrackingTransport {
+  constructor(options?: { protocol?: ContainerProtocol });
+  protocol: ContainerProtocol;
+  readonly ready: boolean;
+  send(events: TrackingEvent[]): Promise<void>;
+}
+
+export class ConsoleTransport implements TrackingTransport {
+  constructor(options?: { logger?: { log(...args: any[]): void } });
+  ready: boolean;
+  send(events: TrackingEvent[]): Promise<void>;
+}
+
+export class MemoryTransport implements TrackingTransport {
+  events: TrackingEvent[];
+  batches: number;
+  ready: boolean;
+  send(events: TrackingEvent[]): Promise<void>;
+  eventsNamed(name: string): TrackingEvent[];
+  clear(): void;
+}
 
 export type PropertyChangeListener<T> = (value: T, previousValue: T) => void;
 
+export type ValidationResult = {
+  valid: boolean,
+  value: any,
+  message?: string
+}
+
+export type Validator = (value: any) => ValidationResult | boolean;
+
+export const Validators: {
+  number(options?: { min?: number, max?: number, clamp?: boolean }): Validator;
+  boolean(): Validator;
+  string(): Validator;
+  oneOf(values: any[]): Validator;
+  shape(fields: { [key: string]: Validator }): Validator;
+};
+
 export class Property<T> {
-  constructor(initialValue: T, alwaysNotify?: boolean);
+  constructor(initialValue: T, alwaysNotify?: boolean, validator?: Validator);
   private _value: T;
   private listeners: PropertyChangeListener<T>[];
   value: T;
-  notifyChange(): void;
+  validator: Validator | null;
+  validate(value: any): ValidationResult;
+  notifyChange(prevValue?: T): void;
   subscribe(callback: PropertyChangeListener<T>): void;
   unsubscribe(callback: PropertyChangeListener<T>): void;
   hasListeners(): boolean;
+  map<U>(fn: (value: T) => U): ComputedProperty<U>;
+  filter(predicate: (value: T) => boolean): ComputedProperty<T | undefined>;
+  static batch<R>(fn: () => R): R;
+  static computed<U>(dependencies: Property<any>[], fn: (...values: any[]) => U): ComputedProperty<U>;
+  static combine(properties: Property<any>[]): ComputedProperty<any[]>;
+  static combine(properties: { [key: string]: Property<any> }): ComputedProperty<{ [key: string]: any }>;
+}
+
+export class ComputedProperty<T> extends Property<T> {
+  constructor(dependencies: Property<any>[], compute: (...values: any[]) => T);
+  readonly value: T;
+  dependencies: Property<any>[];
+}
+
+export const PLAYER_SETTINGS: string[];
+
+export class StateSnapshot {
+  constructor(properties: { [key: string]: Property<any> }, options?: { keys?: string[], limit?: number });
+  properties: { [key: string]: Property<any> };
+  limit: number;
+  readonly canUndo: boolean;
+  readonly canRedo: boolean;
+  capture(): { [key: string]: any };
+  restore(snapshot: { [key: string]: any }): void;
+  checkpoint(): void;
+  undo(): boolean;
+  redo(): boolean;
+  clearHistory(): void;
+}
+
+export interface DifficultyScale {
+  min?: number;
+  max?: number;
+  curve?: 'linear' | 'stepped' | 'exponential' | ((scaleValue: number, scale: DifficultyScale) => number);
+  steps?: number;
+  round?: 'floor' | 'ceil' | 'round' | number;
+}
+
+export class DifficultyProfile {
+  constructor(properties: { [key: string]: Property<any> }, options?: { scales?: { [key: string]: DifficultyScale }, presets?: { [name: string]: { [key: string]: number } } });
+  properties: { [key: string]: Property<number> };
+  scales: { [key: string]: DifficultyScale };
+  presets: { [name: string]: { [key: string]: number } };
+  toValue(key: string, scaleValue: number): number | undefined;
+  value(key: string): number | undefined;
+  values(): { [key: string]: number };
+  property(key: string): ComputedProperty<number> | undefined;
+  definePreset(name: string, scaleValues: { [key: string]: number }): DifficultyProfile;
+  applyPreset(name: string): boolean;
+  currentPreset(): string | null;
 }
 
 export class UserData {
+  constructor(options: { namespace: string });
+  namespace: string;
+  key(name: string): string;
+  read(name: string): Promise<any>;
+  write(name: string, value: any): Promise<void>;
+  delete(name: string): Promise<void>;
+  keys(): Promise<string[]>;
+  readMany(names: string[]): Promise<{ [name: string]: any }>;
+  writeMany(values: { [name: string]: any }): Promise<void>;
+  clear(): Promise<void>;
   static read(name:string): Promise<any>;
   static write(name:string, value:any):Promise<any>;
   static delete(name:string): void;
+  static sync(): Promise<void>;
+  static timeout: number;
+  static retryDelay: number;
+  static maxRetries: number;
+  static requestIds: boolean;
+  static fallbackStorage: UserDataStorage[];
+  static pendingChanges: Map<string, { value: any, deleted: boolean }>;
+  static syncing: Promise<void> | null;
+  static resolveConflict: (name: string, localValue: any, containerValue: any) => any;
+}
+
+export class UserDataTimeoutError extends Error {
+  constructor(details: { type: string, key: string, requestId: number, attempts: number, timeout: number });
+  type: string;
+  key: string;
+  requestId: number;
+  attempts: number;
+  timeout: number;
+}
+
+export class UserDataDisconnectedError extends Error {
+  constructor(action: string, key: string);
+  action: string;
+  key: string;
+}
+
+export class SaveGameVersionError extends Error {
+  constructor(details: { saveName: string, version: number, currentVersion: number, saved: any });
+  saveName: string;
+  version: number;
+  currentVersion: number;
+  saved: any;
+}
+
+export interface SaveGameOptions<T> {
+  name: string;
+  version?: number;
+  defaults?: T;
+  migrations?: { [version: number]: (data: any) => any };
+  validator?: Validator;
+  storage?: UserDataStorage;
+}
+
+export class SaveGame<T = any> {
+  constructor(options: SaveGameOptions<T>);
+  name: string;
+  version: number;
+  defaults: T;
+  migrations: { [version: number]: (data: any) => any };
+  validator: Validator | null;
+  storage: UserDataStorage;
+  newerSave: SaveGameVersionError | null;
+  migrate(version: number, migration: (data: any) => any): SaveGame<T>;
+  load(): Promise<T>;
+  save(data: T): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export interface UserDataStorage {
+  read(name: string): Promise<any>;
+  write(name: string, value: any): Promise<void>;
+  delete(name: string): Promise<void>;
+}
+
+export class LocalStorageAdapter implements UserDataStorage {
+  constructor(options?: { prefix?: string });
+  prefix: string;
+  read(name: string): Promise<any>;
+  write(name: string, value: any): Promise<void>;
+  delete(name: string): Promise<void>;
+}
+
+export class MemoryStorageAdapter implements UserDataStorage {
+  values: { [name: string]: any };
+  read(name: string): Promise<any>;
+  write(name: string, value: any): Promise<void>;
+  delete(name: string): Promise<void>;
+}
+
+export interface MockContainerOptions {
+  iframe?: HTMLIFrameElement;
+  bellhop?: BellhopIframe.Bellhop;
+  userData?: { [name: string]: any };
+  playOptions?: object;
+}
+
+export class MockContainer {
+  constructor(options?: MockContainerOptions);
+  messages: Array<{ type: string, data: any }>;
+  userData: { [name: string]: any };
+  iframeBellhop?: BellhopIframe.Bellhop;
+  send(type: string, data?: any): void;
+  respond(type: string, responder: (data: any) => any): void;
+  on(type: string, callback: (data: any) => void): void;
+  off(type: string, callback: (data: any) => void): void;
+  messagesOf(type: string): any[];
+  lastMessage(type: string): any;
+  clearMessages(): void;
+  destroy(): void;
+}
+
+export const MESSAGE_DIRECTION: {
+  TO_CONTAINER: 'toContainer',
+  FROM_CONTAINER: 'fromContainer'
+};
+
+export interface ContainerMessage {
+  direction?: 'toContainer' | 'fromContainer';
+  payload?: Validator;
+  response?: Validator | boolean;
+}
+
+export const CONTAINER_MESSAGES: { [type: string]: ContainerMessage };
+
+export interface ContainerProtocolOptions {
+  bellhop?: BellhopIframe.Bellhop;
+  messages?: { [type: string]: ContainerMessage };
+  timeout?: number;
+}
+
+export class ContainerProtocol {
+  constructor(options?: ContainerProtocolOptions);
+  bellhop: BellhopIframe.Bellhop;
+  messages: { [type: string]: ContainerMessage };
+  timeout: number;
+  define(type: string, definition?: ContainerMessage): ContainerProtocol;
+  send(type: string, payload?: any): boolean;
+  request(type: string, payload?: any, options?: { timeout?: number }): Promise<any>;
+  on(type: string, callback: (event: { type: string, data: any }) => void): boolean;
+  off(type: string, callback: (event: { type: string, data: any }) => void): void;
+}
+
+export const ContainerProtocolSingleton: ContainerProtocol;
+
+export class ContainerTimeoutError extends Error {
+  constructor(type: string, timeout: number);
+  type: string;
+  timeout: number;
+}
+
+export class ContainerMessageError extends Error {
+  constructor(type: string, message: string);
+  type: string;
 }
@@ -0,0 +1,128 @@
+import { Application } from "./Application";
+import { Property } from "./Application";
+import { CaptionPlayer } from "./Localization";
+
+export const AUDIO_CHANNEL: {
+  MUSIC: 'music',
+  VO: 'vo',
+  SFX: 'sfx'
+};
+
+export class AudioBus {
+  constructor(name: string, context?: AudioContext | null);
+  name: string;
+  context: AudioContext | null;
+  volume: number;
+  masterVolume: number;
+  duck: number;
+  instances: SoundInstance[];
+  node: GainNode | null;
+  readonly gain: number;
+  update(fadeTime?: number): void;
+  add(instance: SoundInstance): void;
+  remove(instance: SoundInstance): void;
+  destroy(): void;
+}
+
+export interface SoundInstanceOptions {
+  id: string;
+  bus: AudioBus;
+  loop?: boolean;
+  volume?: number;
+  offset?: number;
+  onEnd?: (instance: SoundInstance) => void;
+  onChange?: (instance: SoundInstance) => void;
+}
+
+export abstract class SoundInstance {
+  constructor(options: SoundInstanceOptions);
+  id: string;
+  bus: AudioBus;
+  loop: boolean;
+  volume: number;
+  paused: boolean;
+  ended: boolean;
+  readonly playing: boolean;
+  readonly currentTime: number;
+  readonly duration: number;
+  pause(): void;
+  resume(): void;
+  stop(): void;
+  seek(time: number): void;
+  setVolume(volume: number): void;
+  run(): void;
+  updateVolume(): void;
+}
+
+export class WebAudioSound extends SoundInstance {
+  constructor(options: SoundInstanceOptions & { context: AudioContext, buffer: AudioBuffer });
+  context: AudioContext;
+  buffer: AudioBuffer;
+}
+
+export class HtmlAudioSound extends SoundInstance {
+  constructor(options: SoundInstanceOptions & { element: HTMLAudioElement });
+  element: HTMLAudioElement;
+  suspended: boolean;
+  blocked: boolean;
+  suspend(suspended: boolean): void;
+}
+
+export interface SoundManagerOptions {
+  audioContext?: AudioContext | null;
+  createAudio?: (src: string) => HTMLAudioElement;
+  unlockTarget?: EventTarget;
+  duckVolume?: number;
+  duckFadeTime?: number;
+}
+
+export interface PlayOptions {
+  loop?: boolean;
+  volume?: number;
+  offset?: number;
+  onEnd?: (instance: SoundInstance) => void;
+}
+
+export class SoundManager {
+  constructor(options?: SoundManagerOptions);
+  context: AudioContext | null;
+  buses: { music: AudioBus, vo: AudioBus, sfx: AudioBus };
+  instances: SoundInstance[];
+  unlocked: Property<boolean>;
+  paused: boolean;
+  duckVolume: number;
+  duckFadeTime: number;
+  readonly webAudio: boolean;
+  attach(app: Application): void;
+  detach(): void;
+  load(id: string, src: string, options?: { channel?: string }): Promise<void>;
+  isLoaded(id: string): boolean;
+  unload(id: string): void;
+  play(id: string, options?: PlayOptions): SoundInstance | null;
+  stopAll(channel?: string): void;
+  pause(): void;
+  resume(): void;
+  unlock(): void;
+  destroy(): void;
+}
+
+export class VOPlayer {
+  constructor(options: { sounds: SoundManager, captionPlayer: CaptionPlayer });
+  sounds: SoundManager;
+  captionPlayer: CaptionPlayer;
+  name: string | null;
+  instance: SoundInstance | null;
+  captionsMuted: boolean;
+  readonly playing: boolean;
+  readonly currentTime: number;
+  attach(app: Application): void;
+  detach(): void;
+  load(name: string, src: string): Promise<void>;
+  play(name: string, options?: { time?: number, args?: object, onEnd?: (name: string) => void }): boolean;
+  update(): void;
+  seek(time: number): void;
+  pause(): void;
+  resume(): void;
+  stop(): void;
+  destroy(): void;
+}
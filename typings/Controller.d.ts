@@ -1,16 +1,19 @@
+import { Application } from "./Application";
+
 export type KeyState = 0 | 1 | 2;
 export type KeyTemplate = {
-  down?: () => void;
+  down?: (value: number) => void;
   key: string;
   up?: () => void;
 }
 
 export class Key {
-  constructor(key: string, down?: () => void, up?: () => void);
+  constructor(key: string, down?: (value: number) => void, up?: () => void);
   key: string;
+  value: number;
   actions: {
     up?: () => void,
-    down?: () => void
+    down?: (value: number) => void
   }
   updateState(state?: KeyState): void;
   action(): void;
@@ -19,11 +22,34 @@ export class Key {
   private _state: KeyState;
 }
 
+export interface ControllerOptions {
+  getGamepads?: () => Array<Gamepad | null>;
+  minDeadzone?: number;
+  maxDeadzone?: number;
+  onGamepadConnected?: (gamepad: Gamepad) => void;
+  onGamepadDisconnected?: (gamepad: Gamepad) => void;
+}
+
+export const gamepadButtonMap: { readonly [name: string]: number };
+export const gamepadStickMap: { readonly [name: string]: { axis: number, direction: -1 | 1 } };
+
 export class Controller {
-  constructor(keys?: KeyTemplate[]);
+  constructor(keys?: KeyTemplate[], options?: ControllerOptions);
+  gamepads: Gamepad[];
+  sensitivity: number;
+  minDeadzone: number;
+  maxDeadzone: number;
+  readonly deadzone: number;
   update(): void;
+  destroy(): void;
+  attach(app: Application): void;
+  detach(): void;
   onKeyDown(e: KeyboardEvent): void;
   onKeyUp(e: KeyboardEvent): void;
+  onGamepadConnect(e: GamepadEvent): void;
+  onGamepadDisconnect(e: GamepadEvent): void;
   assignButtons(keys: Key[]):void;
   private onKey(event: KeyboardEvent, state: KeyState): void;
+  private pollGamepads(): void;
+  private readGamepads(key: string, gamepads: Gamepad[]): number;
 }
@@ -16,6 +16,9 @@ export class IdleTimer
   start(time?:Number): void;
   stop(): void;
   reset(): void;
+  pause(): void;
+  resume(): void;
+  destroy(): void;
   dispatch(): void;
   subscribe(callback:() => void): void;
   unsubscribe(callback:() => void): void;
@@ -39,10 +39,14 @@ export class CaptionPlayer {
   renderer: IRender;
   captions: {[name:string]: Caption};
   activeCaption: Caption;
+  paused: boolean;
 
   update(deltaTime:number): void;
   start(name: string, time?: number, args?: object): void;
+  seek(time: number): void;
   stop(): void;
+  pause(): void;
+  resume(): void;
 
 }
 
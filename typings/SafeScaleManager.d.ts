@@ -46,6 +46,7 @@ export interface SafeScaleManagerConfig {
 export class SafeScaleManager {
   constructor(config: SafeScaleManagerConfig);
   disable(): void;
+  destroy(): void;
   enable(callback: ScaleCallback): void;
   onResize(event: UIEvent): void;
   addEntity(entity: ScaledEntity): void;
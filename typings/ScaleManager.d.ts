@@ -3,6 +3,7 @@ export type ScaleManagerCallback = (event:{width:number, height: number, ratio:
 export class ScaleManager {
     constructor(callback?: ScaleManagerCallback);
     disable(): void;
+    destroy(): void;
     enable(callback: ScaleManagerCallback): void;
     onResize(event: UIEvent): void;
 }
\ No newline at end of file
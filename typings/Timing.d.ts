@@ -0,0 +1,64 @@
+import { Application } from "./Application";
+import { Property } from "./Application";
+
+export const PAUSE_REASON: {
+  STATE: 'state',
+  BLUR: 'blur'
+};
+
+export interface Pausable {
+  pause(): void;
+  resume(): void;
+}
+
+export class PauseCoordinator {
+  paused: Property<boolean>;
+  systems: Pausable[];
+  readonly pauseReasons: string[];
+  register(system: Pausable): void;
+  unregister(system: Pausable): void;
+  pause(reason?: string): void;
+  resume(reason?: string): void;
+  isPausedFor(reason: string): boolean;
+  attach(app: Application, options?: { pauseOnBlur?: boolean }): void;
+  detach(): void;
+}
+
+export interface TickerOptions {
+  minScale?: number;
+  maxScale?: number;
+  maxDeltaTime?: number;
+}
+
+export type TickerCallback = (deltaTime: number, ticker: Ticker) => void;
+
+export class Ticker implements Pausable {
+  constructor(options?: TickerOptions);
+  minScale: number;
+  maxScale: number;
+  maxDeltaTime: number;
+  time: number;
+  realTime: number;
+  deltaTime: number;
+  realDeltaTime: number;
+  speedScale: number;
+  timersScale: number;
+  paused: boolean;
+  toScale(value: number): number;
+  attach(app: Application): void;
+  detach(): void;
+  start(): void;
+  stop(): void;
+  pause(): void;
+  resume(): void;
+  tick(realDeltaTime: number): void;
+  subscribe(callback: TickerCallback, options?: { realTime?: boolean }): void;
+  unsubscribe(callback: TickerCallback): void;
+  addController(controller: { update(): void }): void;
+  addCaptionPlayer(captionPlayer: { update(deltaTime: number): void }): void;
+  removeSystem(system: object): void;
+  after(duration: number, callback: () => void): number;
+  every(duration: number, callback: () => void): number;
+  cancel(id: number): void;
+  destroy(): void;
+}
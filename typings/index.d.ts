@@ -1,6 +1,7 @@
 export as namespace SpringRoll;
   export * from './Accessibility';
   export * from './Application';
+  export * from './Audio';
   export * from './Controller';
   export * from './Debug';
   export * from './Hint';
@@ -8,3 +9,4 @@ export as namespace SpringRoll;
   export * from './Renderer';
   export * from './SafeScaleManager';
   export * from './ScaleManager';
+  export * from './Timing';